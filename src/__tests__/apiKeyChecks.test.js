@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  assertDistinctApiKeys,
+  verifySearchOnlyApiKey,
+} = require('../apiKeyChecks');
+
+const typesenseServerConfig = {
+  nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+  apiKey: 'searchOnlyKey',
+};
+
+// Local stub of the Typesense client, answering the collections listing
+function createClientStub(retrieve) {
+  return {collections: () => ({retrieve})};
+}
+
+function httpError(httpStatus) {
+  const error = new Error(`Request failed with HTTP code ${httpStatus}`);
+  error.httpStatus = httpStatus;
+  return error;
+}
+
+describe('assertDistinctApiKeys', () => {
+  test('different keys', () => {
+    expect(() =>
+      assertDistinctApiKeys({
+        typesenseServerConfig,
+        indexerServerConfig: {...typesenseServerConfig, apiKey: 'adminKey'},
+      }),
+    ).not.toThrow();
+  });
+
+  test('indexer disabled', () => {
+    expect(() =>
+      assertDistinctApiKeys({typesenseServerConfig}),
+    ).not.toThrow();
+  });
+
+  test('same keys', () => {
+    expect(() =>
+      assertDistinctApiKeys({
+        typesenseServerConfig,
+        indexerServerConfig: typesenseServerConfig,
+      }),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"themeConfig.typesense.typesenseServerConfig.apiKey is the same key as the one used by the indexer. themeConfig is included in the client bundle: use a search-only API key instead."`,
+    );
+  });
+});
+
+describe('verifySearchOnlyApiKey', () => {
+  test('search-only key', async () => {
+    const client = createClientStub(async () => {
+      throw httpError(401);
+    });
+
+    await expect(
+      verifySearchOnlyApiKey(typesenseServerConfig, {client}),
+    ).resolves.toBeUndefined();
+  });
+
+  test('key allowed to list collections', async () => {
+    const client = createClientStub(async () => [{name: 'docs'}]);
+
+    await expect(
+      verifySearchOnlyApiKey(typesenseServerConfig, {client}),
+    ).rejects.toThrow('it is not a search-only key');
+  });
+
+  test('unreachable server', async () => {
+    const client = createClientStub(async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+    const consoleMock = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(
+      verifySearchOnlyApiKey(typesenseServerConfig, {client}),
+    ).resolves.toBeUndefined();
+    expect(consoleMock).toHaveBeenCalledTimes(1);
+
+    consoleMock.mockRestore();
+  });
+
+  test('unreachable server when the check is required', async () => {
+    const client = createClientStub(async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    await expect(
+      verifySearchOnlyApiKey(typesenseServerConfig, {
+        failIfUnreachable: true,
+        client,
+      }),
+    ).rejects.toThrow('connect ECONNREFUSED');
+  });
+});
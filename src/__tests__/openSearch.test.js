@@ -0,0 +1,218 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  renderOpenSearchTemplate,
+  getOpenSearchDescription,
+  getOpenSearchSuggestions,
+} = require('../openSearch');
+
+const siteConfig = {
+  title: 'My Site',
+  url: 'https://example.com',
+  favicon: 'img/favicon.ico',
+};
+
+function renderOpenSearchDescription({baseUrl = '/', i18n, openSearch}) {
+  return renderOpenSearchTemplate(
+    getOpenSearchDescription({
+      siteConfig,
+      baseUrl,
+      i18n: i18n || {currentLocale: 'en', localeConfigs: {}},
+      searchPagePath: `${baseUrl}search`,
+      openSearch: {tags: [], images: [], locales: {}, ...openSearch},
+    }),
+  );
+}
+
+describe('renderOpenSearchTemplate', () => {
+  test('default description', () => {
+    expect(renderOpenSearchDescription({})).toMatchInlineSnapshot(`
+      "<?xml version=\\"1.0\\" encoding=\\"UTF-8\\"?>
+      <OpenSearchDescription xmlns=\\"http://a9.com/-/spec/opensearch/1.1/\\"
+                             xmlns:moz=\\"http://www.mozilla.org/2006/browser/search/\\">
+        <ShortName>My Site</ShortName>
+        <Description>Search My Site</Description>
+        <Language>en</Language>
+        <InputEncoding>UTF-8</InputEncoding>
+        <Image width=\\"16\\" height=\\"16\\" type=\\"image/x-icon\\">https://example.com/img/favicon.ico</Image>
+        <Url type=\\"text/html\\" method=\\"get\\" template=\\"https://example.com/search?q={searchTerms}\\"/>
+        <Url type=\\"application/opensearchdescription+xml\\" rel=\\"self\\" template=\\"https://example.com/opensearch.xml\\"/>
+        <moz:SearchForm>https://example.com/</moz:SearchForm>
+      </OpenSearchDescription>"
+    `);
+  });
+
+  test('all options', () => {
+    expect(
+      renderOpenSearchDescription({
+        openSearch: {
+          shortName: 'Docs & API',
+          longName: 'My Site documentation and API reference',
+          description: 'Search the My Site docs',
+          tags: ['docs', 'api'],
+          contact: 'docs@example.com',
+          images: [
+            {url: 'img/logo.png', width: 64, height: 64, type: 'image/png'},
+            {url: 'https://cdn.example.com/logo.svg', width: 256, height: 256},
+          ],
+          suggestions: {maxPrefixLength: 4, limit: 8},
+        },
+      }),
+    ).toMatchInlineSnapshot(`
+      "<?xml version=\\"1.0\\" encoding=\\"UTF-8\\"?>
+      <OpenSearchDescription xmlns=\\"http://a9.com/-/spec/opensearch/1.1/\\"
+                             xmlns:moz=\\"http://www.mozilla.org/2006/browser/search/\\">
+        <ShortName>Docs &amp; API</ShortName>
+        <LongName>My Site documentation and API reference</LongName>
+        <Description>Search the My Site docs</Description>
+        <Tags>docs api</Tags>
+        <Contact>docs@example.com</Contact>
+        <Language>en</Language>
+        <InputEncoding>UTF-8</InputEncoding>
+        <Image width=\\"16\\" height=\\"16\\" type=\\"image/x-icon\\">https://example.com/img/favicon.ico</Image>
+        <Image width=\\"64\\" height=\\"64\\" type=\\"image/png\\">https://example.com/img/logo.png</Image>
+        <Image width=\\"256\\" height=\\"256\\">https://cdn.example.com/logo.svg</Image>
+        <Url type=\\"text/html\\" method=\\"get\\" template=\\"https://example.com/search?q={searchTerms}\\"/>
+        <Url type=\\"application/x-suggestions+json\\" method=\\"get\\" template=\\"https://example.com/opensearch-suggestions/{searchTerms}.json\\"/>
+        <Url type=\\"application/opensearchdescription+xml\\" rel=\\"self\\" template=\\"https://example.com/opensearch.xml\\"/>
+        <moz:SearchForm>https://example.com/</moz:SearchForm>
+      </OpenSearchDescription>"
+    `);
+  });
+
+  test('locale', () => {
+    expect(
+      renderOpenSearchDescription({
+        baseUrl: '/fr/',
+        i18n: {
+          currentLocale: 'fr',
+          localeConfigs: {fr: {htmlLang: 'fr-FR'}},
+        },
+        openSearch: {
+          shortName: 'My Site',
+          tags: ['docs'],
+          suggestions: {
+            url: 'https://search.example.com/suggest?q={searchTerms}',
+          },
+          locales: {
+            fr: {shortName: 'Mon Site', description: 'Rechercher Mon Site'},
+          },
+        },
+      }),
+    ).toMatchInlineSnapshot(`
+      "<?xml version=\\"1.0\\" encoding=\\"UTF-8\\"?>
+      <OpenSearchDescription xmlns=\\"http://a9.com/-/spec/opensearch/1.1/\\"
+                             xmlns:moz=\\"http://www.mozilla.org/2006/browser/search/\\">
+        <ShortName>Mon Site</ShortName>
+        <Description>Rechercher Mon Site</Description>
+        <Tags>docs</Tags>
+        <Language>fr-FR</Language>
+        <InputEncoding>UTF-8</InputEncoding>
+        <Image width=\\"16\\" height=\\"16\\" type=\\"image/x-icon\\">https://example.com/fr/img/favicon.ico</Image>
+        <Url type=\\"text/html\\" method=\\"get\\" template=\\"https://example.com/fr/search?q={searchTerms}\\"/>
+        <Url type=\\"application/x-suggestions+json\\" method=\\"get\\" template=\\"https://search.example.com/suggest?q={searchTerms}\\"/>
+        <Url type=\\"application/opensearchdescription+xml\\" rel=\\"self\\" template=\\"https://example.com/fr/opensearch.xml\\"/>
+        <moz:SearchForm>https://example.com/fr/</moz:SearchForm>
+      </OpenSearchDescription>"
+    `);
+  });
+});
+
+describe('getOpenSearchDescription', () => {
+  test('long site titles', () => {
+    expect(
+      getOpenSearchDescription({
+        siteConfig: {...siteConfig, title: 'My Site, the documentation'},
+        baseUrl: '/',
+        i18n: {currentLocale: 'en', localeConfigs: {}},
+        searchPagePath: '/search',
+        openSearch: {tags: [], images: [], locales: {}},
+      }),
+    ).toMatchObject({
+      shortName: 'My Site, the...',
+      description: 'Search My Site, the documentation',
+    });
+  });
+});
+
+describe('getOpenSearchSuggestions', () => {
+  test('prefixes', () => {
+    expect(
+      getOpenSearchSuggestions(
+        ['Installation', 'install plugins', 'Introduction'],
+        {maxPrefixLength: 3, limit: 2},
+      ),
+    ).toEqual([
+      ['i', ['Installation', 'install plugins']],
+      ['I', ['Installation', 'install plugins']],
+      ['in', ['Installation', 'install plugins']],
+      ['In', ['Installation', 'install plugins']],
+      ['ins', ['Installation', 'install plugins']],
+      ['Ins', ['Installation', 'install plugins']],
+      ['int', ['Introduction']],
+      ['Int', ['Introduction']],
+    ]);
+  });
+
+  test('case of the prefixes', () => {
+    expect(
+      getOpenSearchSuggestions(['iOS'], {maxPrefixLength: 3, limit: 2}).map(
+        ([prefix]) => prefix,
+      ),
+    ).toEqual(['i', 'I', 'io', 'iO', 'Io', 'ios', 'iOS', 'Ios']);
+  });
+
+  test('spaces and punctuation', () => {
+    expect(
+      getOpenSearchSuggestions(['C++ API', 'What? Why', 'a/b'], {
+        maxPrefixLength: 5,
+        limit: 2,
+      }).map(([prefix]) => prefix),
+    ).toEqual([
+      'c',
+      'C',
+      'c+',
+      'C+',
+      'c++',
+      'C++',
+      'c++ ',
+      'C++ ',
+      'c++ a',
+      'C++ A',
+      'C++ a',
+      'w',
+      'W',
+      'wh',
+      'Wh',
+      'wha',
+      'Wha',
+      'what',
+      'What',
+      'a',
+      'A',
+    ]);
+  });
+
+  test('duplicate phrases', () => {
+    expect(
+      getOpenSearchSuggestions([' Setup', 'setup', 'Été'], {
+        maxPrefixLength: 2,
+        limit: 5,
+      }),
+    ).toEqual([
+      ['s', ['Setup']],
+      ['S', ['Setup']],
+      ['se', ['Setup']],
+      ['Se', ['Setup']],
+      ['é', ['Été']],
+      ['É', ['Été']],
+      ['ét', ['Été']],
+      ['Ét', ['Été']],
+    ]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  fetchRelatedDocs,
+  getDocsPluginsTags,
+  getRelatedDocsPageKey,
+} = require('../relatedDocs');
+
+// Local stub of the Typesense client, answering multi searches
+function createClientStub(perform) {
+  return {multiSearch: {perform}};
+}
+
+const allContent = {
+  'docusaurus-plugin-content-docs': {
+    default: {
+      loadedVersions: [
+        {versionName: 'current', isLast: false},
+        {versionName: '2.0', isLast: true},
+      ],
+    },
+    api: {loadedVersions: [{versionName: 'current', isLast: true}]},
+  },
+};
+
+const record = (url, type, hierarchy) => ({
+  url: `https://example.com${url}`,
+  url_without_anchor: `https://example.com${url}`,
+  type,
+  language: 'en',
+  docusaurus_tag: 'docs-default-current',
+  ...hierarchy,
+});
+
+const records = [
+  record('/docs/next/intro', 'lvl1', {'hierarchy.lvl1': 'Getting started'}),
+  record('/docs/next/intro', 'lvl2', {
+    'hierarchy.lvl1': 'Getting started',
+    'hierarchy.lvl2': 'Install the CLI',
+  }),
+  record('/docs/next/intro', 'content', {'hierarchy.lvl1': 'Getting started'}),
+  {...record('/blog/release', 'lvl1', {}), docusaurus_tag: 'default'},
+];
+
+const searchOptions = {
+  typesenseServerConfig: {
+    nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+    apiKey: 'searchOnlyKey',
+  },
+  collectionName: 'docs',
+  limit: 2,
+  locale: 'en',
+  docsPluginsTags: getDocsPluginsTags(allContent),
+};
+
+const hit = (url, title) => ({
+  document: {
+    url: `https://example.com${url}#anchor`,
+    url_without_anchor: `https://example.com${url}`,
+    'hierarchy.lvl0': 'Docs',
+    'hierarchy.lvl1': title,
+  },
+});
+
+describe('getRelatedDocsPageKey', () => {
+  test('page paths', () => {
+    expect(getRelatedDocsPageKey('/fr/docs/intro/', '/fr/')).toBe(
+      'docs/intro',
+    );
+    expect(getRelatedDocsPageKey('/fr/', '/fr/')).toBe('index');
+  });
+});
+
+describe('getDocsPluginsTags', () => {
+  test('tags of the docs versions', () => {
+    expect(getDocsPluginsTags(allContent)).toEqual([
+      {
+        tags: ['docs-default-current', 'docs-default-2.0'],
+        lastVersionTag: 'docs-default-2.0',
+      },
+      {tags: ['docs-api-current'], lastVersionTag: 'docs-api-current'},
+    ]);
+    expect(getDocsPluginsTags({})).toEqual([]);
+  });
+});
+
+describe('fetchRelatedDocs', () => {
+  test('related docs of the docs pages', async () => {
+    const perform = jest.fn(async () => ({
+      results: [
+        {
+          grouped_hits: [
+            {hits: [hit('/docs/next/intro/', 'Getting started')]},
+            {hits: [hit('/docs/next/cli', 'CLI')]},
+            {hits: [hit('/docs/next/config', 'Configuration')]},
+          ],
+        },
+      ],
+    }));
+
+    await expect(
+      fetchRelatedDocs(
+        {...searchOptions, records},
+        {client: createClientStub(perform)},
+      ),
+    ).resolves.toEqual([
+      {
+        pathname: '/docs/next/intro',
+        items: [
+          {title: 'CLI', section: 'Docs', url: '/docs/next/cli'},
+          {title: 'Configuration', section: 'Docs', url: '/docs/next/config'},
+        ],
+      },
+    ]);
+    expect(perform).toHaveBeenCalledTimes(1);
+    expect(perform).toHaveBeenCalledWith(
+      {
+        searches: [
+          expect.objectContaining({
+            q: 'getting started install the cli',
+            group_by: 'url_without_anchor',
+            per_page: 3,
+            filter_by:
+              'language:=[`en`] && docusaurus_tag:=[`default`,`docs-default-current`,`docs-api-current`]',
+          }),
+        ],
+      },
+      {collection: 'docs'},
+    );
+  });
+
+  test('errors', async () => {
+    const perform = jest.fn(async () => ({
+      results: [{error: 'Not found.', code: 404}],
+    }));
+
+    await expect(
+      fetchRelatedDocs(
+        {...searchOptions, records},
+        {client: createClientStub(perform)},
+      ),
+    ).rejects.toThrow(
+      'Searching the related docs of https://example.com/docs/next/intro failed: Not found.',
+    );
+  });
+
+  test('no docs pages', async () => {
+    const perform = jest.fn();
+
+    await expect(
+      fetchRelatedDocs(
+        {...searchOptions, records: records.slice(3)},
+        {client: createClientStub(perform)},
+      ),
+    ).resolves.toEqual([]);
+    expect(perform).not.toHaveBeenCalled();
+  });
+});
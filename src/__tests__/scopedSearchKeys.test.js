@@ -0,0 +1,169 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const Keys = require('typesense/lib/Typesense/Keys').default;
+const {
+  generateScopedSearchKey,
+  getScopedSearchKeys,
+  getScopedSearchKeysModule,
+} = require('../scopedSearchKeys');
+
+const decodeScopedSearchKey = (apiKey) =>
+  JSON.parse(Buffer.from(apiKey, 'base64').toString().slice(44 + 4));
+
+const allContent = {
+  'docusaurus-plugin-content-docs': {
+    default: {loadedVersions: [{versionName: 'current'}, {versionName: '1.x'}]},
+    api: {loadedVersions: [{versionName: 'current'}]},
+  },
+};
+
+const options = {
+  allContent,
+  baseUrl: '/site/',
+  currentLocale: 'fr',
+  now: 1000000,
+};
+
+describe('generateScopedSearchKey', () => {
+  test('same key as the Typesense client', () => {
+    const parameters = {filter_by: 'language:=fr', expires_at: 1700000000};
+
+    expect(generateScopedSearchKey('parentKey', parameters)).toBe(
+      Keys.prototype.generateScopedSearchKey('parentKey', parameters),
+    );
+  });
+});
+
+describe('getScopedSearchKeys', () => {
+  test('scopes', () => {
+    const scopedSearchKeys = getScopedSearchKeys({
+      ...options,
+      scopedSearchKeys: {
+        parentApiKey: 'parentKey',
+        expiresIn: 3600,
+        scopes: [
+          {name: 'public', locales: ['fr'], filterBy: 'tier:=public'},
+          {
+            name: 'api',
+            paths: ['/api/'],
+            docsPluginIds: ['api'],
+            expiresIn: 60,
+          },
+          {name: 'english', locales: ['en']},
+        ],
+      },
+    });
+
+    expect(scopedSearchKeys).toEqual([
+      {
+        name: 'public',
+        paths: [],
+        docsPluginIds: [],
+        apiKey: expect.any(String),
+      },
+      {
+        name: 'api',
+        paths: ['/site/api/'],
+        docsPluginIds: ['api'],
+        apiKey: expect.any(String),
+      },
+    ]);
+    expect(decodeScopedSearchKey(scopedSearchKeys[0].apiKey)).toEqual({
+      filter_by:
+        'language:=[`fr`] && docusaurus_tag:!=[`docs-api-current`] && (tier:=public)',
+      expires_at: 4600,
+    });
+    expect(decodeScopedSearchKey(scopedSearchKeys[1].apiKey)).toEqual({
+      filter_by: 'docusaurus_tag:=[`docs-api-current`]',
+      expires_at: 1060,
+    });
+  });
+
+  test('default scopes cannot search the docs of the other scopes', () => {
+    const consoleMock = jest
+      .spyOn(console, 'warn')
+      .mockImplementation(() => {});
+    const [{apiKey}] = getScopedSearchKeys({
+      ...options,
+      scopedSearchKeys: {
+        parentApiKey: 'parentKey',
+        scopes: [
+          {name: 'site'},
+          {name: 'api', docsPluginIds: ['api']},
+          {name: 'docs', paths: ['/docs/'], docsPluginIds: ['default']},
+          {name: 'partners', paths: ['/partners/'], filterBy: 'tier:=partners'},
+        ],
+      },
+    });
+
+    expect(decodeScopedSearchKey(apiKey)).toEqual({
+      filter_by:
+        'docusaurus_tag:!=[`docs-api-current`,`docs-default-current`,`docs-default-1.x`]',
+    });
+    // The pages of `partners` are only told apart by their paths
+    expect(consoleMock).toHaveBeenCalledTimes(1);
+    expect(consoleMock.mock.calls[0][0]).toMatch('the scope "partners"');
+    consoleMock.mockRestore();
+  });
+
+  test('keys without filter or expiration', () => {
+    const [{apiKey}] = getScopedSearchKeys({
+      ...options,
+      scopedSearchKeys: {
+        parentApiKey: 'parentKey',
+        scopes: [{name: 'all'}],
+      },
+    });
+
+    expect(decodeScopedSearchKey(apiKey)).toEqual({});
+  });
+
+  test('unknown docs plugin', () => {
+    expect(() =>
+      getScopedSearchKeys({
+        ...options,
+        scopedSearchKeys: {
+          parentApiKey: 'parentKey',
+          scopes: [{name: 'all'}, {name: 'guides', docsPluginIds: ['guides']}],
+        },
+      }),
+    ).toThrow('there is no docs plugin with the id "guides"');
+  });
+
+  test('no default scope for the locale', () => {
+    expect(() =>
+      getScopedSearchKeys({
+        ...options,
+        scopedSearchKeys: {
+          parentApiKey: 'parentKey',
+          scopes: [
+            {name: 'english', locales: ['en']},
+            {name: 'api', docsPluginIds: ['api']},
+          ],
+        },
+      }),
+    ).toThrow('there is no default scope');
+  });
+});
+
+describe('getScopedSearchKeysModule', () => {
+  test('one chunk per key', () => {
+    expect(
+      getScopedSearchKeysModule([
+        {name: 'all', modulePath: '/site/.docusaurus/key-0.json'},
+        {name: 'api', modulePath: '/site/.docusaurus/key-1.json'},
+      ]),
+    ).toMatchInlineSnapshot(`
+      "export default {
+        \\"all\\": () => import(\\"/site/.docusaurus/key-0.json\\"),
+        \\"api\\": () => import(\\"/site/.docusaurus/key-1.json\\"),
+      };
+      "
+    `);
+  });
+});
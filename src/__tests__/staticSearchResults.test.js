@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  fetchStaticSearchResults,
+  getStaticSearchSlug,
+} = require('../staticSearchResults');
+
+// Local stub of the Typesense client, answering multi searches
+function createClientStub(perform) {
+  return {multiSearch: {perform}};
+}
+
+const searchOptions = {
+  typesenseServerConfig: {
+    nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+    apiKey: 'searchOnlyKey',
+  },
+  collectionName: 'docs',
+  hitsPerPage: 2,
+  locale: 'en',
+};
+
+describe('getStaticSearchSlug', () => {
+  test('words', () => {
+    expect(getStaticSearchSlug('  Getting   Started ')).toBe('getting-started');
+  });
+
+  test('URL characters', () => {
+    expect(getStaticSearchSlug('a/b?c#d e%f')).toBe('abcd-ef');
+  });
+
+  test('non-latin letters', () => {
+    expect(getStaticSearchSlug('Démarrage rapide')).toBe('démarrage-rapide');
+  });
+});
+
+describe('fetchStaticSearchResults', () => {
+  test('search results', async () => {
+    const perform = jest.fn(async () => ({
+      results: [
+        {
+          found: 3,
+          hits: [
+            {
+              document: {
+                id: '42',
+                url: 'https://example.com/docs/intro#install',
+                type: 'lvl2',
+                'hierarchy.lvl0': 'Docs',
+                'hierarchy.lvl1': 'Intro',
+                'hierarchy.lvl2': '<Install>',
+                content: null,
+              },
+              highlights: [
+                {
+                  field: 'content',
+                  snippet: 'Run __ts-highlight__npm__/ts-highlight__ <b>install</b>',
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    }));
+
+    await expect(
+      fetchStaticSearchResults(
+        {...searchOptions, queries: ['Install ']},
+        {client: createClientStub(perform)},
+      ),
+    ).resolves.toEqual([
+      {
+        query: 'Install',
+        slug: 'install',
+        totalResults: 3,
+        totalPages: 2,
+        items: [
+          {
+            title: '<Install>',
+            url: '/docs/intro#install',
+            summary: 'Run __ts-highlight__npm__/ts-highlight__ <b>install</b>...',
+            breadcrumbs: ['Docs', 'Intro'],
+            documentId: '42',
+            position: 1,
+            storedHit: {
+              url: '/docs/intro#install',
+              objectID: '42',
+              type: 'lvl2',
+              'hierarchy.lvl0': 'Docs',
+              'hierarchy.lvl1': 'Intro',
+              'hierarchy.lvl2': '<Install>',
+            },
+          },
+        ],
+      },
+    ]);
+    expect(perform).toHaveBeenCalledWith(
+      {searches: [{q: 'Install'}]},
+      expect.objectContaining({
+        collection: 'docs',
+        filter_by: 'language:=en',
+        highlight_start_tag: '__ts-highlight__',
+        highlight_end_tag: '__/ts-highlight__',
+        per_page: 2,
+      }),
+    );
+  });
+
+  test('search parameters from themeConfig', async () => {
+    const perform = jest.fn(async () => ({results: [{found: 0, hits: []}]}));
+
+    await fetchStaticSearchResults(
+      {
+        ...searchOptions,
+        queries: ['api'],
+        typesenseSearchParameters: {filter_by: 'version:=2'},
+      },
+      {client: createClientStub(perform)},
+    );
+
+    expect(perform.mock.calls[0][1]).toMatchObject({filter_by: 'version:=2'});
+  });
+
+  test('queries with the same slug', async () => {
+    const perform = jest.fn(async ({searches}) => ({
+      results: searches.map(() => ({found: 0, hits: []})),
+    }));
+
+    const results = await fetchStaticSearchResults(
+      {...searchOptions, queries: ['Getting started', 'getting  started', '?']},
+      {client: createClientStub(perform)},
+    );
+
+    expect(results.map(({slug}) => slug)).toEqual(['getting-started']);
+    expect(perform.mock.calls[0][0]).toEqual({
+      searches: [{q: 'Getting started'}],
+    });
+  });
+
+  test('search error', async () => {
+    const client = createClientStub(async () => ({
+      results: [{error: 'Could not find a field named `content`.'}],
+    }));
+
+    await expect(
+      fetchStaticSearchResults({...searchOptions, queries: ['api']}, {client}),
+    ).rejects.toThrowErrorMatchingInlineSnapshot(
+      `"Searching \\"api\\" failed: Could not find a field named \`content\`."`,
+    );
+  });
+});
@@ -21,6 +21,11 @@ function testValidateThemeConfig(themeConfig) {
   return validateThemeConfig({themeConfig, validate});
 }
 
+const typesenseServerConfig = {
+  nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+  apiKey: 'searchOnlyKey',
+};
+
 describe('validateThemeConfig', () => {
   test('minimal config', () => {
     const algolia = {
@@ -118,4 +123,427 @@ describe('validateThemeConfig', () => {
       },
     });
   });
+
+  test('searchPageFacets config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchPageFacets: [
+        'language',
+        {attribute: 'docusaurus_tag', label: 'Section', limit: 5},
+      ],
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+  });
+
+  test('searchPageFacets config without attribute', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchPageFacets: [{label: 'Section'}],
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.searchPageFacets[0]\\" does not match any of the allowed types"`,
+    );
+  });
+
+  test('searchFilter config', () => {
+    const typesense = {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig,
+      searchFilter: {
+        and: [
+          {field: 'docusaurus_tag', values: ['internal'], negate: true},
+          {
+            or: [
+              {field: 'type', values: ['lvl1', 'lvl2']},
+              {field: 'item_priority', range: {min: 10}},
+            ],
+          },
+          'language:=en',
+        ],
+      },
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+  });
+
+  test('searchFilter config with empty range', () => {
+    const typesense = {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig,
+      searchFilter: {and: [{field: 'item_priority', range: {}}]},
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.searchFilter\\" does not match any of the allowed types"`,
+    );
+  });
+
+  test('searchFilter config with backticks', () => {
+    const typesense = {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig,
+      searchFilter: {field: 'category', values: ['a`b']},
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.searchFilter\\" does not match any of the allowed types"`,
+    );
+  });
+
+  test('collections config', () => {
+    const typesense = {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig,
+      collections: [
+        {name: 'docs', label: 'Guides'},
+        {
+          name: 'forum',
+          label: 'Forum',
+          weight: 0.5,
+          typesenseSearchParameters: {query_by: 'title,body'},
+        },
+      ],
+      collectionResults: 'merged',
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+        collections: [
+          {
+            name: 'docs',
+            label: 'Guides',
+            weight: 1,
+            typesenseSearchParameters: {},
+          },
+          typesense.collections[1],
+        ],
+      },
+    });
+  });
+
+  test('collections config with duplicate names', () => {
+    const typesense = {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig,
+      collections: [{name: 'forum'}, {name: 'forum'}],
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.collections[1]\\" contains a duplicate value"`,
+    );
+  });
+
+  test('pagination config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      pagination: 'numbered',
+      hitsPerPageOptions: [10, 25],
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+  });
+
+  test('pagination config with unknown mode', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      pagination: 'pages',
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.pagination\\" must be one of [infinite, numbered]"`,
+    );
+  });
+
+  test('search timeout config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchTimeout: 5000,
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+  });
+
+  test('search page preview config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchPagePreview: 'page',
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+    expect(
+      testValidateThemeConfig({
+        typesense: {...typesense, searchPagePreview: false},
+      }),
+    ).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+        searchPagePreview: false,
+      },
+    });
+  });
+
+  test('highlight config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      highlight: {tagName: 'mark', snippetLength: 8, fields: ['content']},
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+        highlight: {
+          tagName: 'mark',
+          className: 'search-result-match',
+          snippetLength: 8,
+          fields: ['content'],
+        },
+      },
+    });
+  });
+
+  test('highlight config with unsafe tag name', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      highlight: {tagName: 'script'},
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.highlight.tagName\\" must be one of [span, mark, em, strong, b]"`,
+    );
+  });
+
+  test('searchProfiles config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchProfiles: {
+        default: {hitsPerPage: 20},
+        api: {
+          queryBy: [{field: 'api_signature', weight: 4}, 'content'],
+          sortBy: ['item_priority:desc'],
+          groupLimit: 1,
+          paths: ['/api/'],
+        },
+      },
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+      },
+    });
+  });
+
+  test('searchProfiles config with invalid weight', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      searchProfiles: {
+        api: {queryBy: [{field: 'api_signature', weight: -1}]},
+      },
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.searchProfiles.api.queryBy[0]\\" does not match any of the allowed types"`,
+    );
+  });
+
+  test('analytics config', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      analytics: {
+        typesense: {clickEventName: 'docs_click'},
+        customReporter: './src/searchReporter.js',
+      },
+    };
+    expect(testValidateThemeConfig({typesense})).toEqual({
+      typesense: {
+        ...DEFAULT_CONFIG,
+        ...typesense,
+        analytics: {
+          ...DEFAULT_CONFIG.analytics,
+          ...typesense.analytics,
+        },
+      },
+    });
+  });
+
+  test('analytics config without Typesense click event name', () => {
+    const typesense = {
+      typesenseCollectionName: 'collection',
+      typesenseServerConfig,
+      analytics: {typesense: {}},
+    };
+    expect(() =>
+      testValidateThemeConfig({typesense}),
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"\\"typesense.analytics.typesense.clickEventName\\" is required"`,
+    );
+  });
+
+  describe('typesenseServerConfig', () => {
+    const node = {host: 'localhost', port: 8108, protocol: 'http'};
+
+    beforeEach(() => {
+      process.env.TYPESENSE_HOST = 'typesense.example.com';
+      process.env.TYPESENSE_PORT = '443';
+      process.env.TYPESENSE_SEARCH_API_KEY = 'searchOnlyKey';
+    });
+
+    afterEach(() => {
+      delete process.env.TYPESENSE_HOST;
+      delete process.env.TYPESENSE_PORT;
+      delete process.env.TYPESENSE_SEARCH_API_KEY;
+    });
+
+    test('environment variables interpolation', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {
+          nodes: [
+            {
+              host: '${TYPESENSE_HOST}',
+              port: '${TYPESENSE_PORT}',
+              protocol: 'https',
+            },
+          ],
+          apiKey: '${TYPESENSE_SEARCH_API_KEY}',
+          connectionTimeoutSeconds: 2,
+        },
+      };
+      expect(
+        testValidateThemeConfig({typesense}).typesense.typesenseServerConfig,
+      ).toEqual({
+        nodes: [{host: 'typesense.example.com', port: 443, protocol: 'https'}],
+        apiKey: 'searchOnlyKey',
+        connectionTimeoutSeconds: 2,
+      });
+    });
+
+    test('undefined environment variable', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {nodes: [node], apiKey: '${UNDEFINED_KEY}'},
+      };
+      expect(() =>
+        testValidateThemeConfig({typesense}),
+      ).toThrowErrorMatchingInlineSnapshot(
+        `"\\"typesense.typesenseServerConfig.apiKey\\" references undefined environment variables: UNDEFINED_KEY"`,
+      );
+    });
+
+    test('environment variable that is not a number', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {
+          nodes: [{...node, port: '${TYPESENSE_HOST}'}],
+          apiKey: 'searchOnlyKey',
+        },
+      };
+      expect(() =>
+        testValidateThemeConfig({typesense}),
+      ).toThrowErrorMatchingInlineSnapshot(
+        `"\\"typesense.typesenseServerConfig.nodes[0].port\\" must be a number, but \${TYPESENSE_HOST} resolved to \\"typesense.example.com\\""`,
+      );
+    });
+
+    test('admin API key reference', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {
+          nodes: [node],
+          apiKey: '${TYPESENSE_ADMIN_API_KEY}',
+        },
+      };
+      expect(() =>
+        testValidateThemeConfig({typesense}),
+      ).toThrowErrorMatchingInlineSnapshot(
+        `"\\"typesense.typesenseServerConfig.apiKey\\" references the TYPESENSE_ADMIN_API_KEY environment variable, which looks like an admin API key. themeConfig is included in the client bundle: use a search-only API key instead."`,
+      );
+    });
+
+    test('unknown attribute', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {
+          nodes: [node],
+          apiKey: 'searchOnlyKey',
+          cacheSearchResultForSeconds: 60,
+        },
+      };
+      expect(() =>
+        testValidateThemeConfig({typesense}),
+      ).toThrowErrorMatchingInlineSnapshot(
+        `"\\"typesense.typesenseServerConfig.cacheSearchResultForSeconds\\" is not allowed"`,
+      );
+    });
+
+    test('invalid protocol', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        typesenseServerConfig: {
+          nodes: [{...node, protocol: 'ftp'}],
+          apiKey: 'searchOnlyKey',
+        },
+      };
+      expect(() =>
+        testValidateThemeConfig({typesense}),
+      ).toThrowErrorMatchingInlineSnapshot(
+        `"\\"typesense.typesenseServerConfig.nodes[0].protocol\\" must be one of [http, https]"`,
+      );
+    });
+
+    test('not required in local search mode', () => {
+      const typesense = {
+        typesenseCollectionName: 'collection',
+        searchMode: 'local',
+      };
+      expect(testValidateThemeConfig({typesense})).toEqual({
+        typesense: {
+          ...DEFAULT_CONFIG,
+          ...typesense,
+        },
+      });
+    });
+  });
 });
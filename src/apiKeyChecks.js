@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const Typesense = require('typesense');
+
+// The API key from themeConfig is included in the client bundle, these checks
+// run at build time to prevent shipping a key that can do more than searching
+
+exports.assertDistinctApiKeys = function assertDistinctApiKeys({
+  typesenseServerConfig,
+  indexerServerConfig,
+}) {
+  if (
+    typesenseServerConfig &&
+    indexerServerConfig &&
+    typesenseServerConfig.apiKey === indexerServerConfig.apiKey
+  ) {
+    throw new Error(
+      'themeConfig.typesense.typesenseServerConfig.apiKey is the same key as the one used by the indexer. themeConfig is included in the client bundle: use a search-only API key instead.',
+    );
+  }
+};
+
+// A search-only key is not allowed to list collections: if the server accepts
+// the request, the key has more permissions than the client needs. With
+// `failIfUnreachable`, a key that cannot be verified fails the build too.
+exports.verifySearchOnlyApiKey = async function verifySearchOnlyApiKey(
+  typesenseServerConfig,
+  {
+    failIfUnreachable = false,
+    client = new Typesense.Client(typesenseServerConfig),
+  } = {},
+) {
+  try {
+    await client.collections().retrieve();
+  } catch (err) {
+    if (err.httpStatus === 401 || err.httpStatus === 403) {
+      return;
+    }
+
+    const message = `Could not verify that themeConfig.typesense.typesenseServerConfig.apiKey is a search-only key: ${err}`;
+    if (failIfUnreachable) {
+      throw new Error(message);
+    }
+    console.warn(message);
+    return;
+  }
+
+  throw new Error(
+    'themeConfig.typesense.typesenseServerConfig.apiKey is allowed to list collections, which means it is not a search-only key. themeConfig is included in the client bundle: use a search-only API key instead.',
+  );
+};
@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Builds Typesense `filter_by` expressions from structured filters. A filter
+// is one of:
+// - a `filter_by` string, used as is
+// - `{field, values, negate}`, matching any of `values` exactly
+// - `{field, range: {min, max}}`, a numeric range, bounds included
+// - `{and: [filters]}` or `{or: [filters]}`
+// Empty filters (`null`, `false`, `''`, no values) are left out.
+// Used at build time and, through `@theme/utils/filterBuilder`, by the theme.
+
+// String values are quoted with backticks, so that they can contain commas,
+// brackets or operators. Typesense has no escape sequence for backticks in
+// quoted values: such values are refused, see the `searchFilter` validation.
+function escapeFilterValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (String(value).includes('`')) {
+    throw new Error(`Filter values cannot contain backticks: ${value}`);
+  }
+
+  return `\`${value}\``;
+}
+exports.escapeFilterValue = escapeFilterValue;
+
+const and = (...filters) => ({and: filters});
+const or = (...filters) => ({or: filters});
+const eq = (field, values) => ({
+  field,
+  values: Array.isArray(values) ? values : [values],
+});
+const notEq = (field, values) => ({...eq(field, values), negate: true});
+const range = (field, {min, max}) => ({field, range: {min, max}});
+exports.and = and;
+exports.or = or;
+exports.eq = eq;
+exports.notEq = notEq;
+exports.range = range;
+
+function buildGroup(filters, operator) {
+  // Expressions of the other operator are grouped in parentheses
+  const otherOperator = operator === '&&' ? '||' : '&&';
+
+  return filters
+    .map(buildFilter) // eslint-disable-line no-use-before-define
+    .filter(Boolean)
+    .map((expression, index, expressions) =>
+      expressions.length > 1 && expression.includes(otherOperator)
+        ? `(${expression})`
+        : expression,
+    )
+    .join(` ${operator} `);
+}
+
+function buildRange(field, {min, max}) {
+  const hasMin = min !== undefined && min !== null;
+  const hasMax = max !== undefined && max !== null;
+
+  if (hasMin && hasMax) {
+    return `${field}:[${min}..${max}]`;
+  }
+  if (hasMin) {
+    return `${field}:>=${min}`;
+  }
+  if (hasMax) {
+    return `${field}:<=${max}`;
+  }
+
+  return '';
+}
+
+function buildFilter(filter) {
+  if (!filter) {
+    return '';
+  }
+  if (typeof filter === 'string') {
+    return filter.trim();
+  }
+  if (filter.and) {
+    return buildGroup(filter.and, '&&');
+  }
+  if (filter.or) {
+    return buildGroup(filter.or, '||');
+  }
+  if (filter.range) {
+    return buildRange(filter.field, filter.range);
+  }
+
+  const values = (filter.values || []).filter(
+    (value) => value !== undefined && value !== null && value !== '',
+  );
+  if (values.length === 0) {
+    return '';
+  }
+
+  return `${filter.field}:${filter.negate ? '!=' : '='}[${values
+    .map(escapeFilterValue)
+    .join(',')}]`;
+}
+exports.buildFilter = buildFilter;
@@ -7,31 +7,170 @@
 
 const path = require('path');
 const fs = require('fs');
-const eta = require('eta');
 const {normalizeUrl} = require('@docusaurus/utils');
-const openSearchTemplate = require('./templates/opensearch');
 const {validateThemeConfig} = require('./validateThemeConfig');
-const {memoize} = require('lodash');
+const {validateOptions} = require('./validateOptions');
+const {indexSite, collectRecords} = require('./indexer');
+const {
+  assertDistinctApiKeys,
+  verifySearchOnlyApiKey,
+} = require('./apiKeyChecks');
+const {LOCAL_INDEX_FILENAME, createLocalIndex} = require('./indexer/localIndex');
+const {fetchStaticSearchResults} = require('./staticSearchResults');
+const {
+  getScopedSearchKeys,
+  getScopedSearchKeysModule,
+} = require('./scopedSearchKeys');
+const {
+  RELATED_DOCS_DIRNAME,
+  fetchRelatedDocs,
+  getDocsPluginsTags,
+  getRelatedDocsPageKey,
+} = require('./relatedDocs');
+const {
+  OPEN_SEARCH_FILENAME,
+  OPEN_SEARCH_SUGGESTIONS_DIRNAME,
+  renderOpenSearchTemplate,
+  getOpenSearchDescription,
+  getOpenSearchSuggestions,
+} = require('./openSearch');
+const {memoize, omit} = require('lodash');
 
-const getCompiledOpenSearchTemplate = memoize(() => {
-  return eta.compile(openSearchTemplate.trim());
-});
+// Imported by `@theme/hooks/useSearchAnalytics`
+const ANALYTICS_REPORTER_ALIAS =
+  '@docusaurus-theme-search-typesense/analytics-reporter';
+// Imported by `@theme/hooks/useTypesenseSearchClient`
+const SCOPED_SEARCH_KEYS_ALIAS =
+  '@docusaurus-theme-search-typesense/scoped-search-keys';
 
-function renderOpenSearchTemplate(data) {
-  const compiled = getCompiledOpenSearchTemplate();
-  return compiled(data, eta.defaultConfig);
-}
-
-const OPEN_SEARCH_FILENAME = 'opensearch.xml';
-
-function theme(context) {
+function theme(context, options) {
   const {
     baseUrl,
-    siteConfig: {title, url, favicon},
+    i18n,
+    siteDir,
+    siteConfig,
   } = context;
+  const {
+    indexer,
+    staticSearchResults,
+    openSearch,
+    searchPages,
+    scopedSearchKeys,
+    relatedDocs,
+  } = options;
+  const {
+    searchMode,
+    typesenseServerConfig,
+    typesenseCollectionName,
+    typesenseSearchParameters,
+    highlight,
+    analytics,
+  } = siteConfig.themeConfig.typesense;
+
+  assertDistinctApiKeys({
+    typesenseServerConfig,
+    indexerServerConfig: indexer.typesenseServerConfig,
+  });
+
+  // Pre-rendered results are served at `/<searchPagePath>/<query slug>`
+  if (
+    options.searchPagePath === false &&
+    staticSearchResults.queries.length > 0
+  ) {
+    throw new Error(
+      'staticSearchResults needs the search page: it cannot be used with searchPagePath set to false.',
+    );
+  }
+
+  // The local index is only generated after the pages are rendered
+  if (searchMode === 'local' && staticSearchResults.queries.length > 0) {
+    throw new Error(
+      'staticSearchResults needs a Typesense server: it cannot be used with the "local" searchMode.',
+    );
+  }
+
+  if (searchMode === 'local' && scopedSearchKeys) {
+    throw new Error(
+      'scopedSearchKeys needs a Typesense server: it cannot be used with the "local" searchMode.',
+    );
+  }
+
+  // Every page searches with a scoped key: the key of themeConfig, shipped to
+  // every page, would search without the filters of the scopes
+  if (scopedSearchKeys && typesenseServerConfig.apiKey) {
+    throw new Error(
+      'themeConfig.typesense.typesenseServerConfig.apiKey is shipped to every page: remove it when the scopedSearchKeys theme option is set.',
+    );
+  }
+
+  if (scopedSearchKeys && analytics && analytics.typesense) {
+    throw new Error(
+      'analytics.typesense sends the events with the key of themeConfig: it cannot be used with the scopedSearchKeys theme option.',
+    );
+  }
+
+  if (
+    !scopedSearchKeys &&
+    typesenseServerConfig &&
+    !typesenseServerConfig.apiKey
+  ) {
+    throw new Error(
+      'themeConfig.typesense.typesenseServerConfig.apiKey is required, unless the scopedSearchKeys theme option is set.',
+    );
+  }
+
+  if (searchMode === 'local' && relatedDocs.pregenerate) {
+    throw new Error(
+      'relatedDocs.pregenerate needs a Typesense server: it cannot be used with the "local" searchMode.',
+    );
+  }
+
+  // Typesense only accepts scoped keys derived from a search-only key
+  if (
+    scopedSearchKeys &&
+    indexer.typesenseServerConfig &&
+    scopedSearchKeys.parentApiKey === indexer.typesenseServerConfig.apiKey
+  ) {
+    throw new Error(
+      'scopedSearchKeys.parentApiKey is the same key as the one used by the indexer: use a search-only API key instead.',
+    );
+  }
+
+  // Searches made at build time, for the pre-rendered results and the related
+  // docs, use the parent of the scoped keys instead of the key of themeConfig
+  const buildServerConfig =
+    scopedSearchKeys && typesenseServerConfig
+      ? {...typesenseServerConfig, apiKey: scopedSearchKeys.parentApiKey}
+      : typesenseServerConfig;
+
+  const searchPagePath =
+    options.searchPagePath === false
+      ? null
+      : normalizeUrl([baseUrl, options.searchPagePath]);
+  // Browsers can only search the site through the search page
+  const openSearchDescription = searchPagePath
+    ? getOpenSearchDescription({
+        siteConfig,
+        baseUrl,
+        i18n,
+        searchPagePath,
+        openSearch,
+      })
+    : null;
+
+  // Versions of the docs plugins, for the contextual filters of the related
+  // docs searched at build time
+  let docsPluginsTags = [];
+  // Module loading the scoped search keys, written once the docs are loaded
+  let scopedSearchKeysModulePath = null;
+
   const pageComponent = './theme/SearchPage/index.js';
   const pagePath =
     path.resolve(__dirname, pageComponent);
+  const customReporterPath =
+    analytics && analytics.customReporter
+      ? path.resolve(siteDir, analytics.customReporter)
+      : null;
 
   return {
     name: 'docusaurus-theme-search-typesense',
@@ -41,34 +180,280 @@ function theme(context) {
     },
 
     getPathsToWatch() {
-      return [pagePath];
+      return [pagePath, customReporterPath].filter(Boolean);
+    },
+
+    configureWebpack() {
+      return {
+        resolve: {
+          alias: {
+            // `false` resolves to an empty module
+            [ANALYTICS_REPORTER_ALIAS]: customReporterPath || false,
+            [SCOPED_SEARCH_KEYS_ALIAS]: scopedSearchKeysModulePath || false,
+          },
+        },
+      };
+    },
+
+    async loadContent() {
+      // The indexer already needs the server, which is then checked by
+      // default, without failing the build when the check cannot be made
+      const verifyApiKey =
+        options.verifySearchOnlyApiKey === undefined
+          ? indexer.enabled
+          : options.verifySearchOnlyApiKey;
+
+      // The scoped keys cannot do more than their parent key
+      if (verifyApiKey && buildServerConfig) {
+        await verifySearchOnlyApiKey(buildServerConfig, {
+          failIfUnreachable: options.verifySearchOnlyApiKey === true,
+        });
+      }
     },
 
-    async contentLoaded({actions: {addRoute}}) {
-      addRoute({
-        path: normalizeUrl([baseUrl, 'search']),
-        component: pagePath,
-        exact: true,
+    async contentLoaded({
+      actions: {addRoute, setGlobalData, createData},
+      allContent,
+    }) {
+      if (searchPagePath) {
+        addRoute({
+          path: searchPagePath,
+          component: pagePath,
+          exact: true,
+        });
+      }
+
+      const namedSearchPages = await Promise.all(
+        searchPages.map(async (searchPage) => {
+          const namedSearchPagePath = normalizeUrl([baseUrl, searchPage.path]);
+
+          addRoute({
+            path: namedSearchPagePath,
+            component: pagePath,
+            exact: true,
+            modules: {
+              namedSearchPage: await createData(
+                `search-page-${searchPage.name}.json`,
+                JSON.stringify({...searchPage, path: namedSearchPagePath}),
+              ),
+            },
+          });
+
+          return {name: searchPage.name, path: namedSearchPagePath};
+        }),
+      );
+
+      let staticSearchPages = [];
+      if (staticSearchResults.queries.length > 0) {
+        try {
+          const results = await fetchStaticSearchResults({
+            typesenseServerConfig: buildServerConfig,
+            collectionName: typesenseCollectionName,
+            queries: staticSearchResults.queries,
+            hitsPerPage: staticSearchResults.hitsPerPage,
+            locale: i18n.currentLocale,
+            typesenseSearchParameters,
+            snippetLength: highlight && highlight.snippetLength,
+          });
+
+          staticSearchPages = await Promise.all(
+            results.map(async (result, index) => {
+              const staticSearchPagePath = normalizeUrl([
+                searchPagePath,
+                result.slug,
+              ]);
+
+              addRoute({
+                path: staticSearchPagePath,
+                component: pagePath,
+                exact: true,
+                modules: {
+                  staticSearchResults: await createData(
+                    `static-search-results-${index}.json`,
+                    JSON.stringify(result),
+                  ),
+                },
+              });
+
+              return {query: result.query, path: staticSearchPagePath};
+            }),
+          );
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Pre-rendering the search results failed: ${err}`);
+        }
+      }
+
+      // The keys are left out of the global data, shipped to every page
+      let scopedSearchKeysData = [];
+      if (scopedSearchKeys) {
+        try {
+          const keys = getScopedSearchKeys({
+            scopedSearchKeys,
+            allContent,
+            baseUrl,
+            currentLocale: i18n.currentLocale,
+          });
+          const keyModules = await Promise.all(
+            keys.map(async ({name, apiKey}, index) => ({
+              name,
+              modulePath: await createData(
+                `scoped-search-key-${index}.json`,
+                JSON.stringify({apiKey}),
+              ),
+            })),
+          );
+          scopedSearchKeysModulePath = await createData(
+            'scoped-search-keys.js',
+            getScopedSearchKeysModule(keyModules),
+          );
+          scopedSearchKeysData = keys.map((key) => omit(key, 'apiKey'));
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Generating the scoped search keys failed: ${err}`);
+        }
+      }
+
+      docsPluginsTags = getDocsPluginsTags(allContent);
+
+      setGlobalData({
+        localIndexUrl: normalizeUrl([baseUrl, LOCAL_INDEX_FILENAME]),
+        scopedSearchKeys: scopedSearchKeysData,
+        relatedDocs: {
+          limit: relatedDocs.limit,
+          pregeneratedUrl: relatedDocs.pregenerate
+            ? normalizeUrl([baseUrl, RELATED_DOCS_DIRNAME])
+            : null,
+        },
+        searchPagePath,
+        searchPages: namedSearchPages,
+        staticSearchPages,
+        noscriptSearchUrl:
+          staticSearchResults.noscriptSearchUrl || searchPagePath,
       });
     },
 
     async postBuild({outDir}) {
-      try {
-        fs.writeFileSync(
-          path.join(outDir, OPEN_SEARCH_FILENAME),
-          renderOpenSearchTemplate({
-            title,
-            url: url + baseUrl,
-            favicon: favicon ? normalizeUrl([url, baseUrl, favicon]) : null,
-          }),
-        );
-      } catch (err) {
-        console.error(err);
-        throw new Error(`Generating OpenSearch file failed: ${err}`);
+      // Records of the built pages, read once for the local index, the
+      // OpenSearch suggestions and the related docs
+      const getRecords = memoize(() =>
+        collectRecords({
+          outDir,
+          siteConfig,
+          i18n,
+          selectors: indexer.selectors,
+        }),
+      );
+
+      if (openSearchDescription) {
+        try {
+          fs.writeFileSync(
+            path.join(outDir, OPEN_SEARCH_FILENAME),
+            renderOpenSearchTemplate(openSearchDescription),
+          );
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Generating OpenSearch file failed: ${err}`);
+        }
+      }
+
+      if (
+        openSearchDescription &&
+        openSearch.suggestions &&
+        !openSearch.suggestions.url
+      ) {
+        try {
+          const records = await getRecords();
+          const suggestionsDir = path.join(
+            outDir,
+            OPEN_SEARCH_SUGGESTIONS_DIRNAME,
+          );
+          fs.mkdirSync(suggestionsDir, {recursive: true});
+          getOpenSearchSuggestions(
+            [
+              ...staticSearchResults.queries,
+              ...records
+                .filter(({type}) => type === 'lvl1')
+                .map((record) => record['hierarchy.lvl1']),
+            ],
+            openSearch.suggestions,
+          ).forEach((suggestion) => {
+            fs.writeFileSync(
+              path.join(suggestionsDir, `${suggestion[0]}.json`),
+              JSON.stringify(suggestion),
+            );
+          });
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Generating OpenSearch suggestions failed: ${err}`);
+        }
+      }
+
+      if (searchMode === 'local' || searchMode === 'local-fallback') {
+        try {
+          const records = await getRecords();
+          fs.writeFileSync(
+            path.join(outDir, LOCAL_INDEX_FILENAME),
+            JSON.stringify(createLocalIndex(records)),
+          );
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Generating the local search index failed: ${err}`);
+        }
+      }
+
+      if (indexer.enabled) {
+        try {
+          const {collectionName, recordsCount} = await indexSite({
+            outDir,
+            siteConfig,
+            i18n,
+            alias:
+              indexer.collectionName ||
+              siteConfig.themeConfig.typesense.typesenseCollectionName,
+            options: indexer,
+          });
+          console.log(
+            `Indexed ${recordsCount} records into Typesense collection "${collectionName}".`,
+          );
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Indexing the site into Typesense failed: ${err}`);
+        }
+      }
+
+      // Searched once the site is indexed, to find the pages just built
+      if (relatedDocs.pregenerate) {
+        try {
+          const results = await fetchRelatedDocs({
+            typesenseServerConfig: buildServerConfig,
+            collectionName: typesenseCollectionName,
+            records: await getRecords(),
+            limit: relatedDocs.limit,
+            locale: i18n.currentLocale,
+            docsPluginsTags,
+          });
+          results.forEach(({pathname, items}) => {
+            const filePath = path.join(
+              outDir,
+              RELATED_DOCS_DIRNAME,
+              `${getRelatedDocsPageKey(pathname, baseUrl)}.json`,
+            );
+            fs.mkdirSync(path.dirname(filePath), {recursive: true});
+            fs.writeFileSync(filePath, JSON.stringify(items));
+          });
+        } catch (err) {
+          console.error(err);
+          throw new Error(`Pre-generating the related docs failed: ${err}`);
+        }
       }
     },
 
     injectHtmlTags() {
+      if (!openSearchDescription) {
+        return {};
+      }
+
       return {
         headTags: [
           {
@@ -76,7 +461,7 @@ function theme(context) {
             attributes: {
               rel: 'search',
               type: 'application/opensearchdescription+xml',
-              title,
+              title: openSearchDescription.shortName,
               href: normalizeUrl([baseUrl, OPEN_SEARCH_FILENAME]),
             },
           },
@@ -89,3 +474,4 @@ function theme(context) {
 module.exports = theme;
 
 theme.validateThemeConfig = validateThemeConfig;
+theme.validateOptions = validateOptions;
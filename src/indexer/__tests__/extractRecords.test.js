@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {extractRecords} = require('../extractRecords');
+
+function readFixture(filePath) {
+  return fs.readFileSync(
+    path.join(__dirname, '__fixtures__/build', filePath),
+    'utf8',
+  );
+}
+
+describe('extractRecords', () => {
+  test('docs page', () => {
+    const records = extractRecords(readFixture('docs/intro/index.html'), {
+      url: 'https://example.com/docs/intro',
+    });
+
+    expect(records).toEqual([
+      {
+        url: 'https://example.com/docs/intro',
+        url_without_anchor: 'https://example.com/docs/intro',
+        type: 'lvl1',
+        language: 'en',
+        version: ['current'],
+        docusaurus_tag: 'docs-default-current',
+        item_priority: 60,
+        'hierarchy.lvl0': 'Docs',
+        'hierarchy.lvl1': 'Introduction',
+      },
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro',
+        type: 'content',
+        content: 'Welcome to the documentation.',
+        item_priority: 0,
+        'hierarchy.lvl1': 'Introduction',
+      }),
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro#getting-started',
+        anchor: 'getting-started',
+        type: 'lvl2',
+        'hierarchy.lvl2': 'Getting started',
+      }),
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro#getting-started',
+        type: 'content',
+        content: 'Install the package.',
+      }),
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro#getting-started',
+        type: 'content',
+        content: 'Run the build',
+      }),
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro#requirements',
+        anchor: 'requirements',
+        type: 'lvl3',
+        'hierarchy.lvl2': 'Getting started',
+        'hierarchy.lvl3': 'Requirements',
+      }),
+      expect.objectContaining({
+        url: 'https://example.com/docs/intro#requirements',
+        type: 'content',
+        content: 'Node.js 12 or above.',
+        'hierarchy.lvl3': 'Requirements',
+      }),
+    ]);
+  });
+
+  test('page without lvl0 match', () => {
+    const records = extractRecords(readFixture('index.html'), {
+      url: 'https://example.com/',
+    });
+
+    expect(records[0]).toEqual({
+      url: 'https://example.com/',
+      url_without_anchor: 'https://example.com/',
+      type: 'lvl1',
+      language: 'en',
+      docusaurus_tag: 'default',
+      item_priority: 60,
+      'hierarchy.lvl0': 'Documentation',
+      'hierarchy.lvl1': 'My Site',
+    });
+  });
+
+  test('blog post', () => {
+    const html = `
+      <meta name="docsearch:docusaurus_tag" content="default">
+      <article>
+        <header>
+          <h1>Release 2.0</h1>
+          <time datetime="2022-08-01T00:00:00.000Z" itemprop="datePublished">August 1, 2022</time>
+          <div itemprop="author"><span itemprop="name">Ada</span></div>
+          <div itemprop="author"><span itemprop="name">Grace</span></div>
+        </header>
+        <p>Highlights of the release.</p>
+      </article>`;
+
+    expect(
+      extractRecords(html, {url: 'https://example.com/blog/release'}),
+    ).toEqual([
+      expect.objectContaining({
+        type: 'lvl1',
+        date: '2022-08-01T00:00:00.000Z',
+        authors: ['Ada', 'Grace'],
+      }),
+      expect.objectContaining({
+        type: 'content',
+        date: '2022-08-01T00:00:00.000Z',
+        authors: ['Ada', 'Grace'],
+      }),
+    ]);
+  });
+
+  test('blog list page', () => {
+    const html = `
+      <meta name="docsearch:docusaurus_tag" content="blog_posts_list">
+      <article>
+        <h2>First post</h2>
+        <time datetime="2022-08-01T00:00:00.000Z" itemprop="datePublished">August 1, 2022</time>
+      </article>
+      <article>
+        <h2>Second post</h2>
+        <time datetime="2022-09-01T00:00:00.000Z" itemprop="datePublished">September 1, 2022</time>
+      </article>`;
+
+    extractRecords(html, {url: 'https://example.com/blog'}).forEach(
+      (record) => {
+        expect(record).not.toHaveProperty('date');
+      },
+    );
+  });
+
+  test('noindex page', () => {
+    expect(
+      extractRecords(readFixture('search/index.html'), {
+        url: 'https://example.com/search',
+      }),
+    ).toEqual([]);
+  });
+});
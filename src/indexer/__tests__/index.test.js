@@ -0,0 +1,217 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const {indexSite, collectRecords} = require('../index');
+
+const outDir = path.join(__dirname, '__fixtures__/build');
+
+const siteConfig = {
+  url: 'https://example.com',
+  baseUrl: '/',
+};
+
+const options = {
+  batchSize: 2,
+  deletePreviousCollection: true,
+};
+
+// In-memory stand-in for the parts of the Typesense client used by the indexer
+function createTypesenseStandIn({aliases = {}, failImport = false} = {}) {
+  const collections = {};
+
+  return {
+    collections: (name) =>
+      name === undefined
+        ? {
+            create: async (schema) => {
+              collections[schema.name] = {schema, documents: []};
+            },
+          }
+        : {
+            delete: async () => {
+              delete collections[name];
+            },
+            documents: () => ({
+              import: async (documents) => {
+                if (failImport) {
+                  throw new Error('Import failed');
+                }
+                collections[name].documents.push(
+                  ...documents.map((document, index) => ({
+                    id: String(collections[name].documents.length + index),
+                    ...document,
+                  })),
+                );
+              },
+              // Only the filter of the indexer is supported
+              export: async ({filter_by: filterBy}) => {
+                const [, locale] = filterBy.match(/^language:!=\[`(.+)`\]$/);
+                return collections[name].documents
+                  .filter(({language}) => language !== locale)
+                  .map((document) => JSON.stringify(document))
+                  .join('\n');
+              },
+            }),
+          },
+    aliases: (alias) =>
+      alias === undefined
+        ? {
+            upsert: async (aliasName, {collection_name: collectionName}) => {
+              aliases[aliasName] = collectionName;
+            },
+          }
+        : {
+            retrieve: async () => {
+              if (!aliases[alias]) {
+                const error = new Error('Not Found');
+                error.httpStatus = 404;
+                throw error;
+              }
+              return {name: alias, collection_name: aliases[alias]};
+            },
+          },
+    state: {collections, aliases},
+  };
+}
+
+describe('collectRecords', () => {
+  test('skips 404 and noindex pages', async () => {
+    const records = await collectRecords({
+      outDir,
+      siteConfig,
+    });
+
+    expect([...new Set(records.map((r) => r.url_without_anchor))]).toEqual([
+      'https://example.com/docs/intro',
+      'https://example.com/',
+    ]);
+  });
+
+  test('trailingSlash config', async () => {
+    const records = await collectRecords({
+      outDir,
+      siteConfig: {...siteConfig, trailingSlash: true},
+    });
+
+    expect(records[0].url_without_anchor).toBe(
+      'https://example.com/docs/intro/',
+    );
+  });
+
+  test('skips other locales when building the default locale', async () => {
+    const records = await collectRecords({
+      outDir,
+      siteConfig,
+      i18n: {defaultLocale: 'en', currentLocale: 'en', locales: ['en', 'docs']},
+    });
+
+    expect(records.map((r) => r.url_without_anchor)).not.toContain(
+      'https://example.com/docs/intro',
+    );
+  });
+});
+
+describe('indexSite', () => {
+  test('creates a collection and points the alias to it', async () => {
+    const client = createTypesenseStandIn();
+
+    const {collectionName, recordsCount} = await indexSite({
+      outDir,
+      siteConfig,
+      alias: 'docs',
+      options,
+      client,
+    });
+
+    expect(collectionName).toMatch(/^docs_\d+$/);
+    expect(client.state.aliases).toEqual({docs: collectionName});
+    expect(client.state.collections[collectionName].documents).toHaveLength(
+      recordsCount,
+    );
+  });
+
+  test('deletes the previously aliased collection', async () => {
+    const client = createTypesenseStandIn({aliases: {docs: 'docs_1'}});
+    await client.collections().create({name: 'docs_1'});
+
+    const {collectionName} = await indexSite({
+      outDir,
+      siteConfig,
+      alias: 'docs',
+      options,
+      client,
+    });
+
+    expect(Object.keys(client.state.collections)).toEqual([collectionName]);
+  });
+
+  test('keeps the previously aliased collection', async () => {
+    const client = createTypesenseStandIn({aliases: {docs: 'docs_1'}});
+    await client.collections().create({name: 'docs_1'});
+
+    await indexSite({
+      outDir,
+      siteConfig,
+      alias: 'docs',
+      options: {...options, deletePreviousCollection: false},
+      client,
+    });
+
+    expect(Object.keys(client.state.collections)).toContain('docs_1');
+  });
+
+  test('leaves the alias untouched when the import fails', async () => {
+    const client = createTypesenseStandIn({
+      aliases: {docs: 'docs_1'},
+      failImport: true,
+    });
+    await client.collections().create({name: 'docs_1'});
+
+    await expect(
+      indexSite({outDir, siteConfig, alias: 'docs', options, client}),
+    ).rejects.toThrow('Import failed');
+    expect(client.state.aliases).toEqual({docs: 'docs_1'});
+    expect(Object.keys(client.state.collections)).toEqual(['docs_1']);
+  });
+
+  test('keeps the other locales of an i18n site', async () => {
+    const client = createTypesenseStandIn();
+    const locales = ['en', 'fr'];
+    const buildLocale = (currentLocale, localeOutDir, baseUrl) =>
+      indexSite({
+        outDir: localeOutDir,
+        siteConfig: {...siteConfig, baseUrl},
+        i18n: {defaultLocale: 'en', currentLocale, locales},
+        alias: 'docs',
+        options,
+        client,
+      });
+
+    await buildLocale('en', outDir, '/');
+    const {collectionName} = await buildLocale(
+      'fr',
+      path.join(__dirname, '__fixtures__/build-fr'),
+      '/fr/',
+    );
+
+    const {documents} = client.state.collections[collectionName];
+    expect(Object.keys(client.state.collections)).toEqual([collectionName]);
+    expect(client.state.aliases).toEqual({docs: collectionName});
+    expect([...new Set(documents.map(({language}) => language))]).toEqual([
+      'en',
+      'fr',
+    ]);
+    expect(new Set(documents.map(({id}) => id)).size).toBe(documents.length);
+    expect(documents.map((document) => document.url_without_anchor)).toEqual(
+      expect.arrayContaining([
+        'https://example.com/docs/intro',
+        'https://example.com/fr/docs/intro',
+      ]),
+    );
+  });
+});
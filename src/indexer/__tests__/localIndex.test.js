@@ -0,0 +1,25 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {createLocalIndex} = require('../localIndex');
+
+describe('createLocalIndex', () => {
+  test('stores each field name once', () => {
+    expect(
+      createLocalIndex([
+        {url: 'https://example.com/', type: 'lvl1'},
+        {url: 'https://example.com/', type: 'content', content: 'Text'},
+      ]),
+    ).toEqual({
+      fields: ['url', 'type', 'content'],
+      documents: [
+        ['https://example.com/', 'lvl1', null],
+        ['https://example.com/', 'content', 'Text'],
+      ],
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const cheerio = require('cheerio');
+const {omitBy} = require('lodash');
+
+// Same selectors as the Docusaurus v2 DocSearch scraper config
+const DEFAULT_SELECTORS = {
+  lvl0: '.menu__link--sublist.menu__link--active, .navbar__item.navbar__link--active',
+  lvl1: 'header h1, article h1',
+  lvl2: 'article h2',
+  lvl3: 'article h3',
+  lvl4: 'article h4',
+  lvl5: 'article h5, article td:first-child',
+  lvl6: 'article h6',
+  text: 'article p, article li, article td:last-child',
+};
+exports.DEFAULT_SELECTORS = DEFAULT_SELECTORS;
+
+const DEFAULT_LVL0 = 'Documentation';
+
+const LEVELS = [1, 2, 3, 4, 5, 6];
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Blog posts are marked up with schema.org microdata, which also appears once
+// per post on the blog list pages: only single posts get a date and authors
+function getBlogPostMetadata($) {
+  const $date = $('[itemprop="datePublished"]');
+  if ($date.length !== 1) {
+    return {};
+  }
+
+  const authors = $('[itemprop="author"] [itemprop="name"]')
+    .toArray()
+    .map((element) => normalizeText($(element).text()))
+    .filter(Boolean);
+
+  return {
+    date: $date.attr('datetime') || undefined,
+    authors: authors.length > 0 ? authors : undefined,
+  };
+}
+
+function isNoIndex($) {
+  // The search page uses `property` instead of `name`, accept both
+  return $('meta[name="robots"], meta[property="robots"]')
+    .toArray()
+    .some((meta) => /noindex/i.test($(meta).attr('content') || ''));
+}
+
+// Turns one built HTML page into Typesense documents, using the record shape
+// of the DocSearch scraper: one record per heading and per text block, each
+// carrying the hierarchy of headings it is nested under
+exports.extractRecords = function extractRecords(
+  html,
+  {url, selectors = DEFAULT_SELECTORS},
+) {
+  const $ = cheerio.load(html);
+
+  if (isNoIndex($)) {
+    return [];
+  }
+
+  // Heading permalinks would otherwise end up in the heading text
+  $('.hash-link').remove();
+
+  const getMeta = (name) =>
+    $(`meta[name="docsearch:${name}"]`).attr('content') || undefined;
+  const language = getMeta('language');
+  const version = getMeta('version');
+  const docusaurusTag = getMeta('docusaurus_tag');
+  const {date, authors} = getBlogPostMetadata($);
+
+  const hierarchy = {
+    lvl0: normalizeText($(selectors.lvl0).last().text()) || DEFAULT_LVL0,
+  };
+  let anchor = null;
+  const records = [];
+
+  const contentSelector = [
+    ...LEVELS.map((level) => selectors[`lvl${level}`]),
+    selectors.text,
+  ].join(', ');
+
+  $(contentSelector).each((_, element) => {
+    const $element = $(element);
+    const text = normalizeText($element.text());
+
+    if (!text) {
+      return;
+    }
+
+    const level = LEVELS.find((lvl) => $element.is(selectors[`lvl${lvl}`]));
+
+    if (level) {
+      hierarchy[`lvl${level}`] = text;
+      LEVELS.filter((lvl) => lvl > level).forEach((lvl) => {
+        delete hierarchy[`lvl${lvl}`];
+      });
+      anchor = $element.attr('id') || (level === 1 ? null : anchor);
+    }
+
+    const record = {
+      url: anchor ? `${url}#${anchor}` : url,
+      url_without_anchor: url,
+      anchor,
+      type: level ? `lvl${level}` : 'content',
+      content: level ? null : text,
+      language,
+      version: version ? [version] : undefined,
+      docusaurus_tag: docusaurusTag,
+      date,
+      authors,
+      // Headings rank above the text they introduce
+      item_priority: level ? (LEVELS.length + 1 - level) * 10 : 0,
+    };
+
+    Object.entries(hierarchy).forEach(([lvl, value]) => {
+      record[`hierarchy.${lvl}`] = value;
+    });
+
+    records.push(omitBy(record, (value) => value == null));
+  });
+
+  return records;
+};
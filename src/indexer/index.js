@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Typesense = require('typesense');
+const {Globby, normalizeUrl, posixPath} = require('@docusaurus/utils');
+const {chunk, omit} = require('lodash');
+const {buildFilter, notEq} = require('../filterBuilder');
+const {extractRecords, DEFAULT_SELECTORS} = require('./extractRecords');
+
+// Mirrors the collection schema created by the DocSearch scraper, so that
+// SearchBar and SearchPage can query either one
+const COLLECTION_SCHEMA = {
+  fields: [
+    {name: 'anchor', type: 'string', optional: true},
+    {name: 'content', type: 'string', optional: true},
+    {name: 'url', type: 'string', facet: true},
+    {name: 'url_without_anchor', type: 'string', facet: true, optional: true},
+    {name: 'version', type: 'string[]', facet: true, optional: true},
+    {name: 'hierarchy.lvl0', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl1', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl2', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl3', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl4', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl5', type: 'string', facet: true, optional: true},
+    {name: 'hierarchy.lvl6', type: 'string', facet: true, optional: true},
+    {name: 'type', type: 'string', facet: true, optional: true},
+    {name: 'language', type: 'string', facet: true, optional: true},
+    {name: 'docusaurus_tag', type: 'string', facet: true, optional: true},
+    {name: 'date', type: 'string', optional: true},
+    {name: 'authors', type: 'string[]', facet: true, optional: true},
+    {name: 'item_priority', type: 'int64'},
+  ],
+  default_sorting_field: 'item_priority',
+  token_separators: ['_', '-'],
+};
+exports.COLLECTION_SCHEMA = COLLECTION_SCHEMA;
+
+function filePathToRoutePath(filePath, trailingSlash) {
+  const {dir, name} = path.posix.parse(posixPath(filePath));
+
+  if (name !== 'index') {
+    return `${dir ? `${dir}/` : ''}${name}`;
+  }
+  if (!dir) {
+    return '';
+  }
+
+  return trailingSlash === true ? `${dir}/` : dir;
+}
+
+async function collectRecords({
+  outDir,
+  siteConfig,
+  i18n = {},
+  selectors = {},
+}) {
+  // The default locale is built at the root of the build dir, alongside the
+  // other locales' sub-directories
+  const otherLocalesDirs =
+    i18n.currentLocale === i18n.defaultLocale
+      ? (i18n.locales || [])
+          .filter((locale) => locale !== i18n.defaultLocale)
+          .map((locale) => `${locale}/**`)
+      : [];
+  const htmlFiles = await Globby('**/*.html', {
+    cwd: outDir,
+    ignore: ['404.html', ...otherLocalesDirs],
+  });
+
+  return htmlFiles.sort().flatMap((htmlFile) =>
+    extractRecords(fs.readFileSync(path.join(outDir, htmlFile), 'utf8'), {
+      url: normalizeUrl([
+        siteConfig.url,
+        siteConfig.baseUrl,
+        filePathToRoutePath(htmlFile, siteConfig.trailingSlash),
+      ]),
+      selectors: {...DEFAULT_SELECTORS, ...selectors},
+    }),
+  );
+}
+exports.collectRecords = collectRecords;
+
+async function retrieveAliasedCollectionName(client, alias) {
+  try {
+    const {collection_name: collectionName} = await client
+      .aliases(alias)
+      .retrieve();
+    return collectionName;
+  } catch (err) {
+    if (err.httpStatus === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Records of the locales other than `locale` in `collectionName`, without
+// their ids, which the new collection assigns again
+async function exportOtherLocalesRecords(client, collectionName, locale) {
+  const jsonl = await client
+    .collections(collectionName)
+    .documents()
+    .export({filter_by: buildFilter(notEq('language', locale))});
+
+  return jsonl
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => omit(JSON.parse(line), 'id'));
+}
+
+// Indexes the built site into a fresh collection, then points the alias at it
+// so that the live collection is replaced atomically. On i18n sites, postBuild
+// runs once per locale: the records of the other locales are carried over from
+// the previous collection, so that each build only replaces its own locale.
+exports.indexSite = async function indexSite({
+  outDir,
+  siteConfig,
+  i18n,
+  alias,
+  options: {
+    typesenseServerConfig,
+    batchSize,
+    selectors,
+    deletePreviousCollection,
+  },
+  client = new Typesense.Client(typesenseServerConfig),
+}) {
+  const records = await collectRecords({outDir, siteConfig, i18n, selectors});
+  const collectionName = `${alias}_${Date.now()}`;
+  const previousCollectionName = await retrieveAliasedCollectionName(
+    client,
+    alias,
+  );
+
+  const otherLocalesRecords =
+    previousCollectionName && i18n && (i18n.locales || []).length > 1
+      ? await exportOtherLocalesRecords(
+          client,
+          previousCollectionName,
+          i18n.currentLocale,
+        )
+      : [];
+  const collectionRecords = [...otherLocalesRecords, ...records];
+
+  await client
+    .collections()
+    .create({...COLLECTION_SCHEMA, name: collectionName});
+
+  try {
+    // One batch at a time, so that the server is not sent every batch at once
+    for (const batch of chunk(collectionRecords, batchSize)) {
+      await client
+        .collections(collectionName)
+        .documents()
+        .import(batch, {action: 'upsert'});
+    }
+
+    await client.aliases().upsert(alias, {collection_name: collectionName});
+  } catch (err) {
+    // Do not leave a half-filled collection behind, the alias still points
+    // to the previous one
+    await client.collections(collectionName).delete();
+    throw err;
+  }
+
+  if (deletePreviousCollection && previousCollectionName) {
+    await client.collections(previousCollectionName).delete();
+  }
+
+  return {collectionName, recordsCount: records.length};
+};
@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const LOCAL_INDEX_FILENAME = 'search-index.json';
+exports.LOCAL_INDEX_FILENAME = LOCAL_INDEX_FILENAME;
+
+// Stores field names once and one array of values per record, instead of
+// repeating every key in every record. Decoded in the browser by
+// `decodeLocalIndex()` from `@theme/utils/localSearch`.
+exports.createLocalIndex = function createLocalIndex(records) {
+  const fields = [...new Set(records.flatMap((record) => Object.keys(record)))];
+
+  return {
+    fields,
+    documents: records.map((record) =>
+      fields.map((field) => (record[field] === undefined ? null : record[field])),
+    ),
+  };
+};
@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const eta = require('eta');
+const {memoize, truncate, upperFirst} = require('lodash');
+const {normalizeUrl} = require('@docusaurus/utils');
+const openSearchTemplate = require('./templates/opensearch');
+
+const OPEN_SEARCH_FILENAME = 'opensearch.xml';
+exports.OPEN_SEARCH_FILENAME = OPEN_SEARCH_FILENAME;
+
+const OPEN_SEARCH_SUGGESTIONS_DIRNAME = 'opensearch-suggestions';
+exports.OPEN_SEARCH_SUGGESTIONS_DIRNAME = OPEN_SEARCH_SUGGESTIONS_DIRNAME;
+
+const getCompiledOpenSearchTemplate = memoize(() => {
+  return eta.compile(openSearchTemplate.trim());
+});
+
+function renderOpenSearchTemplate(data) {
+  const compiled = getCompiledOpenSearchTemplate();
+  return compiled(data, eta.defaultConfig);
+}
+exports.renderOpenSearchTemplate = renderOpenSearchTemplate;
+
+const isAbsoluteUrl = (url) => /^https?:\/\//.test(url);
+
+// Maximum length of the `ShortName` of the description
+const SHORT_NAME_MAX_LENGTH = 16;
+
+// Each locale is built under its own base URL, with its own descriptor: the
+// `locales` options override the other ones for the locale being built
+function getOpenSearchDescription({
+  siteConfig: {title, url, favicon},
+  baseUrl,
+  i18n: {currentLocale, localeConfigs = {}},
+  searchPagePath,
+  openSearch,
+}) {
+  const {locales = {}, ...options} = openSearch;
+  const {
+    shortName = title,
+    longName,
+    description = `Search ${shortName}`,
+    tags = [],
+    contact,
+    images = [],
+    suggestions,
+  } = {...options, ...locales[currentLocale]};
+  const siteUrl = normalizeUrl([url, baseUrl]);
+  const toAbsoluteUrl = (imageUrl) =>
+    isAbsoluteUrl(imageUrl) ? imageUrl : normalizeUrl([siteUrl, imageUrl]);
+  const localeConfig = localeConfigs[currentLocale] || {};
+
+  let suggestionsUrl = null;
+  if (suggestions) {
+    suggestionsUrl = suggestions.url
+      ? toAbsoluteUrl(suggestions.url)
+      : `${normalizeUrl([
+          siteUrl,
+          OPEN_SEARCH_SUGGESTIONS_DIRNAME,
+        ])}/{searchTerms}.json`;
+  }
+
+  return {
+    // The site title is shortened, the configured names are validated
+    shortName: truncate(shortName, {
+      length: SHORT_NAME_MAX_LENGTH,
+      separator: /,? +/,
+    }),
+    longName,
+    description,
+    tags,
+    contact,
+    language: localeConfig.htmlLang || currentLocale,
+    images: [
+      ...(favicon
+        ? [
+            {
+              url: toAbsoluteUrl(favicon),
+              width: 16,
+              height: 16,
+              type: 'image/x-icon',
+            },
+          ]
+        : []),
+      ...images.map((image) => ({...image, url: toAbsoluteUrl(image.url)})),
+    ],
+    searchUrl: `${normalizeUrl([url, searchPagePath])}?q={searchTerms}`,
+    suggestionsUrl,
+    url: normalizeUrl([siteUrl, OPEN_SEARCH_FILENAME]),
+    searchForm: siteUrl,
+  };
+}
+exports.getOpenSearchDescription = getOpenSearchDescription;
+
+// Characters that cannot be part of a file name, or that browsers do not
+// send as is in the path of the suggestions URL
+const UNSAFE_PREFIX_CHARACTER = /[\\/?#%*:"<>|\p{Cc}]/u;
+
+// Browsers replace `{searchTerms}` with the query as typed, URL-encoded, and
+// static hosts decode the path to find the file: prefixes keep their spaces
+// and punctuation, and are written in lowercase, in the case of the phrase
+// and capitalized. They stop at `maxPrefixLength` characters, or before the
+// first character that cannot be written to a file name.
+function getPrefixes(phrase, maxPrefixLength) {
+  const characters = Array.from(phrase);
+  const unsafeIndex = characters.findIndex((character) =>
+    UNSAFE_PREFIX_CHARACTER.test(character),
+  );
+  const maxLength = Math.min(
+    maxPrefixLength,
+    unsafeIndex === -1 ? characters.length : unsafeIndex,
+  );
+  const prefixes = new Set();
+
+  for (let length = 1; length <= maxLength; length += 1) {
+    const prefix = characters.slice(0, length).join('');
+    prefixes
+      .add(prefix.toLowerCase())
+      .add(prefix)
+      .add(upperFirst(prefix.toLowerCase()));
+  }
+
+  return [...prefixes];
+}
+
+// Static responses of the OpenSearch suggestions extension, one per prefix
+// typed: `[prefix, [completions]]`, written to `<prefix>.json`. Phrases are
+// suggested in order, once.
+exports.getOpenSearchSuggestions = function getOpenSearchSuggestions(
+  phrases,
+  {maxPrefixLength, limit},
+) {
+  const suggestions = new Map();
+  const uniquePhrases = phrases
+    .map((phrase) => phrase.trim())
+    .filter(
+      (phrase, index, array) =>
+        phrase &&
+        array.findIndex(
+          (otherPhrase) => otherPhrase.toLowerCase() === phrase.toLowerCase(),
+        ) === index,
+    );
+
+  uniquePhrases.forEach((phrase) => {
+    getPrefixes(phrase, maxPrefixLength).forEach((prefix) => {
+      const completions = suggestions.get(prefix) || [];
+      if (completions.length < limit) {
+        suggestions.set(prefix, [...completions, phrase]);
+      }
+    });
+  });
+
+  return [...suggestions];
+};
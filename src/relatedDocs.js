@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const Typesense = require('typesense');
+const {chunk} = require('lodash');
+const {and, buildFilter, eq} = require('./filterBuilder');
+const {
+  getRelatedDocs,
+  getRelatedDocsPageKey,
+  getRelatedDocsSearchParameters,
+} = require('./relatedDocsSearch');
+
+const DOCS_PLUGIN_NAME = 'docusaurus-plugin-content-docs';
+
+// Directory of the pre-generated related docs, in the output directory of
+// each locale. `@theme/TypesenseRelatedDocs` fetches them from there.
+const RELATED_DOCS_DIRNAME = 'related-docs';
+exports.RELATED_DOCS_DIRNAME = RELATED_DOCS_DIRNAME;
+exports.getRelatedDocsPageKey = getRelatedDocsPageKey;
+
+// Searches sent in each multi-search request
+const BATCH_SIZE = 50;
+
+// The `docusaurus_tag` of each version of the docs plugins, as set by
+// `@theme/SearchMetadata`, and the one of their last version
+exports.getDocsPluginsTags = function getDocsPluginsTags(allContent) {
+  const docsContent = allContent[DOCS_PLUGIN_NAME] || {};
+
+  return Object.entries(docsContent).map(([pluginId, {loadedVersions}]) => {
+    const tags = loadedVersions.map(
+      ({versionName}) => `docs-${pluginId}-${versionName}`,
+    );
+    const lastVersion =
+      loadedVersions.find(({isLast}) => isLast) || loadedVersions[0];
+
+    return {
+      tags,
+      lastVersionTag: `docs-${pluginId}-${lastVersion.versionName}`,
+    };
+  });
+};
+
+// Same tags as the Docusaurus contextual search on the page, without the
+// versions the reader prefers: the version of the page for its own docs, the
+// last version of the other docs
+function getContextualTags(pageTag, docsPluginsTags) {
+  return [
+    'default',
+    ...docsPluginsTags.map(({tags, lastVersionTag}) =>
+      tags.includes(pageTag) ? pageTag : lastVersionTag,
+    ),
+  ];
+}
+
+// The docs pages of the records of the indexer, with the title and headings
+// the related docs are searched with
+function getDocsPages(records) {
+  const pages = new Map();
+
+  records
+    .filter(
+      ({docusaurus_tag: docusaurusTag}) =>
+        docusaurusTag && docusaurusTag.startsWith('docs-'),
+    )
+    .forEach((record) => {
+      const url = record.url_without_anchor;
+      if (!pages.has(url)) {
+        pages.set(url, {
+          url,
+          language: record.language,
+          tag: record.docusaurus_tag,
+          title: record['hierarchy.lvl1'],
+          headings: [],
+        });
+      }
+
+      const page = pages.get(url);
+      if (record.type === 'lvl2' || record.type === 'lvl3') {
+        page.headings.push(record[`hierarchy.${record.type}`]);
+      }
+    });
+
+  return [...pages.values()].filter(({title}) => title);
+}
+
+// Searches the related docs of every docs page once at build time, so that
+// `@theme/TypesenseRelatedDocs` does not search them at runtime
+exports.fetchRelatedDocs = async function fetchRelatedDocs(
+  {
+    typesenseServerConfig,
+    collectionName,
+    records,
+    limit,
+    locale,
+    docsPluginsTags,
+  },
+  {client = new Typesense.Client(typesenseServerConfig)} = {},
+) {
+  const relatedDocs = [];
+
+  // One multi-search at a time, so that the server is not sent every batch at
+  // once
+  for (const batch of chunk(getDocsPages(records), BATCH_SIZE)) {
+    const {results} = await client.multiSearch.perform(
+      {
+        searches: batch.map((page) => ({
+          ...getRelatedDocsSearchParameters(page, {limit}),
+          filter_by: buildFilter(
+            and(
+              eq('language', [page.language || locale]),
+              eq(
+                'docusaurus_tag',
+                getContextualTags(page.tag, docsPluginsTags),
+              ),
+            ),
+          ),
+        })),
+      },
+      {collection: collectionName},
+    );
+
+    batch.forEach((page, index) => {
+      const {error} = results[index];
+      if (error) {
+        throw new Error(
+          `Searching the related docs of ${page.url} failed: ${error}`,
+        );
+      }
+
+      const {pathname} = new URL(page.url);
+      relatedDocs.push({
+        pathname,
+        items: getRelatedDocs(results[index], {pathname, limit}),
+      });
+    });
+  }
+
+  return relatedDocs;
+};
@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Searches of `@theme/TypesenseRelatedDocs`, also made at build time when the
+// related docs are pre-generated, see `src/relatedDocs.js`
+
+// Typesense drops the last words of the query first: the title comes first
+const MAX_QUERY_WORDS = 12;
+
+// Path of the pre-generated related docs of the page at `pathname`, relative
+// to the directory they are written to, without the `.json` extension
+function getRelatedDocsPageKey(pathname, baseUrl) {
+  const relativePath = pathname.startsWith(baseUrl)
+    ? pathname.slice(baseUrl.length)
+    : pathname;
+
+  return relativePath.replace(/^\/+|\/+$/g, '') || 'index';
+}
+exports.getRelatedDocsPageKey = getRelatedDocsPageKey;
+
+// Searches the pages sharing words with the title and the headings of a page,
+// the same ones the scraper records in its `hierarchy` fields. Each page is
+// returned once, by its best matching record.
+function getRelatedDocsSearchParameters({title, headings = []}, {limit}) {
+  const words = [title, ...headings]
+    .filter(Boolean)
+    .flatMap((text) => text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+
+  return {
+    q: [...new Set(words)].slice(0, MAX_QUERY_WORDS).join(' '),
+    query_by: 'hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,content',
+    group_by: 'url_without_anchor',
+    group_limit: 1,
+    prefix: false,
+    // The words of the page are dropped until enough pages match, the ones
+    // sharing the most words with it rank first
+    drop_tokens_threshold: limit + 1,
+    include_fields: 'url,url_without_anchor,hierarchy.lvl0,hierarchy.lvl1',
+    // The current page is most likely the first match
+    per_page: limit + 1,
+  };
+}
+exports.getRelatedDocsSearchParameters = getRelatedDocsSearchParameters;
+
+const trimTrailingSlash = (pathname) => pathname.replace(/\/+$/, '');
+
+// `{title, section, url}` of the pages of a search result, without the page at
+// `pathname`
+function getRelatedDocs(
+  {grouped_hits: groupedHits, hits = []},
+  {pathname, limit},
+) {
+  const documents = groupedHits
+    ? groupedHits.map((group) => group.hits[0].document)
+    : hits.map(({document}) => document);
+
+  return documents
+    .map((document) => ({
+      title: document['hierarchy.lvl1'] || document['hierarchy.lvl0'],
+      section: document['hierarchy.lvl0'],
+      url: new URL(document.url_without_anchor || document.url).pathname,
+    }))
+    .filter(
+      ({url}, index, relatedDocs) =>
+        trimTrailingSlash(url) !== trimTrailingSlash(pathname) &&
+        relatedDocs.findIndex((relatedDoc) => relatedDoc.url === url) === index,
+    )
+    .slice(0, limit);
+}
+exports.getRelatedDocs = getRelatedDocs;
@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const crypto = require('crypto');
+const {normalizeUrl} = require('@docusaurus/utils');
+const {and, buildFilter, eq, notEq} = require('./filterBuilder');
+
+const DOCS_PLUGIN_NAME = 'docusaurus-plugin-content-docs';
+
+// Same algorithm as `client.keys().generateScopedSearchKey()` of the Typesense
+// client, which needs a client: the parameters are signed with the parent key,
+// and Typesense applies them to every search made with the scoped key
+function generateScopedSearchKey(parentApiKey, parameters) {
+  const paramsJSON = JSON.stringify(parameters);
+  const digest = crypto
+    .createHmac('sha256', parentApiKey)
+    .update(paramsJSON)
+    .digest('base64');
+
+  return Buffer.from(
+    `${digest}${parentApiKey.slice(0, 4)}${paramsJSON}`,
+  ).toString('base64');
+}
+exports.generateScopedSearchKey = generateScopedSearchKey;
+
+// The `docusaurus_tag` of each version of the docs plugins, as set by
+// `@theme/SearchMetadata`
+function getDocsTags(allContent, docsPluginIds) {
+  const docsContent = allContent[DOCS_PLUGIN_NAME] || {};
+
+  return docsPluginIds.flatMap((pluginId) => {
+    if (!docsContent[pluginId]) {
+      throw new Error(
+        `scopedSearchKeys: there is no docs plugin with the id "${pluginId}".`,
+      );
+    }
+
+    return docsContent[pluginId].loadedVersions.map(
+      ({versionName}) => `docs-${pluginId}-${versionName}`,
+    );
+  });
+}
+
+// The filter embedded in the key of a scope, always applied by Typesense on
+// top of the filters of the searches. `excludedDocsTags` are left out of the
+// keys of the default scopes, see `getExcludedDocsTags()`.
+function getScopeFilter(
+  scope,
+  {allContent, currentLocale, excludedDocsTags = []},
+) {
+  return buildFilter(
+    and(
+      scope.locales && eq('language', currentLocale),
+      scope.docsPluginIds &&
+        eq('docusaurus_tag', getDocsTags(allContent, scope.docsPluginIds)),
+      notEq('docusaurus_tag', excludedDocsTags),
+      scope.filterBy && `(${scope.filterBy})`,
+    ),
+  );
+}
+
+const isDefaultScope = ({paths = [], docsPluginIds}) =>
+  paths.length === 0 && !docsPluginIds;
+exports.isDefaultScope = isDefaultScope;
+
+// The docs of the other scopes, which the keys of the default scopes cannot
+// search. Typesense filters can only exclude values of a field: the records of
+// the scopes listing `docsPluginIds` are excluded by their `docusaurus_tag`,
+// the pages of the scopes only listing `paths` cannot be told apart.
+function getExcludedDocsTags(scopes, {allContent}) {
+  const restrictedScopes = scopes.filter((scope) => !isDefaultScope(scope));
+
+  restrictedScopes
+    .filter(({docsPluginIds}) => !docsPluginIds)
+    .forEach(({name}) => {
+      console.warn(
+        `scopedSearchKeys: the scope "${name}" lists no docsPluginIds, its pages cannot be excluded from the keys of the default scopes, which can search them too.`,
+      );
+    });
+
+  return [
+    ...new Set(
+      restrictedScopes
+        .filter(({docsPluginIds}) => docsPluginIds)
+        .flatMap(({docsPluginIds}) => getDocsTags(allContent, docsPluginIds)),
+    ),
+  ];
+}
+
+// Keys of the scopes of the locale being built. What picks the scope of a page
+// is shipped to the browser, see `@theme/utils/scopedSearchKeys`, and each key
+// is only loaded by the pages of its scope, see `getScopedSearchKeysModule()`.
+exports.getScopedSearchKeys = function getScopedSearchKeys({
+  scopedSearchKeys: {parentApiKey, expiresIn, scopes},
+  allContent,
+  baseUrl,
+  currentLocale,
+  now = Date.now(),
+}) {
+  const localeScopes = scopes.filter(
+    ({locales}) => !locales || locales.includes(currentLocale),
+  );
+
+  // The pages outside of the other scopes would search with the unscoped key
+  if (!localeScopes.some(isDefaultScope)) {
+    throw new Error(
+      `scopedSearchKeys: there is no default scope, listing neither paths nor docsPluginIds, for the locale "${currentLocale}".`,
+    );
+  }
+
+  const excludedDocsTags = getExcludedDocsTags(localeScopes, {allContent});
+
+  return localeScopes.map((scope) => {
+    const filterBy = getScopeFilter(scope, {
+      allContent,
+      currentLocale,
+      excludedDocsTags: isDefaultScope(scope) ? excludedDocsTags : [],
+    });
+    const scopeExpiresIn =
+      scope.expiresIn === undefined ? expiresIn : scope.expiresIn;
+
+    return {
+      name: scope.name,
+      paths: (scope.paths || []).map((scopePath) =>
+        normalizeUrl([baseUrl, scopePath]),
+      ),
+      docsPluginIds: scope.docsPluginIds || [],
+      apiKey: generateScopedSearchKey(parentApiKey, {
+        ...(filterBy && {filter_by: filterBy}),
+        ...(scopeExpiresIn !== undefined && {
+          expires_at: Math.floor(now / 1000) + scopeExpiresIn,
+        }),
+      }),
+    };
+  });
+};
+
+// Module imported by `@theme/hooks/useTypesenseSearchClient`, loading the key
+// of a scope from the JSON module written for it: the keys are bundled in
+// chunks of their own, only loaded by the pages of their scope
+exports.getScopedSearchKeysModule = function getScopedSearchKeysModule(
+  keyModules,
+) {
+  return `export default {
+${keyModules
+  .map(
+    ({name, modulePath}) =>
+      `  ${JSON.stringify(name)}: () => import(${JSON.stringify(modulePath)}),`,
+  )
+  .join('\n')}
+};
+`;
+};
@@ -0,0 +1,126 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const Typesense = require('typesense');
+
+const HIERARCHY_FIELDS = [0, 1, 2, 3, 4, 5, 6].map(
+  (lvl) => `hierarchy.lvl${lvl}`,
+);
+
+// Same fields as the hits stored by the search page for its history
+const STORED_HIT_FIELDS = [
+  'type',
+  'docusaurus_tag',
+  'date',
+  'authors',
+  'content',
+  ...HIERARCHY_FIELDS,
+];
+
+// Same markers as `@theme/utils/highlight`: the search page parses them
+// into text and match offsets, which it renders without raw HTML
+const HIGHLIGHT_START_TAG = '__ts-highlight__';
+const HIGHLIGHT_END_TAG = '__/ts-highlight__';
+
+// Used as the last segment of the pre-rendered search page path, which hosts
+// can compute too in order to rewrite `search?q=` URLs to these pages
+function getStaticSearchSlug(query) {
+  return query
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => word.replace(/[^\p{L}\p{N}_-]/gu, ''))
+    .filter(Boolean)
+    .join('-');
+}
+exports.getStaticSearchSlug = getStaticSearchSlug;
+
+// Same shape as the items rendered by the search page from the Algolia helper
+// results, so that the page renders them before being hydrated
+function toSearchResultItem({document, highlights = []}, index) {
+  const {pathname, hash} = new URL(document.url);
+  const url = pathname + hash;
+  const titles = HIERARCHY_FIELDS.map((field) => document[field]).filter(
+    Boolean,
+  );
+  const contentHighlight = highlights.find(({field}) => field === 'content');
+  const summary = contentHighlight ? `${contentHighlight.snippet}...` : '';
+
+  return {
+    title: titles.pop(),
+    url,
+    summary,
+    breadcrumbs: titles,
+    documentId: document.id,
+    position: index + 1,
+    storedHit: STORED_HIT_FIELDS.reduce(
+      (storedHit, field) =>
+        document[field] === undefined || document[field] === null
+          ? storedHit
+          : {...storedHit, [field]: document[field]},
+      {url, objectID: document.id},
+    ),
+  };
+}
+
+// Searches the popular queries once at build time. Queries with the same slug
+// are only searched once, as they would be rendered at the same path.
+exports.fetchStaticSearchResults = async function fetchStaticSearchResults(
+  {
+    typesenseServerConfig,
+    collectionName,
+    queries,
+    hitsPerPage,
+    locale,
+    typesenseSearchParameters = {},
+    snippetLength,
+  },
+  {client = new Typesense.Client(typesenseServerConfig)} = {},
+) {
+  const searches = queries
+    .map((query) => ({query: query.trim(), slug: getStaticSearchSlug(query)}))
+    .filter(
+      ({slug}, index, array) =>
+        slug && array.findIndex((search) => search.slug === slug) === index,
+    );
+
+  if (searches.length === 0) {
+    return [];
+  }
+
+  const {results} = await client.multiSearch.perform(
+    {searches: searches.map(({query}) => ({q: query}))},
+    {
+      collection: collectionName,
+      query_by: [...HIERARCHY_FIELDS, 'content'].join(','),
+      // Same default filter as the search page, without the docs versions
+      filter_by: `language:=${locale}`,
+      ...typesenseSearchParameters,
+      highlight_start_tag: HIGHLIGHT_START_TAG,
+      highlight_end_tag: HIGHLIGHT_END_TAG,
+      ...(snippetLength !== undefined && {
+        highlight_affix_num_tokens: snippetLength,
+      }),
+      per_page: hitsPerPage,
+    },
+  );
+
+  return searches.map(({query, slug}, index) => {
+    const {found = 0, hits = [], error} = results[index];
+    if (error) {
+      throw new Error(`Searching "${query}" failed: ${error}`);
+    }
+
+    return {
+      query,
+      slug,
+      totalResults: found,
+      totalPages: Math.ceil(found / hitsPerPage),
+      items: hits.map(toSearchResultItem),
+    };
+  });
+};
@@ -9,14 +9,27 @@ module.exports = `
 <?xml version="1.0" encoding="UTF-8"?>
 <OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/"
                        xmlns:moz="http://www.mozilla.org/2006/browser/search/">
-  <ShortName><%= it.title %></ShortName>
-  <Description>Search <%= it.title %></Description>
+  <ShortName><%= it.shortName %></ShortName>
+<% if (it.longName) { %>
+  <LongName><%= it.longName %></LongName>
+<% } %>
+  <Description><%= it.description %></Description>
+<% if (it.tags.length > 0) { %>
+  <Tags><%= it.tags.join(' ') %></Tags>
+<% } %>
+<% if (it.contact) { %>
+  <Contact><%= it.contact %></Contact>
+<% } %>
+  <Language><%= it.language %></Language>
   <InputEncoding>UTF-8</InputEncoding>
-  <% if (it.favicon) { _%>
-    <Image width="16" height="16" type="image/x-icon"><%= it.favicon %></Image>
-  <% } _%>
-  <Url type="text/html" method="get" template="<%= it.url %>search?q={searchTerms}"/>
-  <Url type="application/opensearchdescription+xml" rel="self" template="<%= it.url %>opensearch.xml" />
-  <moz:SearchForm><%= it.url %></moz:SearchForm>
+<% it.images.forEach((image) => { %>
+  <Image width="<%= image.width %>" height="<%= image.height %>"<% if (image.type) { %> type="<%= image.type %>"<% } %>><%= image.url %></Image>
+<% }) %>
+  <Url type="text/html" method="get" template="<%= it.searchUrl %>"/>
+<% if (it.suggestionsUrl) { %>
+  <Url type="application/x-suggestions+json" method="get" template="<%= it.suggestionsUrl %>"/>
+<% } %>
+  <Url type="application/opensearchdescription+xml" rel="self" template="<%= it.url %>"/>
+  <moz:SearchForm><%= it.searchForm %></moz:SearchForm>
 </OpenSearchDescription>
 `;
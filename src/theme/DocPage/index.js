@@ -0,0 +1,25 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import DocPage from '@theme-init/DocPage';
+import {useDocRouteMetadata} from '@docusaurus/theme-common';
+import {DocsSidebarItemsProvider} from '@theme/hooks/useSearchScopeContext';
+
+// Gives the sidebar of the docs pages to the search scopes, see
+// `@theme/hooks/useSearchScopeContext`: the sidebar context of the docs
+// plugin cannot be read outside of the docs pages
+export default function DocPageWrapper(props) {
+  const currentDocRouteMetadata = useDocRouteMetadata(props);
+
+  return (
+    <DocsSidebarItemsProvider
+      items={currentDocRouteMetadata && currentDocRouteMetadata.sidebarItems}>
+      <DocPage {...props} />
+    </DocsSidebarItemsProvider>
+  );
+}
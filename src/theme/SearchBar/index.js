@@ -5,62 +5,261 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, {useCallback, useMemo, useRef, useState} from 'react';
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
 import {createPortal} from 'react-dom';
 import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useContextualSearchFilters} from '@docusaurus/theme-common';
+import {useAllDocsData} from '@docusaurus/plugin-content-docs/client';
 import {useHistory} from '@docusaurus/router';
 import {useBaseUrlUtils} from '@docusaurus/useBaseUrl';
 import Link from '@docusaurus/Link';
+import SearchResultItem from '@theme/SearchResultItem';
+import SearchScopeToggle from '@theme/SearchScopeToggle';
 import useSearchQuery from '@theme/hooks/useSearchQuery';
 import {DocSearchButton, useDocSearchKeyboardEvents} from 'typesense-docsearch-react';
 import useTypesenseContextualFilters from '@theme/hooks/useTypesenseContextualFilters';
+import useTypesenseSearchClient from '@theme/hooks/useTypesenseSearchClient';
+import useSearchAnalytics from '@theme/hooks/useSearchAnalytics';
+import useSearchHistory from '@theme/hooks/useSearchHistory';
+import useSearchProfile from '@theme/hooks/useSearchProfile';
+import useSearchCollections from '@theme/hooks/useSearchCollections';
+import useSearchScope from '@theme/hooks/useSearchScope';
+import useSearchScopeContext from '@theme/hooks/useSearchScopeContext';
+import {getSearchResultDocsVersion} from '@theme/utils/searchResultKinds';
+import {adaptSearchResult} from '@theme/utils/searchHits';
+import {and, getSearchFilter} from '@theme/utils/filterBuilder';
+import {
+  getHighlightSearchParameters,
+  parseHighlight,
+  toHighlightHtml,
+} from '@theme/utils/highlight';
+import {
+  getCollectionSearchParameters,
+  getSearchResultUrl,
+  mergeSearchResults,
+} from '@theme/utils/federatedSearch';
 import {translate} from '@docusaurus/Translate';
 import styles from './styles.module.css';
 
 let DocSearchModal = null;
 
 function Hit({hit, children}) {
-  return <Link to={hit.url}>{children}</Link>;
+  const {reportResultClick} = useSearchAnalytics();
+
+  return (
+    <Link
+      to={hit.url}
+      onClick={() =>
+        reportResultClick({
+          query: hit.__query,
+          position: hit.__position,
+          url: hit.url,
+          documentId: hit.objectID,
+          source: 'modal',
+        })
+      }>
+      <SearchResultItem variant="modal" hit={hit}>
+        {children}
+      </SearchResultItem>
+    </Link>
+  );
+}
+
+// Versions of the docs searched contextually, e.g. `{default: '2.0'}`, so that
+// the search page searches the same ones
+function useContextualSearchVersions(contextualSearch) {
+  const allDocsData = useAllDocsData();
+  const {tags} = useContextualSearchFilters();
+  const tagsKey = tags.join();
+
+  return useMemo(
+    () =>
+      contextualSearch
+        ? tags
+            .map((tag) =>
+              getSearchResultDocsVersion({docusaurus_tag: tag}, allDocsData),
+            )
+            .filter((version) => version && version.isVersioned)
+            .reduce(
+              (acc, {pluginId, name}) => ({...acc, [pluginId]: name}),
+              {},
+            )
+        : {},
+    [contextualSearch, tagsKey, allDocsData],
+  );
 }
 
-function ResultsFooter({state, onClose}) {
+function ResultsFooter({
+  state,
+  onClose,
+  searchVersions,
+  searchContext,
+  failedCollections,
+}) {
   const {generateSearchPageLink} = useSearchQuery();
+  const searchPageLink = generateSearchPageLink(state.query, {
+    searchVersions,
+    searchContext,
+  });
 
   return (
-    <Link to={generateSearchPageLink(state.query)} onClick={onClose}>
-      See all {state.context.nbHits} results
-    </Link>
+    <>
+      {failedCollections.length > 0 && (
+        <p className={styles.failedCollections} role="status">
+          {translate(
+            {
+              id: 'theme.SearchBar.failedCollections',
+              message: 'The results of {collections} could not be loaded.',
+              description:
+                'The message of the search modal when some of the searched collections failed',
+            },
+            {collections: failedCollections.join(', ')},
+          )}
+        </p>
+      )}
+      {/* The search page is disabled without a link */}
+      {searchPageLink && (
+        <Link to={searchPageLink} onClick={onClose}>
+          See all {state.context.nbHits} results
+        </Link>
+      )}
+    </>
+  );
+}
+
+// Hits of other sites, from other collections, are not routed by Docusaurus
+const isAbsoluteUrl = (url) => /^https?:\/\//.test(url);
+
+// The modal renders the highlighted values as HTML: only their matches are
+// kept as `<mark>` tags, the rest is escaped. `hierarchy.lvl0` names the
+// sections of hits, rendered as text.
+function toSafeHighlightResult(highlightResult = {}) {
+  const toSafeValue = (value, attribute) => {
+    if (Array.isArray(value)) {
+      return value.map((item) => toSafeValue(item, attribute));
+    }
+    if (!value || typeof value.value !== 'string') {
+      return value;
+    }
+
+    return {
+      ...value,
+      value:
+        attribute === 'hierarchy.lvl0'
+          ? parseHighlight(value.value).text
+          : toHighlightHtml(value.value),
+    };
+  };
+
+  return Object.entries(highlightResult).reduce(
+    (acc, [attribute, value]) => ({
+      ...acc,
+      [attribute]: toSafeValue(value, attribute),
+    }),
+    {},
+  );
+}
+
+// The DocSearch modal names the keys of its recent and favorite searches after
+// its `typesenseCollectionName`, and has no other option for them: it is given
+// `searchHistoryNamespace` instead, shared with the search page, and its
+// searches are sent to `typesenseCollectionName`. `onSearchInput` gets the
+// search input of the modal, focused once it is opened.
+function SearchModal({
+  typesenseCollectionName,
+  searchHistoryNamespace,
+  transformSearchClient,
+  onSearchInput,
+  ...props
+}) {
+  const transformCollectionSearchClient = useCallback(
+    (searchClient) => {
+      const client = transformSearchClient(searchClient);
+
+      return {
+        ...client,
+        search: (requests) =>
+          client.search(
+            requests.map((request) => ({
+              ...request,
+              collection: typesenseCollectionName,
+            })),
+          ),
+      };
+    },
+    [transformSearchClient, typesenseCollectionName],
+  );
+
+  return (
+    <div
+      onFocus={(event) => {
+        if (event.target instanceof HTMLInputElement) {
+          onSearchInput(event.target);
+        }
+      }}>
+      <DocSearchModal
+        {...props}
+        typesenseCollectionName={searchHistoryNamespace}
+        transformSearchClient={transformCollectionSearchClient}
+      />
+    </div>
   );
 }
 
-function DocSearch({contextualSearch, ...props}) {
-  const {siteMetadata} = useDocusaurusContext();
+function DocSearch({contextualSearch, collectionResults, ...props}) {
+  const {
+    siteMetadata,
+    siteConfig: {url: siteUrl},
+  } = useDocusaurusContext();
 
-  const contextualSearchFacetFilters = useTypesenseContextualFilters();
+  const contextualSearchFilter = useTypesenseContextualFilters();
 
-  const configFacetFilters = props.searchParameters?.filter_by ?? '';
+  const {searchProfileParameters} = useSearchProfile();
 
-  const facetFilters = contextualSearch
-    ? // Merge contextual search filters with config filters
-    [contextualSearchFacetFilters, configFacetFilters].filter(e => e).join(' && ')
-    : // ... or use config facetFilters
-    configFacetFilters;
+  const searchContext = useSearchScopeContext();
+  const {searchScope, setSearchScope, availableSearchScopes, searchScopeFilter} =
+    useSearchScope(searchContext);
 
-  // we let user override default searchParameters if he wants to
+  // we let user override default searchParameters if he wants to, their
+  // `filter_by` is combined with the contextual and structured filters
   const typesenseSearchParameters = {
-    filter_by: facetFilters,
+    ...searchProfileParameters,
     ...props.typesenseSearchParameters,
+    ...getHighlightSearchParameters(props.highlight),
+    filter_by: getSearchFilter({
+      contextualFilter: contextualSearch && contextualSearchFilter,
+      searchFilter: and(props.searchFilter, searchScopeFilter),
+      filterBy: props.typesenseSearchParameters.filter_by,
+    }),
   };
 
-  const typesenseServerConfig = props.typesenseServerConfig;
+  const {typesenseSearchClient, typesenseServerConfig} =
+    useTypesenseSearchClient();
   const typesenseCollectionName = props.typesenseCollectionName;
+  const searchCollections = useSearchCollections();
 
+  const {reportSearch, reportResultClick} = useSearchAnalytics();
+  // Recent and favorite searches shared with the search page
+  const {namespace: searchHistoryNamespace} = useSearchHistory({
+    source: 'modal',
+  });
   const {withBaseUrl} = useBaseUrlUtils();
   const history = useHistory();
   const searchContainer = useRef(null);
   const searchButtonRef = useRef(null);
   const [isOpen, setIsOpen] = useState(false);
+  const [searchInput, setSearchInput] = useState(null);
   const [initialQuery, setInitialQuery] = useState(null);
+  const [searchScopeToggleContainer, setSearchScopeToggleContainer] =
+    useState(null);
+  // Labels of the collections whose last search failed
+  const [failedCollections, setFailedCollections] = useState([]);
 
   const importDocSearchModalIfNeeded = useCallback(() => {
     if (DocSearchModal) {
@@ -89,6 +288,7 @@ function DocSearch({contextualSearch, ...props}) {
 
   const onClose = useCallback(() => {
     setIsOpen(false);
+    setSearchInput(null);
     searchContainer.current.remove();
   }, [setIsOpen]);
 
@@ -103,13 +303,31 @@ function DocSearch({contextualSearch, ...props}) {
   );
 
   const navigator = useRef({
-    navigate({itemUrl}) {
-      history.push(itemUrl);
+    navigate({itemUrl, item}) {
+      reportResultClick({
+        query: item.__query,
+        position: item.__position,
+        url: itemUrl,
+        documentId: item.objectID,
+        source: 'modal',
+      });
+      if (isAbsoluteUrl(itemUrl)) {
+        window.location.assign(itemUrl);
+      } else {
+        history.push(itemUrl);
+      }
     },
   }).current;
 
   const transformItems = useRef((items) => {
     return items.map((item) => {
+      if (
+        item.__collection &&
+        item.__collection !== typesenseCollectionName
+      ) {
+        return {...item, url: getSearchResultUrl(item.url, siteUrl)};
+      }
+
       // We transform the absolute URL into a relative URL.
       // Alternatively, we can use `new URL(item.url)` but it's not
       // supported in IE.
@@ -123,11 +341,117 @@ function DocSearch({contextualSearch, ...props}) {
     });
   }).current;
 
+  // Same as the DocSearch default search client, but querying the client
+  // matching `searchMode`, and every collection at once
+  const transformSearchClient = useCallback(
+    () => ({
+      search: ([request]) =>
+        typesenseSearchClient.multiSearch
+          .perform({
+            searches: searchCollections.map((collection) =>
+              getCollectionSearchParameters(collection, request),
+            ),
+          })
+          .then(({results}) => {
+            const failedCollectionLabels = searchCollections
+              .filter((collection, index) => results[index].error)
+              .map(({name, label}) => label || name);
+            setFailedCollections((previousLabels) =>
+              previousLabels.join() === failedCollectionLabels.join()
+                ? previousLabels
+                : failedCollectionLabels,
+            );
+
+            const result = mergeSearchResults(
+              results.map((collectionResult) => {
+                // The other collections still show up when one fails, the
+                // footer of the results tells which ones
+                if (collectionResult.error) {
+                  return {hits: [], nbHits: 0};
+                }
+
+                return adaptSearchResult(collectionResult);
+              }),
+              searchCollections,
+              {mode: collectionResults},
+            );
+
+            reportSearch({
+              query: request.q,
+              nbHits: result.nbHits,
+              source: 'modal',
+            });
+
+            return {
+              results: [
+                {
+                  ...result,
+                  // Hits are regrouped by the modal: keep their rank and
+                  // query for the analytics events
+                  hits: result.hits.map((hit, index) => ({
+                    ...hit,
+                    _highlightResult: toSafeHighlightResult(
+                      hit._highlightResult,
+                    ),
+                    _snippetResult: toSafeHighlightResult(hit._snippetResult),
+                    __position: index + 1,
+                    __query: request.q,
+                  })),
+                },
+              ],
+            };
+          }),
+    }),
+    [typesenseSearchClient, searchCollections, collectionResults, reportSearch],
+  );
+
+  const contextualSearchVersions = useContextualSearchVersions(contextualSearch);
   const resultsFooterComponent = useMemo(
-    () => (footerProps) => <ResultsFooter {...footerProps} onClose={onClose} />,
-    [onClose],
+    () => (footerProps) =>
+      (
+        <ResultsFooter
+          {...footerProps}
+          onClose={onClose}
+          searchVersions={contextualSearchVersions}
+          searchContext={searchContext}
+          failedCollections={failedCollections}
+        />
+      ),
+    [onClose, contextualSearchVersions, searchContext, failedCollections],
   );
 
+  // The modal only searches when its query changes: it is opened again with
+  // its current query to search it in the chosen scope
+  const selectSearchScope = (scope) => {
+    if (scope === searchScope) {
+      return;
+    }
+
+    if (searchInput) {
+      setInitialQuery(searchInput.value);
+    }
+    setSearchScope(scope);
+  };
+
+  // The modal has no slot for the scope toggle: it is rendered below the
+  // header holding the search form, in an element added to each opened modal
+  const hasSearchScopeToggle = availableSearchScopes.length > 1;
+  useEffect(() => {
+    if (!searchInput || !searchInput.form || !hasSearchScopeToggle) {
+      return undefined;
+    }
+
+    const container = document.createElement('div');
+    container.className = styles.searchScopeToggle;
+    searchInput.form.parentElement.insertAdjacentElement('afterend', container);
+    setSearchScopeToggleContainer(container);
+
+    return () => {
+      container.remove();
+      setSearchScopeToggleContainer(null);
+    };
+  }, [searchInput, hasSearchScopeToggle]);
+
   useDocSearchKeyboardEvents({
     isOpen,
     onOpen,
@@ -160,7 +484,8 @@ function DocSearch({contextualSearch, ...props}) {
 
       {isOpen &&
         createPortal(
-          <DocSearchModal
+          <SearchModal
+            key={searchScope}
             onClose={onClose}
             initialScrollY={window.scrollY}
             initialQuery={initialQuery}
@@ -168,13 +493,26 @@ function DocSearch({contextualSearch, ...props}) {
             transformItems={transformItems}
             hitComponent={Hit}
             resultsFooterComponent={resultsFooterComponent}
+            transformSearchClient={transformSearchClient}
             {...props}
             typesenseSearchParameters={typesenseSearchParameters}
             typesenseServerConfig={typesenseServerConfig}
-            typesenseCollectionName={typesenseCollectionName}
+            searchHistoryNamespace={searchHistoryNamespace}
+            onSearchInput={setSearchInput}
           />,
           searchContainer.current,
         )}
+
+      {searchScopeToggleContainer &&
+        createPortal(
+          <SearchScopeToggle
+            searchScopes={availableSearchScopes}
+            searchScope={searchScope}
+            searchContext={searchContext}
+            onChange={selectSearchScope}
+          />,
+          searchScopeToggleContainer,
+        )}
     </>
   );
 }
@@ -0,0 +1,243 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import SearchPage from '../index';
+
+// The search client of the site, answering like a Typesense server. The
+// hook returns the same client on every render, like the provider does.
+const mockPerform = jest.fn();
+const mockSearchClient = {
+  typesenseSearchClient: {multiSearch: {perform: mockPerform}},
+};
+
+const mockSiteConfig = {
+  url: 'https://example.com',
+  baseUrl: '/',
+  themeConfig: {
+    typesense: {
+      typesenseCollectionName: 'docs',
+      typesenseServerConfig: {
+        nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+        apiKey: 'searchOnlyKey',
+      },
+      typesenseSearchParameters: {},
+    },
+  },
+};
+
+const interpolate = (message, values = {}) =>
+  message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? String(values[name]) : match,
+  );
+
+jest.mock(
+  '@docusaurus/Translate',
+  () => ({
+    __esModule: true,
+    default: ({children, values}) => interpolate(children, values),
+    translate: ({message}, values) => interpolate(message, values),
+  }),
+  {virtual: true},
+);
+jest.mock('@docusaurus/Head', () => () => null, {virtual: true});
+jest.mock(
+  '@docusaurus/Link',
+  () =>
+    ({to, children, ...props}) =>
+      require('react').createElement('a', {href: to, ...props}, children),
+  {virtual: true},
+);
+jest.mock('@docusaurus/ExecutionEnvironment', () => ({canUseDOM: true}), {
+  virtual: true,
+});
+jest.mock(
+  '@docusaurus/useDocusaurusContext',
+  () => () => ({
+    siteConfig: mockSiteConfig,
+    i18n: {currentLocale: 'en', defaultLocale: 'en', locales: ['en']},
+  }),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/useGlobalData',
+  () => ({
+    usePluginData: () => ({searchPagePath: '/search'}),
+  }),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/router',
+  () => ({
+    useHistory: () => ({replace: () => {}}),
+    useLocation: () => ({pathname: '/search', search: ''}),
+  }),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/theme-common',
+  () => ({
+    useTitleFormatter: (title) => title,
+    usePluralForm: () => ({
+      selectMessage: (count, message) =>
+        message.split('|')[count === 1 ? 0 : 1],
+    }),
+    useDocsPreferredVersionByPluginId: () => ({}),
+  }),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/plugin-content-docs/client',
+  () => ({
+    useAllDocsData: () => ({}),
+    useActivePlugin: () => undefined,
+  }),
+  {virtual: true},
+);
+jest.mock('@docusaurus-theme-search-typesense/analytics-reporter', () => null, {
+  virtual: true,
+});
+jest.mock(
+  '@theme/Layout',
+  () =>
+    ({children}) =>
+      children,
+  {virtual: true},
+);
+jest.mock('@theme/hooks/useTypesenseSearchClient', () => () => ({
+  ...mockSearchClient,
+  typesenseServerConfig:
+    mockSiteConfig.themeConfig.typesense.typesenseServerConfig,
+}));
+jest.mock('../styles.module.css', () => ({}));
+jest.mock('../../SearchResultItem/styles.module.css', () => ({}));
+jest.mock('../../SearchScopeToggle/styles.module.css', () => ({}));
+
+// Answers each search of a multi-search with `hits`
+const answerSearches = (searches, hits) => ({
+  results: searches.map(({q}) => ({
+    found: hits.length,
+    hits: hits.map((hierarchy, index) => ({
+      document: {
+        id: String(index),
+        url: `https://example.com/docs/${index}`,
+        type: 'lvl1',
+        'hierarchy.lvl0': 'Docs',
+        ...hierarchy,
+      },
+      highlights: [],
+    })),
+    facet_counts: [],
+    page: 1,
+    request_params: {q, per_page: 15},
+    search_time_ms: 1,
+  })),
+});
+
+describe('SearchPage status', () => {
+  let container;
+
+  const getStatus = () => container.querySelector('[role="status"]');
+  const typeQuery = (query) =>
+    act(() => {
+      const input = container.querySelector('input[type="search"]');
+      Object.getOwnPropertyDescriptor(
+        HTMLInputElement.prototype,
+        'value',
+      ).set.call(input, query);
+      input.dispatchEvent(new Event('input', {bubbles: true}));
+    });
+  // Past the debounce delay of the search page
+  const waitForSearch = () =>
+    act(() => new Promise((resolve) => setTimeout(resolve, 400)));
+
+  beforeAll(() => {
+    window.IntersectionObserver = class {
+      observe() {}
+
+      unobserve() {}
+    };
+  });
+
+  beforeEach(() => {
+    mockPerform.mockReset();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    act(() => {
+      ReactDOM.render(<SearchPage />, container);
+    });
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+    container.remove();
+  });
+
+  test('is a polite live region, silent without a query', () => {
+    expect(getStatus().getAttribute('aria-live')).toBe('polite');
+    expect(getStatus().getAttribute('aria-atomic')).toBe('true');
+    expect(getStatus().textContent).toBe('');
+  });
+
+  test('announces the loading and the number of results', async () => {
+    let answer;
+    mockPerform.mockImplementation(
+      ({searches}) =>
+        new Promise((resolve) => {
+          answer = (hits) => resolve(answerSearches(searches, hits));
+        }),
+    );
+
+    typeQuery('install');
+    expect(getStatus().textContent).toBe('Loading results');
+
+    await waitForSearch();
+    expect(mockPerform).toHaveBeenCalled();
+    expect(getStatus().textContent).toBe('Loading results');
+
+    await act(async () => {
+      answer([
+        {'hierarchy.lvl1': 'Install'},
+        {'hierarchy.lvl1': 'Installation'},
+      ]);
+    });
+    expect(getStatus().textContent).toBe('2 documents found');
+  });
+
+  test('announces searches without results', async () => {
+    mockPerform.mockImplementation(async ({searches}) =>
+      answerSearches(searches, []),
+    );
+
+    typeQuery('nothing');
+    await waitForSearch();
+
+    expect(getStatus().textContent).toBe('No results were found');
+  });
+
+  test('announces failed searches', async () => {
+    // The InstantSearch adapter logs the errors of its client
+    const consoleMock = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+    mockPerform.mockImplementation(async () => {
+      throw Object.assign(new Error('Forbidden'), {httpStatus: 401});
+    });
+
+    typeQuery('install');
+    await waitForSearch();
+
+    expect(getStatus().textContent).toBe(
+      container.querySelector('[role="alert"] p').textContent,
+    );
+    consoleMock.mockRestore();
+  });
+});
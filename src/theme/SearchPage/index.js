@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, {useEffect, useState, useReducer, useRef} from 'react';
+import React, {useEffect, useMemo, useState, useReducer, useRef} from 'react';
 
 import algoliaSearchHelper from 'algoliasearch-helper';
 import clsx from 'clsx';
@@ -13,11 +13,59 @@ import clsx from 'clsx';
 import Head from '@docusaurus/Head';
 import Link from '@docusaurus/Link';
 import ExecutionEnvironment from '@docusaurus/ExecutionEnvironment';
-import {useTitleFormatter, usePluralForm} from '@docusaurus/theme-common';
+import {
+  useTitleFormatter,
+  usePluralForm,
+  useDocsPreferredVersionByPluginId,
+} from '@docusaurus/theme-common';
 import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
 import {useAllDocsData} from '@docusaurus/plugin-content-docs/client';
 import useSearchQuery from '@theme/hooks/useSearchQuery';
+import useTypesenseSearchClient from '@theme/hooks/useTypesenseSearchClient';
+import useSearchAnalytics from '@theme/hooks/useSearchAnalytics';
+import useSearchHistory from '@theme/hooks/useSearchHistory';
+import useRovingFocus from '@theme/hooks/useRovingFocus';
+import useSearchProfile from '@theme/hooks/useSearchProfile';
+import useSearchCollections from '@theme/hooks/useSearchCollections';
+import useSearchScope from '@theme/hooks/useSearchScope';
+import {getCollectionSearchParameters} from '@theme/utils/federatedSearch';
+import {getSearchResultItem} from '@theme/utils/searchHits';
+import {DEFAULT_SEARCH_PAGE_HITS_PER_PAGE} from '@theme/utils/searchProfiles';
+import {
+  PAGINATION_ELLIPSIS,
+  getHitsPerPageOptions,
+  getPageNumbers,
+} from '@theme/utils/pagination';
+import {getQuerySuggestions} from '@theme/utils/querySuggestions';
+import {getHighlightSearchParameters} from '@theme/utils/highlight';
+import {
+  getDocsTagAliases,
+  parseSearchQuery,
+  removeSearchQueryTerm,
+  withSearchQuerySyntax,
+} from '@theme/utils/searchQuerySyntax';
+import {
+  getSectionItems,
+  getPageSection,
+  fetchPageDocument,
+} from '@theme/utils/searchPreview';
+import {
+  SearchError,
+  isAbortError,
+  withAbortSignalClient,
+} from '@theme/utils/searchClientService';
+import {
+  and,
+  buildFilter,
+  eq,
+  getContextualFilter,
+  getSearchFilter,
+  withSearchFilter,
+} from '@theme/utils/filterBuilder';
 import Layout from '@theme/Layout';
+import SearchResultItem, {SearchResultHighlight} from '@theme/SearchResultItem';
+import SearchScopeToggle from '@theme/SearchScopeToggle';
 import Translate, {translate} from '@docusaurus/Translate';
 import styles from './styles.module.css';
 import TypesenseInstantSearchAdapter from "typesense-instantsearch-adapter";
@@ -40,20 +88,88 @@ function useDocumentsFoundPlural() {
     );
 }
 
-function useDocsSearchVersionsHelpers() {
-  const allDocsData = useAllDocsData();
+// Value of the version select menus searching all the versions of a plugin
+const ALL_VERSIONS = '*';
+
+// `docsPluginIds` limits the versions searched to these docs plugins
+function useDocsSearchVersionsHelpers(searchVersionsFromUrl, docsPluginIds) {
+  const allPluginsDocsData = useAllDocsData();
+  const allDocsData = docsPluginIds
+    ? Object.fromEntries(
+        Object.entries(allPluginsDocsData).filter(([pluginId]) =>
+          docsPluginIds.includes(pluginId),
+        ),
+      )
+    : allPluginsDocsData;
+  // Read from storage once mounted: null until then
+  const preferredVersions = useDocsPreferredVersionByPluginId();
+
+  const isSearchVersion = (pluginId, searchVersion) =>
+    !!allDocsData[pluginId] &&
+    (searchVersion === ALL_VERSIONS ||
+      allDocsData[pluginId].versions.some(({name}) => name === searchVersion));
+
+  // Same version as the navbar version dropdown: the last one browsed, or
+  // the latest one
+  const getDefaultSearchVersion = (pluginId) => {
+    const {versions} = allDocsData[pluginId];
+    const version =
+      preferredVersions[pluginId] ||
+      versions.find(({isLast}) => isLast) ||
+      versions[0];
+
+    return version.name;
+  };
+
+  // Versions chosen from the URL or the select menus are kept as is, the
+  // other ones follow the preferred versions
+  const chosenPluginIds = useRef(
+    new Set(
+      Object.entries(searchVersionsFromUrl)
+        .filter(([pluginId, searchVersion]) =>
+          isSearchVersion(pluginId, searchVersion),
+        )
+        .map(([pluginId]) => pluginId),
+    ),
+  );
 
   // State of the version select menus / facet filters
   // docsPluginId -> versionName map
-  const [searchVersions, setSearchVersions] = useState(() => {
-    return Object.entries(allDocsData).reduce((acc, [pluginId, pluginData]) => {
-      return {...acc, [pluginId]: pluginData.versions[0].name};
-    }, {});
-  });
+  const [searchVersions, setSearchVersions] = useState(() =>
+    Object.keys(allDocsData).reduce(
+      (acc, pluginId) => ({
+        ...acc,
+        [pluginId]: chosenPluginIds.current.has(pluginId)
+          ? searchVersionsFromUrl[pluginId]
+          : getDefaultSearchVersion(pluginId),
+      }),
+      {},
+    ),
+  );
+
+  const defaultSearchVersionsKey = Object.keys(allDocsData)
+    .map(getDefaultSearchVersion)
+    .join();
+  useEffect(() => {
+    // Keep the same state when nothing changes, not to search again
+    setSearchVersions((currentSearchVersions) =>
+      Object.keys(allDocsData)
+        .filter((pluginId) => !chosenPluginIds.current.has(pluginId))
+        .reduce((acc, pluginId) => {
+          const defaultSearchVersion = getDefaultSearchVersion(pluginId);
+
+          return acc[pluginId] === defaultSearchVersion
+            ? acc
+            : {...acc, [pluginId]: defaultSearchVersion};
+        }, currentSearchVersions),
+    );
+  }, [defaultSearchVersionsKey]);
 
   // Set the value of a single select menu
-  const setSearchVersion = (pluginId, searchVersion) =>
+  const setSearchVersion = (pluginId, searchVersion) => {
+    chosenPluginIds.current.add(pluginId);
     setSearchVersions((s) => ({...s, [pluginId]: searchVersion}));
+  };
 
   const versioningEnabled = Object.values(allDocsData).some(
     (docsData) => docsData.versions.length > 1,
@@ -63,6 +179,13 @@ function useDocsSearchVersionsHelpers() {
     allDocsData,
     versioningEnabled,
     searchVersions,
+    // Only the chosen versions are kept in the URL
+    chosenSearchVersions: Object.keys(searchVersions)
+      .filter((pluginId) => chosenPluginIds.current.has(pluginId))
+      .reduce(
+        (acc, pluginId) => ({...acc, [pluginId]: searchVersions[pluginId]}),
+        {},
+      ),
     setSearchVersion,
   };
 }
@@ -95,7 +218,7 @@ const SearchVersionSelectList = ({docsSearchVersionsHelpers}) => {
                 e.target.value,
               )
             }
-            defaultValue={docsSearchVersionsHelpers.searchVersions[pluginId]}
+            value={docsSearchVersionsHelpers.searchVersions[pluginId]}
             className={styles.searchVersionInput}>
             {docsData.versions.map((version, i) => (
               <option
@@ -104,6 +227,15 @@ const SearchVersionSelectList = ({docsSearchVersionsHelpers}) => {
                 value={version.name}
               />
             ))}
+            <option
+              label={`${labelPrefix}${translate({
+                id: 'theme.SearchPage.allVersionsOption',
+                message: 'All versions',
+                description:
+                  'The label of the version select option searching all the docs versions',
+              })}`}
+              value={ALL_VERSIONS}
+            />
           </select>
         );
       })}
@@ -111,47 +243,936 @@ const SearchVersionSelectList = ({docsSearchVersionsHelpers}) => {
   );
 };
 
-function SearchPage() {
+// Config accepts either a facet attribute name or a full facet object
+function useSearchPageFacets() {
+  const {
+    siteConfig: {
+      themeConfig: {
+        typesense: {searchPageFacets = []},
+      },
+    },
+  } = useDocusaurusContext();
+
+  return searchPageFacets.map((facet) =>
+    typeof facet === 'string' ? {attribute: facet} : facet,
+  );
+}
+
+const SearchFacetList = ({facets, facetValues, facetRefinements, onToggle}) => (
+  <aside className={clsx('col', 'col--3', styles.searchFacetColumn)}>
+    {facets.map(({attribute, label, limit}) => {
+      const values = (facetValues[attribute] || []).slice(0, limit);
+      const refinedValues = facetRefinements[attribute] || [];
+
+      if (values.length === 0) {
+        return null;
+      }
+
+      return (
+        <fieldset key={attribute} className={styles.searchFacet}>
+          <legend className={styles.searchFacetTitle}>
+            {label || attribute}
+          </legend>
+          <ul className={styles.searchFacetValues}>
+            {values.map(({name, count}) => (
+              <li key={name}>
+                <label className={styles.searchFacetValue}>
+                  <input
+                    type="checkbox"
+                    checked={refinedValues.includes(name)}
+                    onChange={() => onToggle(attribute, name)}
+                  />
+                  <span className={styles.searchFacetValueName}>{name}</span>
+                  <span className={styles.searchFacetValueCount}>{count}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </fieldset>
+      );
+    })}
+  </aside>
+);
+
+// Hits are stored the way the modal stores them, so that both can display
+// the recent and favorite searches of the other
+// Also used to render the results, see `@theme/SearchResultItem`
+const STORED_HIT_FIELDS = [
+  'objectID',
+  'type',
+  'docusaurus_tag',
+  'date',
+  'authors',
+  'content',
+  'hierarchy.lvl0',
+  'hierarchy.lvl1',
+  'hierarchy.lvl2',
+  'hierarchy.lvl3',
+  'hierarchy.lvl4',
+  'hierarchy.lvl5',
+  'hierarchy.lvl6',
+];
+
+function toStoredHit(hit, url) {
+  return STORED_HIT_FIELDS.reduce(
+    (storedHit, field) =>
+      hit[field] === undefined || hit[field] === null
+        ? storedHit
+        : {...storedHit, [field]: hit[field]},
+    {url},
+  );
+}
+
+function getStoredHitTitles(hit) {
+  return {
+    title: hit[`hierarchy.${hit.type}`] || hit.content,
+    subtitle:
+      hit.type === 'lvl1' ? hit['hierarchy.lvl0'] : hit['hierarchy.lvl1'],
+  };
+}
+
+const SearchResultPinButton = ({pinned, onClick}) => (
+  <button
+    type="button"
+    className={styles.searchResultPinButton}
+    aria-pressed={pinned}
+    onClick={onClick}>
+    {pinned
+      ? translate({
+          id: 'theme.SearchPage.unpinResult',
+          message: 'Unpin',
+          description: 'The label of the button removing a result from the pinned results',
+        })
+      : translate({
+          id: 'theme.SearchPage.pinResult',
+          message: 'Pin',
+          description: 'The label of the button adding a result to the pinned results',
+        })}
+  </button>
+);
+
+// Section of the built page around the anchor of the previewed result, null
+// while it loads or when it can't be found: the indexed content is shown then
+function usePageSection(url, enabled) {
+  const [pageSection, setPageSection] = useState({url: null, value: null});
+
+  useEffect(() => {
+    // Results of other sites, from other collections, aren't fetched
+    if (!enabled || !url || !url.startsWith('/')) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const {pathname, hash} = new URL(url, window.location.href);
+    fetchPageDocument(pathname)
+      .then((document) => {
+        if (!cancelled) {
+          setPageSection({
+            url,
+            value: getPageSection(
+              document,
+              decodeURIComponent(hash.slice(1)) || null,
+            ),
+          });
+        }
+      })
+      // The indexed content stays shown
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, enabled]);
+
+  return pageSection.url === url ? pageSection.value : null;
+}
+
+const SearchResultCopyLinkButton = ({url}) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) {
+      return undefined;
+    }
+
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  return (
+    <button
+      type="button"
+      className="button button--sm button--secondary"
+      onClick={() =>
+        navigator.clipboard
+          .writeText(new URL(url, window.location.href).href)
+          // The label only changes once the link is copied
+          .then(() => setCopied(true), () => {})
+      }>
+      {copied
+        ? translate({
+            id: 'theme.SearchPage.sectionLinkCopied',
+            message: 'Link copied',
+            description: 'The label of the copy link button once the link is copied',
+          })
+        : translate({
+            id: 'theme.SearchPage.copySectionLink',
+            message: 'Copy link to section',
+            description: 'The label of the button copying the link of the previewed result',
+          })}
+    </button>
+  );
+};
+
+// Shows the section of the focused or hovered result, see the
+// `searchPagePreview` theme option, and the other hits of that section
+const SearchResultPreview = ({item, sectionItems, source}) => {
+  const pageSection = usePageSection(item.url, source === 'page');
+  const getContent = (sectionItem) =>
+    sectionItem.content || sectionItem.storedHit.content || '';
+
+  return (
+    <aside
+      className={styles.searchResultPreview}
+      aria-label={translate({
+        id: 'theme.SearchPage.resultPreviewLabel',
+        message: 'Result preview',
+        description: 'The ARIA label for the preview pane of the search results',
+      })}>
+      {item.breadcrumbs.length > 0 && (
+        <ul className={clsx('breadcrumbs', styles.searchResultPreviewPath)}>
+          {item.breadcrumbs.map((breadcrumb, index) => (
+            <li key={index} className="breadcrumbs__item">
+              <SearchResultHighlight value={breadcrumb} field="hierarchy" />
+            </li>
+          ))}
+        </ul>
+      )}
+      <h2 className={styles.searchResultPreviewTitle}>
+        <Link to={item.url}>
+          {pageSection && pageSection.title ? (
+            pageSection.title
+          ) : (
+            <SearchResultHighlight value={item.title} field="hierarchy" />
+          )}
+        </Link>
+      </h2>
+      <SearchResultCopyLinkButton url={item.url} />
+
+      <div className={styles.searchResultPreviewContent}>
+        {pageSection
+          ? pageSection.blocks.map(({kind, text}, index) => {
+              if (kind === 'code') {
+                return <pre key={index}>{text}</pre>;
+              }
+              return kind === 'heading' ? (
+                <h3 key={index}>{text}</h3>
+              ) : (
+                <p key={index}>{text}</p>
+              );
+            })
+          : getContent(item) && (
+              <p>
+                <SearchResultHighlight
+                  value={getContent(item)}
+                  field="content"
+                />
+              </p>
+            )}
+      </div>
+
+      {sectionItems.length > 1 && (
+        <section>
+          <h3 className={styles.searchResultPreviewHitsTitle}>
+            {translate({
+              id: 'theme.SearchPage.sectionHitsTitle',
+              message: 'Matches in this section',
+              description: 'The title of the hits of the previewed section',
+            })}
+          </h3>
+          <ul className={styles.searchResultPreviewHits}>
+            {sectionItems.map((sectionItem) => (
+              <li key={sectionItem.documentId}>
+                <SearchResultHighlight
+                  value={getContent(sectionItem) || sectionItem.title}
+                  field={getContent(sectionItem) ? 'content' : 'hierarchy'}
+                />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </aside>
+  );
+};
+
+const StoredHitList = ({
+  title,
+  hits,
+  favorite,
+  onToggleFavorite,
+  getItemProps,
+}) => (
+  <section className={styles.searchHistorySection}>
+    <h2 className={styles.searchHistoryTitle}>{title}</h2>
+    <ul className={styles.searchHistoryItems}>
+      {hits.map((hit, index) => {
+        const {title: hitTitle, subtitle} = getStoredHitTitles(hit);
+
+        return (
+          <li key={hit.objectID} className={styles.searchHistoryItem}>
+            <Link to={hit.url} {...getItemProps(index)}>
+              {hitTitle}
+              {subtitle && (
+                <span className={styles.searchHistoryItemSubtitle}>
+                  {subtitle}
+                </span>
+              )}
+            </Link>
+            <SearchResultPinButton
+              pinned={favorite}
+              onClick={() => onToggleFavorite(hit)}
+            />
+          </li>
+        );
+      })}
+    </ul>
+  </section>
+);
+
+const SearchHistory = ({searchHistory, rovingFocus, onSelectQuery}) => {
+  const {
+    recentQueries,
+    recentSearches,
+    favoriteSearches,
+    toggleFavoriteSearch,
+    clearHistory,
+  } = searchHistory;
+
+  if (
+    recentQueries.length === 0 &&
+    recentSearches.length === 0 &&
+    favoriteSearches.length === 0
+  ) {
+    return null;
+  }
+
+  // Queries, then pinned and recent results, are navigated as a single list
+  const getItemProps = (offset) => (index) =>
+    rovingFocus.getItemProps(offset + index);
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+    <div
+      className={styles.searchHistory}
+      ref={rovingFocus.containerRef}
+      onKeyDown={rovingFocus.onKeyDown}>
+      {recentQueries.length > 0 && (
+        <section className={styles.searchHistorySection}>
+          <h2 className={styles.searchHistoryTitle}>
+            <Translate
+              id="theme.SearchPage.recentQueries"
+              description="The title of the list of recent queries">
+              Recent searches
+            </Translate>
+          </h2>
+          <ul className={styles.searchHistoryItems}>
+            {recentQueries.map((query, index) => (
+              <li key={query} className={styles.searchHistoryItem}>
+                <button
+                  type="button"
+                  className={styles.searchHistoryQuery}
+                  onClick={() => onSelectQuery(query)}
+                  {...getItemProps(0)(index)}>
+                  {query}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {favoriteSearches.length > 0 && (
+        <StoredHitList
+          title={translate({
+            id: 'theme.SearchPage.favoriteSearches',
+            message: 'Pinned',
+            description: 'The title of the list of pinned results',
+          })}
+          hits={favoriteSearches}
+          favorite
+          onToggleFavorite={toggleFavoriteSearch}
+          getItemProps={getItemProps(recentQueries.length)}
+        />
+      )}
+
+      {recentSearches.length > 0 && (
+        <StoredHitList
+          title={translate({
+            id: 'theme.SearchPage.recentSearches',
+            message: 'Recently visited',
+            description: 'The title of the list of recently visited results',
+          })}
+          hits={recentSearches}
+          favorite={false}
+          onToggleFavorite={toggleFavoriteSearch}
+          getItemProps={getItemProps(
+            recentQueries.length + favoriteSearches.length,
+          )}
+        />
+      )}
+
+      {(recentQueries.length > 0 || recentSearches.length > 0) && (
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          onClick={clearHistory}>
+          <Translate
+            id="theme.SearchPage.clearHistory"
+            description="The label of the button clearing the recent searches">
+            Clear history
+          </Translate>
+        </button>
+      )}
+    </div>
+  );
+};
+
+const SearchPagination = ({currentPage, totalPages, onPageChange}) => {
+  const renderPageButton = (page, label, ariaLabel) => (
+    <button
+      type="button"
+      className={clsx('pagination__link', styles.searchPaginationButton)}
+      aria-label={ariaLabel}
+      aria-current={page === currentPage ? 'page' : undefined}
+      disabled={page < 0 || page >= totalPages}
+      onClick={() => onPageChange(page)}>
+      {label}
+    </button>
+  );
+
+  return (
+    <nav
+      className={styles.searchPagination}
+      aria-label={translate({
+        id: 'theme.SearchPage.paginationLabel',
+        message: 'Search results pages',
+        description: 'The ARIA label for the search results pagination',
+      })}>
+      <ul className="pagination">
+        <li
+          className={clsx('pagination__item', {
+            'pagination__item--disabled': currentPage === 0,
+          })}>
+          {renderPageButton(
+            currentPage - 1,
+            translate({
+              id: 'theme.SearchPage.previousPage',
+              message: 'Previous',
+              description: 'The label of the button showing the previous search results page',
+            }),
+          )}
+        </li>
+        {getPageNumbers({currentPage, totalPages}).map((page, i) =>
+          page === PAGINATION_ELLIPSIS ? (
+            <li key={`${page}-${i}`} className="pagination__item">
+              <span className="pagination__link">…</span>
+            </li>
+          ) : (
+            <li
+              key={page}
+              className={clsx('pagination__item', {
+                'pagination__item--active': page === currentPage,
+              })}>
+              {renderPageButton(
+                page,
+                page + 1,
+                translate(
+                  {
+                    id: 'theme.SearchPage.pageLabel',
+                    message: 'Page {page}',
+                    description: 'The ARIA label of a search results page button',
+                  },
+                  {page: page + 1},
+                ),
+              )}
+            </li>
+          ),
+        )}
+        <li
+          className={clsx('pagination__item', {
+            'pagination__item--disabled': currentPage >= totalPages - 1,
+          })}>
+          {renderPageButton(
+            currentPage + 1,
+            translate({
+              id: 'theme.SearchPage.nextPage',
+              message: 'Next',
+              description: 'The label of the button showing the next search results page',
+            }),
+          )}
+        </li>
+      </ul>
+    </nav>
+  );
+};
+
+const SearchHitsPerPageSelect = ({hitsPerPage, options, onChange}) => (
+  <label className={styles.searchHitsPerPage}>
+    <Translate
+      id="theme.SearchPage.hitsPerPageLabel"
+      description="The label of the select menu of the number of search results per page">
+      Results per page
+    </Translate>
+    <select
+      className={styles.searchHitsPerPageInput}
+      value={hitsPerPage}
+      onChange={(e) => onChange(Number(e.target.value))}>
+      {options.map((option) => (
+        <option key={option} value={option}>
+          {option}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+function useQuerySuggestions(query, enabled) {
   const {
     siteConfig: {
       themeConfig: {
-        typesense: {typesenseCollectionName, typesenseServerConfig, typesenseSearchParameters},
+        typesense: {typesenseCollectionName, querySuggestions = {}},
+      },
+    },
+    i18n: {currentLocale},
+  } = useDocusaurusContext();
+  const {collectionName, limit = 5} = querySuggestions;
+  const {typesenseSearchClient} = useTypesenseSearchClient();
+  const [suggestions, setSuggestions] = useState({query: null, values: []});
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    getQuerySuggestions({
+      client: typesenseSearchClient,
+      query,
+      collectionName,
+      typesenseCollectionName,
+      filterBy: buildFilter(eq('language', currentLocale)),
+      limit,
+    })
+      .then((values) => {
+        if (!cancelled) {
+          setSuggestions({query, values});
+        }
+      })
+      // Suggestions are a nice to have: keep the plain no results message
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, enabled, typesenseSearchClient]);
+
+  return suggestions.query === query ? suggestions.values : [];
+}
+
+const SearchSuggestionList = ({suggestions, onSelect}) => {
+  const [didYouMean, ...relatedQueries] = suggestions;
+  const renderSuggestion = (suggestion) => (
+    <button
+      type="button"
+      className={styles.searchSuggestion}
+      onClick={() => onSelect(suggestion)}>
+      {suggestion}
+    </button>
+  );
+
+  return (
+    <div className={styles.searchSuggestions}>
+      <p>
+        <Translate
+          id="theme.SearchPage.didYouMean"
+          description="The suggestion of another query when a search has no results"
+          values={{suggestion: renderSuggestion(didYouMean)}}>
+          {'Did you mean {suggestion}?'}
+        </Translate>
+      </p>
+
+      {relatedQueries.length > 0 && (
+        <div>
+          <Translate
+            id="theme.SearchPage.relatedQueries"
+            description="The label of the list of queries related to a search without results">
+            Related searches:
+          </Translate>{' '}
+          <ul className={styles.searchSuggestionList}>
+            {relatedQueries.map((suggestion) => (
+              <li key={suggestion}>{renderSuggestion(suggestion)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+function getSearchQueryTermLabel({type, value}) {
+  switch (type) {
+    case 'phrase':
+      return translate(
+        {
+          id: 'theme.SearchPage.queryTerm.phrase',
+          message: 'Exact phrase: {value}',
+          description: 'The label of the quoted phrases of the search query',
+        },
+        {value},
+      );
+    case 'exclude':
+      return translate(
+        {
+          id: 'theme.SearchPage.queryTerm.exclude',
+          message: 'Without: {value}',
+          description: 'The label of the excluded words of the search query',
+        },
+        {value},
+      );
+    case 'version':
+      return translate(
+        {
+          id: 'theme.SearchPage.queryTerm.version',
+          message: 'Version: {value}',
+          description: 'The label of the version: filters of the search query',
+        },
+        {value},
+      );
+    case 'tag':
+      return translate(
+        {
+          id: 'theme.SearchPage.queryTerm.tag',
+          message: 'Tag: {value}',
+          description: 'The label of the tag: filters of the search query',
+        },
+        {value},
+      );
+    default:
+      return translate(
+        {
+          id: 'theme.SearchPage.queryTerm.in',
+          message: 'In: {value}',
+          description: 'The label of the searched fields of the search query',
+        },
+        {value},
+      );
+  }
+}
+
+// The phrases, exclusions, filters and fields of the search query syntax,
+// see `@theme/utils/searchQuerySyntax`, each one removable from the query
+const SearchQueryTerms = ({terms, onRemove}) => (
+  <ul className={styles.searchQueryTerms}>
+    {terms.map((term) => {
+      const label = getSearchQueryTermLabel(term);
+
+      return (
+        <li key={term.start} className={clsx('badge', 'badge--secondary')}>
+          {label}
+          <button
+            type="button"
+            className={clsx('clean-btn', styles.searchQueryTermRemove)}
+            aria-label={translate(
+              {
+                id: 'theme.SearchPage.queryTerm.removeLabel',
+                message: 'Remove {term} from the search',
+                description:
+                  'The ARIA label for the button removing a term of the search query',
+              },
+              {term: label},
+            )}
+            onClick={() => onRemove(term)}>
+            ×
+          </button>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+// One tab per searched collection, shown when there are several of them
+const SearchCollectionTabs = ({collections, activeCollection, onSelect}) => (
+  <div
+    className={clsx('tabs', styles.searchCollectionTabs)}
+    role="tablist"
+    aria-label={translate({
+      id: 'theme.SearchPage.collectionTabsLabel',
+      message: 'Search results sources',
+      description: 'The ARIA label for the tabs of the search results sources',
+    })}>
+    {collections.map((collection) => (
+      <button
+        key={collection.name}
+        type="button"
+        role="tab"
+        aria-selected={collection === activeCollection}
+        className={clsx('tabs__item', styles.searchCollectionTab, {
+          'tabs__item--active': collection === activeCollection,
+        })}
+        onClick={() => onSelect(collection)}>
+        {collection.label ||
+          translate({
+            id: 'theme.SearchPage.mainCollectionLabel',
+            message: 'Documentation',
+            description: 'The tab label of the search results of the docs',
+          })}
+      </button>
+    ))}
+  </div>
+);
+
+// Rendered without JavaScript: links to the pre-rendered search pages
+const StaticSearchPageList = ({staticSearchPages}) => (
+  <noscript>
+    <div className={styles.searchSuggestions}>
+      <Translate
+        id="theme.SearchPage.popularSearchesTitle"
+        description="The title of the list of popular searches shown without JavaScript">
+        Popular searches:
+      </Translate>
+      <ul className={styles.searchSuggestionList}>
+        {staticSearchPages.map(({query, path}) => (
+          <li key={path}>
+            <a className={styles.searchSuggestion} href={path}>
+              {query}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  </noscript>
+);
+
+// Milliseconds without typing before searching
+const SEARCH_DEBOUNCE_DELAY = 300;
+
+function getSearchErrorMessage(errorType) {
+  switch (errorType) {
+    case 'network':
+      return translate({
+        id: 'theme.SearchPage.networkErrorText',
+        message: 'The search service could not be reached. Check your connection and try again.',
+        description: 'The message shown when the search request fails to reach the server',
+      });
+    case 'unauthorized':
+      return translate({
+        id: 'theme.SearchPage.unauthorizedErrorText',
+        message: 'The search service refused the search. Its API key may be invalid or expired.',
+        description: 'The message shown when the search API key is rejected',
+      });
+    case 'timeout':
+      return translate({
+        id: 'theme.SearchPage.timeoutErrorText',
+        message: 'The search service took too long to answer. Try again later.',
+        description: 'The message shown when the search request times out',
+      });
+    default:
+      return translate({
+        id: 'theme.SearchPage.serverErrorText',
+        message: 'The search failed. Try again later.',
+        description: 'The message shown when the search server fails',
+      });
+  }
+}
+
+const SearchErrorMessage = ({errorType, onRetry}) => (
+  <div
+    className={clsx('alert alert--danger', styles.searchError)}
+    role="alert">
+    <p>{getSearchErrorMessage(errorType)}</p>
+    <button
+      type="button"
+      className="button button--sm button--danger"
+      onClick={onRetry}>
+      {translate({
+        id: 'theme.SearchPage.retrySearch',
+        message: 'Try again',
+        description: 'The label of the button searching again after a failed search',
+      })}
+    </button>
+  </div>
+);
+
+// `staticSearchResults` is only given to the search pages pre-rendered for
+// the `staticSearchResults.queries` theme option, and `namedSearchPage` to the
+// pages of the `searchPages` theme option
+function SearchPageContent({
+  staticSearchResults = null,
+  namedSearchPage = null,
+}) {
+  const {
+    siteConfig: {
+      url: siteUrl,
+      themeConfig: {
+        typesense: {
+          typesenseSearchParameters,
+          searchFilter,
+          highlight,
+          pagination = 'infinite',
+          hitsPerPageOptions = [15, 30, 50],
+          searchPagePreview = 'content',
+        },
       },
     },
     i18n: {currentLocale},
   } = useDocusaurusContext();
   const documentsFoundPlural = useDocumentsFoundPlural();
+  const {typesenseSearchClient, typesenseServerConfig} =
+    useTypesenseSearchClient();
+  const {reportSearch, reportResultClick, reportSearchPageView} =
+    useSearchAnalytics();
+  const searchHistory = useSearchHistory({source: 'page'});
+  const {searchProfile, searchProfileParameters} = useSearchProfile();
+  const searchInputRef = useRef(null);
+  const focusSearchInput = () => searchInputRef.current.focus();
+  const searchHistoryRovingFocus = useRovingFocus({onReturn: focusSearchInput});
+  const searchResultsRovingFocus = useRovingFocus({onReturn: focusSearchInput});
 
-  const docsSearchVersionsHelpers = useDocsSearchVersionsHelpers();
-  const {searchValue, updateSearchPath} = useSearchQuery();
-  const [searchQuery, setSearchQuery] = useState(searchValue);
+  const facets = useSearchPageFacets();
+  const searchCollections = useSearchCollections();
+  const {
+    searchValue,
+    facetRefinements: facetRefinementsFromUrl,
+    searchVersions: searchVersionsFromUrl,
+    page: pageFromUrl,
+    hitsPerPage: hitsPerPageFromUrl,
+    source: sourceFromUrl,
+    searchContext,
+    updateSearchPath,
+  } = useSearchQuery();
+  // Scopes of the page the search page was opened from, if any
+  const {searchScope, setSearchScope, availableSearchScopes, searchScopeFilter} =
+    useSearchScope(searchContext);
+  const docsSearchVersionsHelpers = useDocsSearchVersionsHelpers(
+    searchVersionsFromUrl,
+    namedSearchPage && namedSearchPage.docsPluginIds,
+  );
+  // Facets, versions and contextual filters only apply to the main collection
+  const [activeCollection, setActiveCollection] = useState(
+    () =>
+      searchCollections.find(({name}) => name === sourceFromUrl) ||
+      searchCollections.find(({isMain}) => isMain),
+  );
+  // Tags of the docs plugins, for the `tag:` filters of the search query
+  const allDocsData = useAllDocsData();
+  const searchQueryTagAliases = useMemo(
+    () => getDocsTagAliases(allDocsData),
+    [allDocsData],
+  );
+  const {staticSearchPages = [], noscriptSearchUrl} = usePluginData(
+    'docusaurus-theme-search-typesense',
+  );
+  const [searchQuery, setSearchQuery] = useState(
+    searchValue || (staticSearchResults ? staticSearchResults.query : ''),
+  );
+  const [facetRefinements, setFacetRefinements] = useState(
+    facetRefinementsFromUrl,
+  );
+
+  // The numbered pagination restores the page and its size from the URL,
+  // the infinite scroll always starts from the first page
+  const isNumberedPagination = pagination === 'numbered';
+  const defaultHitsPerPage =
+    searchProfile.hitsPerPage || DEFAULT_SEARCH_PAGE_HITS_PER_PAGE;
+  const hitsPerPageSelectOptions = getHitsPerPageOptions(
+    hitsPerPageOptions,
+    defaultHitsPerPage,
+  );
+  const [searchPage, setSearchPage] = useState(
+    isNumberedPagination ? pageFromUrl : 0,
+  );
+  const [hitsPerPage, setHitsPerPage] = useState(
+    isNumberedPagination && hitsPerPageSelectOptions.includes(hitsPerPageFromUrl)
+      ? hitsPerPageFromUrl
+      : defaultHitsPerPage,
+  );
+
+  // Changing the search itself goes back to the first page
+  const updateSearchQuery = (query) => {
+    setSearchQuery(query);
+    setSearchPage(0);
+  };
+  const setSearchVersion = (pluginId, searchVersion) => {
+    docsSearchVersionsHelpers.setSearchVersion(pluginId, searchVersion);
+    setSearchPage(0);
+  };
+  const selectSearchScope = (scope) => {
+    setSearchScope(scope);
+    setSearchPage(0);
+  };
+  const selectCollection = (collection) => {
+    setActiveCollection(collection);
+    setSearchPage(0);
+  };
+  const toggleFacetRefinement = (attribute, value) => {
+    setSearchPage(0);
+    setFacetRefinements((refinements) => {
+      const values = refinements[attribute] || [];
+      const nextValues = values.includes(value)
+        ? values.filter((v) => v !== value)
+        : values.concat(value);
+      const {[attribute]: _, ...otherRefinements} = refinements;
+
+      return nextValues.length > 0
+        ? {...otherRefinements, [attribute]: nextValues}
+        : otherRefinements;
+    });
+  };
   const initialSearchResultState = {
     items: [],
+    facetValues: {},
     query: null,
     totalResults: null,
     totalPages: null,
     lastPage: null,
     hasMore: null,
     loading: null,
+    // Type of the `SearchError` of the last search
+    error: null,
   };
   const [searchResultState, searchResultStateDispatcher] = useReducer(
     (prevState, {type, value: state}) => {
       switch (type) {
         case 'reset': {
-          return initialSearchResultState;
+          // Keep the facet sidebar in place while the next results load
+          return {
+            ...initialSearchResultState,
+            facetValues: prevState.facetValues,
+          };
         }
         case 'loading': {
-          return {...prevState, loading: true};
+          return {...prevState, loading: true, error: null};
+        }
+        case 'error': {
+          return {...prevState, loading: false, error: state};
         }
         case 'update': {
-          if (searchQuery !== state.query) {
+          // The searches of a previous query or tab are aborted: ignore their
+          // responses in case they were already answered
+          if (
+            searchQuery !== state.query ||
+            activeCollection.name !== state.collection
+          ) {
             return prevState;
           }
 
           return {
             ...state,
+            error: null,
             items:
-              state.lastPage === 0
+              state.lastPage === 0 || isNumberedPagination
                 ? state.items
                 : prevState.items.concat(state.items),
           };
@@ -170,81 +1191,192 @@ function SearchPage() {
       }
     },
     initialSearchResultState,
+    (initialState) =>
+      staticSearchResults
+        ? {
+            ...initialState,
+            items: staticSearchResults.items,
+            query: staticSearchResults.query,
+            totalResults: staticSearchResults.totalResults,
+            totalPages: staticSearchResults.totalPages,
+            lastPage: 0,
+            hasMore: false,
+            loading: false,
+          }
+        : initialState,
   );
-  const typesenseInstantSearchAdapter = new TypesenseInstantSearchAdapter({
-    server: typesenseServerConfig,
-    additionalSearchParameters: {
-      query_by:
-        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content',
-      include_fields:
-        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content,anchor,url,type,id',
-      highlight_full_fields:
-        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content',
-      group_by: 'url',
-      group_limit: 3,
-      ...typesenseSearchParameters
-    },
-  });
-  const algoliaHelper = algoliaSearchHelper(typesenseInstantSearchAdapter.searchClient, typesenseCollectionName, {
-    hitsPerPage: 15,
-    advancedSyntax: true,
-    disjunctiveFacets: ['language'],
-    highlightPreTag: '<algolia-docsearch-suggestion--highlight>',
-    highlightPostTag: '</algolia-docsearch-suggestion--highlight>',
+  // The pre-rendered results stay in place until the live ones replace them
+  const isShowingStaticResults = useRef(!!staticSearchResults);
+  const {
+    collection: _,
+    filter_by: collectionFilterBy,
+    ...additionalSearchParameters
+  } = getCollectionSearchParameters(activeCollection, {
+    ...searchProfileParameters,
+    ...typesenseSearchParameters,
+    ...getHighlightSearchParameters(highlight),
   });
+  // An explicit facet selection replaces the contextual filter of the same
+  // attribute instead of being OR-ed with it
+  const isRefinedByUser = (attribute) => !!facetRefinements[attribute];
+  // Pages other than docs are tagged `default`: they are left out of the
+  // search pages limited to some docs plugins
+  const getContextualSearchTags = () => [
+    ...(namedSearchPage && namedSearchPage.docsPluginIds ? [] : ['default']),
+    ...Object.entries(docsSearchVersionsHelpers.searchVersions).flatMap(
+      ([pluginId, searchVersion]) =>
+        (searchVersion === ALL_VERSIONS
+          ? docsSearchVersionsHelpers.allDocsData[pluginId].versions.map(
+              ({name}) => name,
+            )
+          : [searchVersion]
+        ).map((versionName) => `docs-${pluginId}-${versionName}`),
+    ),
+  ];
+  const searchFilterBy = activeCollection.isMain
+    ? getSearchFilter({
+        contextualFilter: getContextualFilter({
+          locale: !isRefinedByUser('language') && currentLocale,
+          tags: isRefinedByUser('docusaurus_tag')
+            ? []
+            : getContextualSearchTags(),
+        }),
+        searchFilter: and(
+          searchFilter,
+          namedSearchPage && namedSearchPage.searchFilter,
+          searchScopeFilter,
+        ),
+        filterBy: collectionFilterBy,
+      })
+    : collectionFilterBy;
+  const disjunctiveFacets = activeCollection.isMain
+    ? [
+        ...new Set([
+          'language',
+          'docusaurus_tag',
+          ...facets.map(({attribute}) => attribute),
+        ]),
+      ]
+    : [];
+  const additionalSearchParametersKey = JSON.stringify(
+    additionalSearchParameters,
+  );
+  const disjunctiveFacetsKey = disjunctiveFacets.join(',');
+  // Created again only when the search parameters change, the query, page and
+  // facet refinements being set on each search
+  const {typesenseInstantSearchAdapter, algoliaHelper} = useMemo(() => {
+    const adapter = new TypesenseInstantSearchAdapter({
+      server: typesenseServerConfig,
+      additionalSearchParameters,
+    });
 
-  algoliaHelper.on(
-    'result',
-    ({results: {query, hits, page, nbHits, nbPages}}) => {
-      if (query === '' || !(hits instanceof Array)) {
-        searchResultStateDispatcher({type: 'reset'});
-        return;
-      }
+    return {
+      typesenseInstantSearchAdapter: adapter,
+      algoliaHelper: algoliaSearchHelper(
+        adapter.searchClient,
+        activeCollection.name,
+        {
+          hitsPerPage,
+          disjunctiveFacets,
+          // The adapter replaces the `<mark>` tags of the highlighted values
+          // with these: keep the ones of the indexed content as they are
+          highlightPreTag: '<mark>',
+          highlightPostTag: '</mark>',
+        },
+      ),
+    };
+  }, [
+    typesenseServerConfig,
+    additionalSearchParametersKey,
+    activeCollection.name,
+    hitsPerPage,
+    disjunctiveFacetsKey,
+  ]);
+  const searchAbortController = useRef(null);
+  const abortSearch = () => {
+    if (searchAbortController.current) {
+      searchAbortController.current.abort();
+      searchAbortController.current = null;
+    }
+  };
 
-      const sanitizeValue = (value) => {
-        return value.replace(
-          /<algolia-docsearch-suggestion--highlight>/g,
-          '<span class="search-result-match">',
-        ).replace(/<\/algolia-docsearch-suggestion--highlight>/g, '</span>');
-      };
-
-      const items = hits.map(
-        ({
-           url,
-           _highlightResult,
-           _snippetResult: snippet = {},
-         }) => {
-          const {pathname, hash} = new URL(url);
-          const titles = [0, 1, 2, 3, 4, 5, 6].map(lvl => {
-            const highlightResult = _highlightResult[`hierarchy.lvl${lvl}`]
-            return highlightResult ? sanitizeValue(highlightResult.value) : null;
-          }).filter(v => v);
+  // Registered once per helper, see the effect below, and reading the state
+  // of the last render
+  const handleSearchResult = useRef(null);
+  handleSearchResult.current = ({results}) => {
+    const {query, hits, page, nbHits, nbPages, hitsPerPage} = results;
 
-          return {
-            title: titles.pop(),
-            url: pathname + hash,
-            summary: snippet.content
-              ? `${sanitizeValue(snippet.content.value)}...`
-              : '',
-            breadcrumbs: titles,
-          };
-        },
-      );
+    if (query === '' || !(hits instanceof Array)) {
+      searchResultStateDispatcher({type: 'reset'});
+      return;
+    }
 
-      searchResultStateDispatcher({
-        type: 'update',
-        value: {
-          items,
-          query,
-          totalResults: nbHits,
-          totalPages: nbPages,
-          lastPage: page,
-          hasMore: nbPages > page + 1,
-          loading: false,
-        },
+    if (page === 0) {
+      reportSearch({query, nbHits, source: 'page'});
+    }
+
+    const items = hits.map((hit, index) => {
+      const item = getSearchResultItem(hit, {
+        position: page * hitsPerPage + index + 1,
+        siteUrl,
+        isMain: activeCollection.isMain,
       });
-    },
-  );
+
+      return {...item, storedHit: toStoredHit(hit, item.url)};
+    });
+
+    const facetValues = (activeCollection.isMain ? facets : []).reduce(
+      (acc, {attribute}) => ({
+        ...acc,
+        [attribute]:
+          results.getFacetValues(attribute, {
+            sortBy: ['count:desc', 'name:asc'],
+          }) || [],
+      }),
+      {},
+    );
+
+    searchResultStateDispatcher({
+      type: 'update',
+      value: {
+        collection: activeCollection.name,
+        items,
+        facetValues,
+        query,
+        totalResults: nbHits,
+        totalPages: nbPages,
+        lastPage: page,
+        hasMore: nbPages > page + 1,
+        loading: false,
+      },
+    });
+  };
+
+  useEffect(() => {
+    algoliaHelper
+      .on('result', (event) => handleSearchResult.current(event))
+      .on('error', ({error}) => {
+        // The aborted searches are no longer needed, see `abortSearch()`
+        if (isAbortError(error)) {
+          return;
+        }
+
+        searchResultStateDispatcher({
+          type: 'error',
+          value: error instanceof SearchError ? error.type : 'server',
+        });
+      });
+
+    return () => {
+      algoliaHelper.removeAllListeners();
+    };
+  }, [algoliaHelper]);
+
+  // The first result is previewed until another one is focused or hovered
+  const [previewedUrl, setPreviewedUrl] = useState(null);
+  const previewedItem =
+    searchResultState.items.find(({url}) => url === previewedUrl) ||
+    searchResultState.items[0];
 
   const [loaderRef, setLoaderRef] = useState(null);
   const prevY = useRef(0);
@@ -267,6 +1399,16 @@ function SearchPage() {
     ),
   );
 
+  const showFacetList =
+    facets.length > 0 && !!searchQuery && activeCollection.isMain;
+
+  const querySuggestions = useQuerySuggestions(
+    searchQuery,
+    !!searchQuery &&
+      searchResultState.query === searchQuery &&
+      searchResultState.totalResults === 0,
+  );
+
   const getTitle = () =>
     searchQuery
       ? translate(
@@ -279,28 +1421,88 @@ function SearchPage() {
           query: searchQuery,
         },
       )
-      : translate({
-        id: 'theme.SearchPage.emptyResultsTitle',
-        message: 'Search the documentation',
-        description: 'The search page title for empty query',
+      : (namedSearchPage && namedSearchPage.title) ||
+        translate({
+          id: 'theme.SearchPage.emptyResultsTitle',
+          message: 'Search the documentation',
+          description: 'The search page title for empty query',
+        });
+
+  // Announced to screen readers, the visible count is not updated while
+  // loading and does not cover the no results case
+  const getSearchStatusMessage = () => {
+    if (!searchQuery) {
+      return '';
+    }
+
+    if (searchResultState.error) {
+      return getSearchErrorMessage(searchResultState.error);
+    }
+
+    if (searchResultState.loading) {
+      return translate({
+        id: 'theme.SearchPage.loadingResults',
+        message: 'Loading results',
+        description: 'The message announced to screen readers while searching',
       });
+    }
 
-  const makeSearch = (page = 0) => {
-    if (!typesenseSearchParameters.filter_by && typesenseSearchParameters.filter_by !== '') {
-      algoliaHelper.addDisjunctiveFacetRefinement('docusaurus_tag', 'default');
-      algoliaHelper.addDisjunctiveFacetRefinement('language', currentLocale);
-
-      Object.entries(docsSearchVersionsHelpers.searchVersions).forEach(
-        ([pluginId, searchVersion]) => {
-          algoliaHelper.addDisjunctiveFacetRefinement(
-            'docusaurus_tag',
-            `docs-${pluginId}-${searchVersion}`,
-          );
-        },
-      );
+    if (searchResultState.query !== searchQuery) {
+      return '';
     }
+
+    return searchResultState.totalResults
+      ? documentsFoundPlural(searchResultState.totalResults)
+      : translate({
+          id: 'theme.SearchPage.noResultsText',
+          message: 'No results were found',
+          description: 'The paragraph for empty search result',
+        });
+  };
+
+  const makeSearch = (page = 0) => {
+    abortSearch();
+    searchAbortController.current = new AbortController();
+    // Route the adapter's requests through the client matching `searchMode`.
+    // The adapter replaces `filter_by` with the facet filters: the search
+    // filter is added to its requests instead. The query keeps its syntax in
+    // the helper state, and is translated in the requests of the main
+    // collection, the only one with the fields of its filters.
+    const searchClient = withAbortSignalClient(
+      typesenseSearchClient,
+      searchAbortController.current.signal,
+    );
+    typesenseInstantSearchAdapter.typesenseClient = withSearchFilter(
+      activeCollection.isMain
+        ? withSearchQuerySyntax(searchClient, {
+            tagAliases: searchQueryTagAliases,
+          })
+        : searchClient,
+      searchFilterBy,
+    );
+
+    algoliaHelper.clearRefinements();
+    Object.entries(facetRefinements)
+      // Ignore refinements on attributes that are not configured as facets
+      .filter(([attribute]) => algoliaHelper.state.isDisjunctiveFacet(attribute))
+      .forEach(([attribute, values]) => {
+        values.forEach((value) => {
+          algoliaHelper.addDisjunctiveFacetRefinement(attribute, value);
+        });
+      });
+
     algoliaHelper.setQuery(searchQuery).setPage(page).search();
   };
+  const retrySearch = () => {
+    searchResultStateDispatcher({type: 'loading'});
+    makeSearch(
+      isNumberedPagination ? searchPage : searchResultState.lastPage || 0,
+    );
+  };
+
+  useEffect(() => {
+    reportSearchPageView({query: searchValue});
+  }, []);
 
   useEffect(() => {
     if (!loaderRef) {
@@ -315,21 +1517,56 @@ function SearchPage() {
   }, [loaderRef]);
 
   useEffect(() => {
-    updateSearchPath(searchQuery);
+    updateSearchPath(searchQuery, {
+      facetRefinements,
+      searchVersions: docsSearchVersionsHelpers.chosenSearchVersions,
+      source: activeCollection.isMain ? null : activeCollection.name,
+      ...(isNumberedPagination && {
+        page: searchPage,
+        hitsPerPage: hitsPerPage === defaultHitsPerPage ? null : hitsPerPage,
+      }),
+    });
+    searchResultsRovingFocus.resetActiveItem();
 
-    searchResultStateDispatcher({type: 'reset'});
-
-    if (searchQuery) {
-      searchResultStateDispatcher({type: 'loading'});
+    if (isShowingStaticResults.current) {
+      isShowingStaticResults.current = false;
+    } else {
+      searchResultStateDispatcher({type: 'reset'});
+    }
 
-      setTimeout(() => {
-        makeSearch();
-      }, 300);
+    if (!searchQuery) {
+      abortSearch();
+      return undefined;
     }
-  }, [searchQuery, docsSearchVersionsHelpers.searchVersions]);
+
+    searchResultStateDispatcher({type: 'loading'});
+    // Typing searches once the user pauses, and the response of the previous
+    // query is dropped when it is still running
+    const timeout = setTimeout(() => {
+      makeSearch(searchPage);
+    }, SEARCH_DEBOUNCE_DELAY);
+
+    return () => {
+      clearTimeout(timeout);
+      abortSearch();
+    };
+  }, [
+    searchQuery,
+    facetRefinements,
+    docsSearchVersionsHelpers.searchVersions,
+    searchPage,
+    hitsPerPage,
+    activeCollection,
+    searchScope,
+  ]);
 
   useEffect(() => {
-    if (!searchResultState.lastPage || searchResultState.lastPage === 0) {
+    // Numbered pages are searched by the effect above
+    if (
+      isNumberedPagination ||
+      !searchResultState.lastPage ||
+      searchResultState.lastPage === 0
+    ) {
       return;
     }
 
@@ -338,25 +1575,33 @@ function SearchPage() {
 
   useEffect(() => {
     if (searchValue && searchValue !== searchQuery) {
-      setSearchQuery(searchValue);
+      updateSearchQuery(searchValue);
     }
   }, [searchValue]);
 
   return (
-    <Layout wrapperClassName="search-page-wrapper">
+    <>
       <Head>
         <title>{useTitleFormatter(getTitle())}</title>
         {/*
          We should not index search pages
           See https://github.com/facebook/docusaurus/pull/3233
         */}
-        <meta property="robots" content="noindex, follow"/>
+        <meta
+          property="robots"
+          content={staticSearchResults ? 'index, follow' : 'noindex, follow'}
+        />
       </Head>
 
       <div className="container margin-vert--lg">
         <h1>{getTitle()}</h1>
 
-        <form className="row" onSubmit={(e) => e.preventDefault()}>
+        {/* Submitted as a plain GET request when JavaScript is disabled */}
+        <form
+          className="row"
+          action={namedSearchPage ? namedSearchPage.path : noscriptSearchUrl}
+          method="get"
+          onSubmit={(e) => e.preventDefault()}>
           <div
             className={clsx('col', styles.searchQueryColumn, {
               'col--9': docsSearchVersionsHelpers.versioningEnabled,
@@ -376,24 +1621,98 @@ function SearchPage() {
                 message: 'Search',
                 description: 'The ARIA label for search page input',
               })}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={(e) => updateSearchQuery(e.target.value)}
+              onKeyDown={(e) => {
+                const rovingFocus = searchQuery
+                  ? searchResultsRovingFocus
+                  : searchHistoryRovingFocus;
+
+                if (e.key === 'ArrowDown' && rovingFocus.focusActiveItem()) {
+                  e.preventDefault();
+                }
+              }}
+              ref={searchInputRef}
               value={searchQuery}
               autoComplete="off"
               autoFocus
             />
+
+            {activeCollection.isMain && (
+              <SearchQueryTerms
+                terms={parseSearchQuery(searchQuery).filter(
+                  ({type}) => type !== 'word',
+                )}
+                onRemove={(term) => {
+                  updateSearchQuery(removeSearchQueryTerm(searchQuery, term));
+                  focusSearchInput();
+                }}
+              />
+            )}
           </div>
 
           {docsSearchVersionsHelpers.versioningEnabled && (
             <SearchVersionSelectList
-              docsSearchVersionsHelpers={docsSearchVersionsHelpers}
+              docsSearchVersionsHelpers={{
+                ...docsSearchVersionsHelpers,
+                setSearchVersion,
+              }}
             />
           )}
         </form>
 
+        {availableSearchScopes.length > 1 && (
+          <SearchScopeToggle
+            className={styles.searchScopeToggle}
+            searchScopes={availableSearchScopes}
+            searchScope={searchScope}
+            searchContext={searchContext}
+            onChange={selectSearchScope}
+          />
+        )}
+
+        {searchCollections.length > 1 && !!searchQuery && (
+          <SearchCollectionTabs
+            collections={searchCollections}
+            activeCollection={activeCollection}
+            onSelect={selectCollection}
+          />
+        )}
+
+        {!namedSearchPage && staticSearchPages.length > 0 && (
+          <StaticSearchPageList staticSearchPages={staticSearchPages} />
+        )}
+
+        {!searchQuery && (
+          <SearchHistory
+            searchHistory={searchHistory}
+            rovingFocus={searchHistoryRovingFocus}
+            onSelectQuery={(query) => updateSearchPath(query)}
+          />
+        )}
+
         <div className="row">
           <div className={clsx('col', 'col--8', styles.searchResultsColumn)}>
             {!!searchResultState.totalResults &&
               documentsFoundPlural(searchResultState.totalResults)}
+
+            {isNumberedPagination && !!searchResultState.totalResults && (
+              <SearchHitsPerPageSelect
+                hitsPerPage={hitsPerPage}
+                options={hitsPerPageSelectOptions}
+                onChange={(value) => {
+                  setHitsPerPage(value);
+                  setSearchPage(0);
+                }}
+              />
+            )}
+
+            <div
+              className={styles.visuallyHidden}
+              role="status"
+              aria-live="polite"
+              aria-atomic="true">
+              {getSearchStatusMessage()}
+            </div>
           </div>
 
           <div
@@ -448,74 +1767,164 @@ function SearchPage() {
           </div>
         </div>
 
-        {searchResultState.items.length > 0 ? (
-          <main>
-            {searchResultState.items.map(
-              ({title, url, summary, breadcrumbs}, i) => (
-                <article key={i} className={styles.searchResultItem}>
-                  <h2 className={styles.searchResultItemHeading}>
-                    <Link to={url} dangerouslySetInnerHTML={{__html: title}}/>
-                  </h2>
-
-                  {breadcrumbs.length > 0 && (
-                    <nav aria-label="breadcrumbs">
-                      <ul
-                        className={clsx(
-                          'breadcrumbs',
-                          styles.searchResultItemPath,
-                        )}>
-                        {breadcrumbs.map((html, index) => (
-                          <li
-                            key={index}
-                            className="breadcrumbs__item"
-                            // Developer provided the HTML, so assume it's safe.
-                            // eslint-disable-next-line react/no-danger
-                            dangerouslySetInnerHTML={{__html: html}}
-                          />
-                        ))}
-                      </ul>
-                    </nav>
-                  )}
+        <div className="row">
+          {showFacetList && (
+            <SearchFacetList
+              facets={facets}
+              facetValues={searchResultState.facetValues}
+              facetRefinements={facetRefinements}
+              onToggle={toggleFacetRefinement}
+            />
+          )}
 
-                  {summary && (
-                    <p
-                      className={styles.searchResultItemSummary}
-                      // Developer provided the HTML, so assume it's safe.
-                      // eslint-disable-next-line react/no-danger
-                      dangerouslySetInnerHTML={{__html: summary}}
-                    />
+          <div
+            className={clsx('col', {
+              'col--9': showFacetList,
+              'col--12': !showFacetList,
+            })}>
+            {searchResultState.items.length > 0 ? (
+              <div
+                className={clsx(
+                  searchPagePreview && styles.searchResultsSplitView,
+                )}>
+                {/* eslint-disable-next-line jsx-a11y/no-noninteractive-element-interactions */}
+                <main
+                  ref={searchResultsRovingFocus.containerRef}
+                  onKeyDown={searchResultsRovingFocus.onKeyDown}>
+                  {searchResultState.items.map(
+                    (
+                      {
+                        title,
+                        url,
+                        summary,
+                        breadcrumbs,
+                        documentId,
+                        position,
+                        storedHit,
+                      },
+                      i,
+                    ) => (
+                      // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+                      <div
+                        key={i}
+                        onMouseEnter={() => setPreviewedUrl(url)}
+                        onFocus={() => setPreviewedUrl(url)}>
+                        <SearchResultItem
+                          variant="page"
+                          hit={storedHit}
+                          title={title}
+                          url={url}
+                          summary={summary}
+                          breadcrumbs={breadcrumbs}
+                          linkProps={{
+                            onClick: () => {
+                              searchHistory.addRecentSearch(storedHit);
+                              reportResultClick({
+                                query: searchResultState.query,
+                                position,
+                                url,
+                                documentId,
+                                source: 'page',
+                              });
+                            },
+                            ...searchResultsRovingFocus.getItemProps(i),
+                          }}
+                          actions={
+                            <SearchResultPinButton
+                              pinned={searchHistory.favoriteSearches.some(
+                                (hit) => hit.objectID === storedHit.objectID,
+                              )}
+                              onClick={() =>
+                                searchHistory.toggleFavoriteSearch(storedHit)
+                              }
+                            />
+                          }
+                        />
+                      </div>
+                    ),
                   )}
-                </article>
-              ),
+                </main>
+                {searchPagePreview && (
+                  <SearchResultPreview
+                    item={previewedItem}
+                    sectionItems={getSectionItems(
+                      searchResultState.items,
+                      previewedItem.url,
+                    )}
+                    source={searchPagePreview}
+                  />
+                )}
+              </div>
+            ) : (
+              [
+                searchQuery &&
+                  !searchResultState.loading &&
+                  !searchResultState.error && (
+                    <p key="no-results">
+                      <Translate
+                        id="theme.SearchPage.noResultsText"
+                        description="The paragraph for empty search result">
+                        No results were found
+                      </Translate>
+                    </p>
+                  ),
+                searchQuery &&
+                  !searchResultState.loading &&
+                  querySuggestions.length > 0 && (
+                    <SearchSuggestionList
+                      key="suggestions"
+                      suggestions={querySuggestions}
+                      onSelect={(suggestion) => updateSearchPath(suggestion)}
+                    />
+                  ),
+                !!searchResultState.loading && (
+                  <div key="spinner" className={styles.loadingSpinner}/>
+                ),
+              ]
             )}
-          </main>
-        ) : (
-          [
-            searchQuery && !searchResultState.loading && (
-              <p key="no-results">
-                <Translate
-                  id="theme.SearchPage.noResultsText"
-                  description="The paragraph for empty search result">
-                  No results were found
-                </Translate>
-              </p>
-            ),
-            !!searchResultState.loading && (
-              <div key="spinner" className={styles.loadingSpinner}/>
-            ),
-          ]
-        )}
 
-        {searchResultState.hasMore && (
-          <div className={styles.loader} ref={setLoaderRef}>
-            <Translate
-              id="theme.SearchPage.fetchingNewResults"
-              description="The paragraph for fetching new search results">
-              Fetching new results...
-            </Translate>
+            {searchResultState.error && (
+              <SearchErrorMessage
+                errorType={searchResultState.error}
+                onRetry={retrySearch}
+              />
+            )}
+
+            {isNumberedPagination && searchResultState.totalPages > 1 && (
+              <SearchPagination
+                currentPage={searchPage}
+                totalPages={searchResultState.totalPages}
+                onPageChange={(page) => {
+                  setSearchPage(page);
+                  window.scrollTo(0, 0);
+                }}
+              />
+            )}
+
+            {!isNumberedPagination &&
+              searchResultState.hasMore &&
+              !searchResultState.error && (
+                <div className={styles.loader} ref={setLoaderRef}>
+                  <Translate
+                    id="theme.SearchPage.fetchingNewResults"
+                    description="The paragraph for fetching new search results">
+                    Fetching new results...
+                  </Translate>
+                </div>
+              )}
           </div>
-        )}
+        </div>
       </div>
+    </>
+  );
+}
+
+// The content reads the contexts provided by the layout, e.g. the preferred
+// docs versions
+function SearchPage(props) {
+  return (
+    <Layout wrapperClassName="search-page-wrapper">
+      <SearchPageContent {...props} />
     </Layout>
   );
 }
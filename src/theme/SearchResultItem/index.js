@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useAllDocsData} from '@docusaurus/plugin-content-docs/client';
+import {translate} from '@docusaurus/Translate';
+import {
+  getSearchResultKind,
+  getSearchResultDocsVersion,
+} from '@theme/utils/searchResultKinds';
+import {
+  DEFAULT_HIGHLIGHT_OPTIONS,
+  getHighlightParts,
+  parseHighlight,
+} from '@theme/utils/highlight';
+import styles from './styles.module.css';
+
+function useHighlightOptions() {
+  const {
+    siteConfig: {
+      themeConfig: {
+        typesense: {highlight = DEFAULT_HIGHLIGHT_OPTIONS},
+      },
+    },
+  } = useDocusaurusContext();
+
+  return highlight;
+}
+
+// Renders a highlighted value of the search results as text, wrapping its
+// matches with the `highlight.tagName` element. `field` is `hierarchy` for
+// the titles and breadcrumbs, and `content` for the summaries.
+export function SearchResultHighlight({value, field}) {
+  const {tagName: TagName, className, fields} = useHighlightOptions();
+  const highlight = parseHighlight(value);
+
+  if (!fields.includes(field)) {
+    return highlight.text;
+  }
+
+  return getHighlightParts(highlight).map(
+    ({value: part, isHighlighted}, index) =>
+      isHighlighted ? (
+        <TagName key={index} className={className || undefined}>
+          {part}
+        </TagName>
+      ) : (
+        <React.Fragment key={index}>{part}</React.Fragment>
+      ),
+  );
+}
+
+function DocsSearchResultDetails({hit}) {
+  const version = getSearchResultDocsVersion(hit, useAllDocsData());
+
+  if (!version || !version.isVersioned) {
+    return null;
+  }
+
+  return (
+    <span
+      className={clsx('badge', {
+        'badge--primary': version.isLast,
+        'badge--secondary': !version.isLast,
+      })}>
+      {version.label}
+    </span>
+  );
+}
+
+function BlogSearchResultDetails({hit: {date, authors = []}}) {
+  const {
+    i18n: {currentLocale},
+  } = useDocusaurusContext();
+
+  return (
+    <>
+      {date && (
+        <time dateTime={date}>
+          {/* Formatted in UTC so that the server and client renders match */}
+          {new Intl.DateTimeFormat(currentLocale, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC',
+          }).format(new Date(date))}
+        </time>
+      )}
+      {authors.length > 0 && (
+        <span>
+          {translate(
+            {
+              id: 'theme.SearchResultItem.blogAuthors',
+              message: 'By {authors}',
+              description: 'The authors of a blog post search result',
+            },
+            {authors: authors.join(', ')},
+          )}
+        </span>
+      )}
+    </>
+  );
+}
+
+const SEARCH_RESULT_DETAILS = {
+  docs: DocsSearchResultDetails,
+  blog: BlogSearchResultDetails,
+};
+
+// Renders the result card of the search page (`variant="page"`) and the
+// content of the modal hits (`variant="modal"`), the modal rendering the hit
+// title and path itself as `children`. `title`, `breadcrumbs` and `summary`
+// are highlighted values, see `SearchResultHighlight`.
+export function DefaultSearchResultItem({
+  kind,
+  variant,
+  hit,
+  title,
+  url,
+  summary,
+  breadcrumbs = [],
+  linkProps,
+  actions,
+  children,
+}) {
+  const {fields: highlightFields} = useHighlightOptions();
+  const SearchResultDetails = SEARCH_RESULT_DETAILS[kind];
+  const details = SearchResultDetails && <SearchResultDetails hit={hit} />;
+
+  if (variant === 'modal') {
+    return (
+      <>
+        {children}
+        {details && (
+          <div
+            className={clsx(
+              styles.searchResultItemDetails,
+              styles.searchResultItemModalDetails,
+            )}>
+            {details}
+          </div>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <article className={styles.searchResultItem}>
+      <h2 className={styles.searchResultItemHeading}>
+        <Link to={url} {...linkProps}>
+          <SearchResultHighlight value={title} field="hierarchy" />
+        </Link>
+        {actions}
+      </h2>
+
+      {breadcrumbs.length > 0 && (
+        <nav aria-label="breadcrumbs">
+          <ul className={clsx('breadcrumbs', styles.searchResultItemPath)}>
+            {breadcrumbs.map((breadcrumb, index) => (
+              <li key={index} className="breadcrumbs__item">
+                <SearchResultHighlight value={breadcrumb} field="hierarchy" />
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+
+      {details && <div className={styles.searchResultItemDetails}>{details}</div>}
+
+      {summary && highlightFields.includes('content') && (
+        <p className={styles.searchResultItemSummary}>
+          <SearchResultHighlight value={summary} field="content" />
+        </p>
+      )}
+    </article>
+  );
+}
+
+// Picks the renderer of a result from its kind, see `getSearchResultKind()`.
+// Swizzle this component to pass `renderers` for custom kinds, e.g. the hits
+// of an `api` record type, or to replace the built-in `docs`, `blog` and
+// `page` ones.
+export default function SearchResultItem({renderers = {}, ...props}) {
+  const kind = getSearchResultKind(props.hit);
+  const Renderer = renderers[kind] || DefaultSearchResultItem;
+
+  return <Renderer {...props} kind={kind} />;
+}
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import clsx from 'clsx';
+import {translate} from '@docusaurus/Translate';
+import styles from './styles.module.css';
+
+function getSearchScopeLabel(searchScope) {
+  switch (searchScope) {
+    case 'page':
+      return translate({
+        id: 'theme.SearchScopeToggle.page',
+        message: 'This page',
+        description: 'The label of the search scope of the current page',
+      });
+    case 'section':
+      return translate({
+        id: 'theme.SearchScopeToggle.section',
+        message: 'This section',
+        description:
+          'The label of the search scope of the sidebar category of the current page',
+      });
+    case 'docsPlugin':
+      return translate({
+        id: 'theme.SearchScopeToggle.docsPlugin',
+        message: 'These docs',
+        description:
+          'The label of the search scope of the docs the current page belongs to',
+      });
+    default:
+      return translate({
+        id: 'theme.SearchScopeToggle.everywhere',
+        message: 'Everywhere',
+        description: 'The label of the search scope of the whole site',
+      });
+  }
+}
+
+// Picks the scope of the searches of the modal and the search page, among the
+// `searchScopes` of the page they are searched from
+export default function SearchScopeToggle({
+  searchScopes,
+  searchScope,
+  searchContext,
+  onChange,
+  className,
+}) {
+  return (
+    <div
+      className={clsx(styles.searchScopeToggle, className)}
+      role="group"
+      aria-label={translate({
+        id: 'theme.SearchScopeToggle.label',
+        message: 'Search in',
+        description: 'The ARIA label of the search scope buttons',
+      })}>
+      {searchScopes.map((scope) => (
+        <button
+          key={scope}
+          type="button"
+          aria-pressed={scope === searchScope}
+          title={scope === 'section' ? searchContext.section : undefined}
+          className={clsx('button', 'button--sm', {
+            'button--primary': scope === searchScope,
+            'button--secondary': scope !== searchScope,
+          })}
+          onClick={() => onChange(scope)}>
+          {getSearchScopeLabel(scope)}
+        </button>
+      ))}
+    </div>
+  );
+}
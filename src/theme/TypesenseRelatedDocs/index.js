@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, {useEffect, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import Translate from '@docusaurus/Translate';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
+import {useLocation} from '@docusaurus/router';
+import useTypesenseClient from '@theme/hooks/useTypesenseClient';
+import useTypesenseContextualFilters from '@theme/hooks/useTypesenseContextualFilters';
+import {
+  getRelatedDocs,
+  getRelatedDocsPageKey,
+  getRelatedDocsSearchParameters,
+} from '@theme/utils/relatedDocs';
+import {SearchError, isAbortError} from '@theme/utils/searchClientService';
+import styles from './styles.module.css';
+
+// Same selectors as the title and the headings recorded by the scraper,
+// without the ones of this component
+function getPageHeadings(selector) {
+  return [...document.querySelectorAll(selector)]
+    .filter((element) => !element.closest(`.${styles.relatedDocs}`))
+    .map((element) => element.textContent.trim())
+    .filter(Boolean);
+}
+
+async function fetchPregeneratedRelatedDocs(url, {signal}) {
+  const response = await fetch(url, {signal});
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Pages related to the current page, either pre-generated at build time or
+// searched with the title and the headings of the page. Pages which were not
+// pre-generated, like in development, are searched too.
+function useRelatedDocs({limit: limitProp, title, headings}) {
+  const {
+    siteConfig: {
+      baseUrl,
+      themeConfig: {
+        typesense: {typesenseCollectionName},
+      },
+    },
+  } = useDocusaurusContext();
+  const {relatedDocs: {limit: defaultLimit, pregeneratedUrl} = {}} =
+    usePluginData('docusaurus-theme-search-typesense');
+  const {pathname} = useLocation();
+  const {typesenseSearchClient} = useTypesenseClient();
+  const contextualFilter = useTypesenseContextualFilters();
+  const [relatedDocs, setRelatedDocs] = useState([]);
+  const limit = limitProp || defaultLimit || 5;
+  const headingsKey = headings ? headings.join('\n') : null;
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    const {signal} = abortController;
+
+    const searchRelatedDocs = () => {
+      const pageTitle = title || getPageHeadings('header h1, article h1')[0];
+      if (!pageTitle) {
+        return [];
+      }
+
+      return typesenseSearchClient.multiSearch
+        .perform(
+          {
+            searches: [
+              {
+                collection: typesenseCollectionName,
+                ...getRelatedDocsSearchParameters(
+                  {
+                    title: pageTitle,
+                    headings:
+                      headings || getPageHeadings('article h2, article h3'),
+                  },
+                  {limit},
+                ),
+                filter_by: contextualFilter,
+              },
+            ],
+          },
+          {},
+          {signal},
+        )
+        .then(({results: [result]}) => {
+          if (result.error) {
+            throw new SearchError('server', result.error);
+          }
+
+          return getRelatedDocs(result, {pathname, limit});
+        });
+    };
+
+    setRelatedDocs([]);
+    (pregeneratedUrl
+      ? fetchPregeneratedRelatedDocs(
+          `${pregeneratedUrl}/${getRelatedDocsPageKey(pathname, baseUrl)}.json`,
+          {signal},
+        )
+          .then((items) => items.slice(0, limit))
+          .catch((err) => {
+            if (isAbortError(err)) {
+              throw err;
+            }
+            return searchRelatedDocs();
+          })
+      : searchRelatedDocs()
+    )
+      .then(setRelatedDocs)
+      // Related docs are left out when they cannot be searched
+      .catch(() => {});
+
+    return () => abortController.abort();
+  }, [
+    pathname,
+    typesenseSearchClient,
+    contextualFilter,
+    limit,
+    title,
+    headingsKey,
+  ]);
+
+  return relatedDocs;
+}
+
+// Rendered at the bottom of doc pages, e.g. by a swizzled `DocItem/Footer`.
+// Props:
+// - `limit`: the number of pages, defaulting to the `relatedDocs.limit`
+//   theme option
+// - `title` and `headings`: what the related pages are searched with,
+//   defaulting to the ones of the rendered page
+export default function TypesenseRelatedDocs({
+  limit,
+  title,
+  headings,
+  className,
+}) {
+  const relatedDocs = useRelatedDocs({limit, title, headings});
+
+  if (relatedDocs.length === 0) {
+    return null;
+  }
+
+  return (
+    <nav className={clsx(styles.relatedDocs, className)}>
+      <div className={styles.relatedDocsTitle}>
+        <Translate
+          id="theme.TypesenseRelatedDocs.title"
+          description="The title of the list of pages related to the current doc page">
+          Related pages
+        </Translate>
+      </div>
+      <ul className={styles.relatedDocsList}>
+        {relatedDocs.map(({title: relatedDocTitle, section, url}) => (
+          <li key={url}>
+            <Link to={url}>{relatedDocTitle}</Link>
+            {section && section !== relatedDocTitle && (
+              <span className={styles.relatedDocSection}>{section}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
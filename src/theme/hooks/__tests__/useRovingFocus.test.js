@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import React, {useRef} from 'react';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import useRovingFocus from '../useRovingFocus';
+
+function ResultList({results}) {
+  const inputRef = useRef(null);
+  const rovingFocus = useRovingFocus({
+    onReturn: () => inputRef.current.focus(),
+  });
+
+  return (
+    <>
+      <input
+        aria-label="Search"
+        ref={inputRef}
+        onKeyDown={(e) => {
+          if (e.key === 'ArrowDown') {
+            rovingFocus.focusActiveItem();
+          }
+        }}
+      />
+      <ul ref={rovingFocus.containerRef} onKeyDown={rovingFocus.onKeyDown}>
+        {results.map((result, i) => (
+          <li key={result}>
+            <a href={`/docs/${result}`} {...rovingFocus.getItemProps(i)}>
+              {result}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+describe('useRovingFocus', () => {
+  let container;
+
+  const pressKey = (element, key) =>
+    act(() => {
+      element.dispatchEvent(
+        new KeyboardEvent('keydown', {key, bubbles: true, cancelable: true}),
+      );
+    });
+  const getLinks = () => [...container.querySelectorAll('a')];
+  const getInput = () => container.querySelector('input');
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    act(() => {
+      ReactDOM.render(
+        <ResultList results={['intro', 'install', 'config']} />,
+        container,
+      );
+    });
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+    container.remove();
+  });
+
+  test('keeps a single item in the tab sequence', () => {
+    expect(getLinks().map((link) => link.tabIndex)).toEqual([0, -1, -1]);
+  });
+
+  test('moves the focus with arrow keys', () => {
+    pressKey(getInput(), 'ArrowDown');
+    expect(document.activeElement).toBe(getLinks()[0]);
+
+    pressKey(document.activeElement, 'ArrowDown');
+    pressKey(document.activeElement, 'ArrowDown');
+    pressKey(document.activeElement, 'ArrowDown');
+    expect(document.activeElement).toBe(getLinks()[2]);
+    expect(getLinks().map((link) => link.tabIndex)).toEqual([-1, -1, 0]);
+
+    pressKey(document.activeElement, 'Home');
+    expect(document.activeElement).toBe(getLinks()[0]);
+
+    pressKey(document.activeElement, 'End');
+    expect(document.activeElement).toBe(getLinks()[2]);
+  });
+
+  test('returns to the input', () => {
+    pressKey(getInput(), 'ArrowDown');
+    pressKey(document.activeElement, 'ArrowUp');
+    expect(document.activeElement).toBe(getInput());
+
+    pressKey(getInput(), 'ArrowDown');
+    pressKey(document.activeElement, 'ArrowDown');
+    pressKey(document.activeElement, 'Escape');
+    expect(document.activeElement).toBe(getInput());
+  });
+
+  test('focuses the active item again from the input', () => {
+    pressKey(getInput(), 'ArrowDown');
+    pressKey(document.activeElement, 'ArrowDown');
+    pressKey(document.activeElement, 'Escape');
+    pressKey(getInput(), 'ArrowDown');
+
+    expect(document.activeElement).toBe(getLinks()[1]);
+  });
+});
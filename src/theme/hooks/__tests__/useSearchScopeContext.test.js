@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import useSearchScopeContext, {
+  DocsSidebarItemsProvider,
+} from '../useSearchScopeContext';
+
+const mockLocation = {pathname: '/docs/guides/install'};
+const mockUseActivePlugin = jest.fn();
+
+jest.mock('@docusaurus/router', () => ({useLocation: () => mockLocation}), {
+  virtual: true,
+});
+jest.mock(
+  '@docusaurus/useDocusaurusContext',
+  () => () => ({siteConfig: {url: 'https://example.com'}}),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/useGlobalData',
+  () => ({usePluginData: () => ({searchPagePath: '/search'})}),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/plugin-content-docs/client',
+  () => ({useActivePlugin: () => mockUseActivePlugin()}),
+  {virtual: true},
+);
+
+// Same shape as the sidebar items of the docs pages
+const sidebarItems = [
+  {type: 'link', label: 'Intro', href: '/docs/'},
+  {
+    type: 'category',
+    label: 'Guides',
+    items: [{type: 'link', label: 'Install', href: '/docs/guides/install'}],
+  },
+];
+
+describe('useSearchScopeContext', () => {
+  let container;
+  let searchContext;
+
+  function SearchScopeContext() {
+    searchContext = useSearchScopeContext();
+    return null;
+  }
+
+  const render = (element = <SearchScopeContext />) =>
+    act(() => {
+      ReactDOM.render(element, container);
+    });
+
+  beforeEach(() => {
+    mockUseActivePlugin.mockReset();
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  test('docs pages', () => {
+    mockLocation.pathname = '/docs/guides/install';
+    mockUseActivePlugin.mockReturnValue({pluginId: 'default'});
+    render(
+      <DocsSidebarItemsProvider items={sidebarItems}>
+        <SearchScopeContext />
+      </DocsSidebarItemsProvider>,
+    );
+
+    expect(searchContext).toEqual({
+      pageUrl: 'https://example.com/docs/guides/install',
+      section: 'Guides',
+      docsPluginId: 'default',
+    });
+  });
+
+  test('pages outside of the docs', () => {
+    mockLocation.pathname = '/blog/release';
+    render();
+
+    expect(searchContext).toEqual({
+      pageUrl: 'https://example.com/blog/release',
+      section: null,
+      docsPluginId: undefined,
+    });
+  });
+
+  test('docs pages without sidebar', () => {
+    mockLocation.pathname = '/docs/tags/install';
+    mockUseActivePlugin.mockReturnValue({pluginId: 'default'});
+    render(
+      <DocsSidebarItemsProvider items={undefined}>
+        <SearchScopeContext />
+      </DocsSidebarItemsProvider>,
+    );
+
+    expect(searchContext.section).toBeNull();
+  });
+
+  test('search page', () => {
+    mockLocation.pathname = '/search/';
+    render();
+
+    expect(searchContext).toEqual({});
+  });
+});
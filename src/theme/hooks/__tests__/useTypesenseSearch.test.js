@@ -0,0 +1,284 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import useTypesenseSearch from '../useTypesenseSearch';
+import useTypesenseClient, {
+  TypesenseClientProvider,
+} from '../useTypesenseClient';
+
+const mockTypesenseConfig = {
+  typesenseCollectionName: 'docs',
+  typesenseServerConfig: {
+    nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+    apiKey: 'searchOnlyKey',
+  },
+  typesenseSearchParameters: {},
+  contextualSearch: true,
+};
+// The site's client, replaced by the provider in most tests
+const mockSiteSearchClient = {
+  typesenseSearchClient: {multiSearch: {perform: jest.fn()}},
+  typesenseServerConfig: mockTypesenseConfig.typesenseServerConfig,
+};
+
+jest.mock(
+  '@docusaurus/useDocusaurusContext',
+  () => () => ({
+    siteConfig: {
+      url: 'https://example.com',
+      themeConfig: {typesense: mockTypesenseConfig},
+    },
+  }),
+  {virtual: true},
+);
+jest.mock(
+  '@docusaurus/theme-common',
+  () => ({
+    useContextualSearchFilters: () => ({
+      locale: 'en',
+      tags: ['default', 'docs-default-current'],
+    }),
+  }),
+  {virtual: true},
+);
+jest.mock('@theme/hooks/useSearchProfile', () => () => ({
+  searchProfileParameters: {query_by: 'content'},
+}));
+jest.mock(
+  '@theme/hooks/useTypesenseSearchClient',
+  () => () => mockSiteSearchClient,
+);
+
+// Answers like a Typesense server, with `hits` and the `facetCounts` of the
+// `language` field
+const answerSearch = ({q, per_page: perPage}, hits, facetCounts = []) => ({
+  found: hits.length,
+  hits: hits.map((hierarchy, index) => ({
+    document: {
+      id: String(index),
+      url: `https://example.com/docs/${index}`,
+      type: 'lvl1',
+      'hierarchy.lvl0': 'Docs',
+      ...hierarchy,
+    },
+    highlights: [],
+  })),
+  facet_counts:
+    facetCounts.length > 0
+      ? [
+          {
+            field_name: 'language',
+            counts: facetCounts.map(([value, count]) => ({value, count})),
+            stats: {},
+          },
+        ]
+      : [],
+  page: 1,
+  request_params: {q, per_page: perPage || 10},
+  search_time_ms: 1,
+});
+
+describe('useTypesenseSearch', () => {
+  let container;
+  let search;
+  let perform;
+
+  function Search(options) {
+    search = useTypesenseSearch(options);
+    return null;
+  }
+
+  const render = (options) =>
+    act(() => {
+      ReactDOM.render(
+        <TypesenseClientProvider client={{multiSearch: {perform}}}>
+          <Search debounceDelay={0} {...options} />
+        </TypesenseClientProvider>,
+        container,
+      );
+    });
+  // Past the debounce delay, once the search answered
+  const waitForSearch = () =>
+    act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+
+  beforeEach(() => {
+    mockTypesenseConfig.contextualSearch = true;
+    perform = jest.fn(async ({searches: [request]}) => ({
+      results: [
+        answerSearch(
+          request,
+          [{'hierarchy.lvl1': 'Install'}, {'hierarchy.lvl1': 'Installation'}],
+          [
+            ['fr', 1],
+            ['en', 2],
+            ['de', 2],
+          ],
+        ),
+      ],
+    }));
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  test('empty queries do not search', async () => {
+    render();
+    await waitForSearch();
+
+    expect(perform).not.toHaveBeenCalled();
+    expect(search).toMatchObject({
+      query: '',
+      hits: [],
+      loading: false,
+      error: null,
+    });
+  });
+
+  test('normalized hits and facets', async () => {
+    render({initialQuery: 'install', facetBy: ['language']});
+    expect(search.loading).toBe(true);
+    await waitForSearch();
+
+    expect(search.loading).toBe(false);
+    expect(search.hits.map(({title, position}) => [title, position])).toEqual([
+      ['Install', 1],
+      ['Installation', 2],
+    ]);
+    expect(search.facets).toEqual({
+      language: [
+        {name: 'de', count: 2},
+        {name: 'en', count: 2},
+        {name: 'fr', count: 1},
+      ],
+    });
+    expect(search.totalResults).toBe(2);
+  });
+
+  test('contextual search of the theme config', async () => {
+    render({initialQuery: 'install'});
+    await waitForSearch();
+
+    expect(perform.mock.calls[0][0].searches[0]).toMatchObject({
+      collection: 'docs',
+      q: 'install',
+      query_by: 'content',
+      filter_by:
+        'language:=[`en`] && docusaurus_tag:=[`default`,`docs-default-current`]',
+    });
+
+    mockTypesenseConfig.contextualSearch = false;
+    render({initialQuery: 'plugins'});
+    await waitForSearch();
+
+    expect(perform.mock.calls[1][0].searches[0].filter_by).toBe('');
+
+    render({initialQuery: 'plugins', contextualSearch: true});
+    await waitForSearch();
+
+    expect(perform.mock.calls[2][0].searches[0].filter_by).toBe(
+      'language:=[`en`] && docusaurus_tag:=[`default`,`docs-default-current`]',
+    );
+  });
+
+  test('refined facet values', async () => {
+    render({initialQuery: 'install', facetBy: ['language']});
+    await waitForSearch();
+    act(() => search.toggleFilter('language', 'fr'));
+    await waitForSearch();
+
+    expect(search.filters).toEqual({language: ['fr']});
+    expect(perform).toHaveBeenLastCalledWith(
+      {
+        searches: [
+          expect.objectContaining({
+            filter_by: expect.stringContaining('language:=[`fr`]'),
+          }),
+        ],
+      },
+      {},
+    );
+  });
+
+  test('failed searches', async () => {
+    perform.mockImplementation(async () => {
+      throw Object.assign(new Error('Forbidden'), {httpStatus: 401});
+    });
+    render({initialQuery: 'install'});
+    await waitForSearch();
+
+    expect(search).toMatchObject({loading: false, error: 'unauthorized'});
+  });
+});
+
+describe('useTypesenseClient', () => {
+  let container;
+  let client;
+
+  function Client() {
+    client = useTypesenseClient();
+    return null;
+  }
+
+  const render = (element) =>
+    act(() => {
+      ReactDOM.render(element, container);
+    });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  test('client of the site', () => {
+    render(<Client />);
+
+    expect(client).toBe(mockSiteSearchClient);
+  });
+
+  test('client of the provider', () => {
+    const perform = jest.fn();
+    render(
+      <TypesenseClientProvider client={{multiSearch: {perform}}}>
+        <Client />
+      </TypesenseClientProvider>,
+    );
+
+    expect(client.typesenseSearchClient).not.toBe(
+      mockSiteSearchClient.typesenseSearchClient,
+    );
+    expect(client.typesenseServerConfig).toBe(
+      mockTypesenseConfig.typesenseServerConfig,
+    );
+  });
+
+  test('server config of the provider', () => {
+    const typesenseServerConfig = {
+      ...mockTypesenseConfig.typesenseServerConfig,
+      apiKey: 'otherKey',
+    };
+    render(
+      <TypesenseClientProvider typesenseServerConfig={typesenseServerConfig}>
+        <Client />
+      </TypesenseClientProvider>,
+    );
+
+    expect(client.typesenseServerConfig).toBe(typesenseServerConfig);
+    expect(typeof client.typesenseSearchClient.multiSearch.perform).toBe(
+      'function',
+    );
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useCallback, useRef, useState} from 'react';
+
+const ITEM_ATTRIBUTE = 'data-roving-focus-item';
+
+// Roving focus over a list of focusable items: only the active item is in the
+// tab sequence, arrow keys move the focus between items, and Escape (or going
+// up from the first item) hands the focus back, e.g. to the search input.
+export default function useRovingFocus({onReturn}) {
+  const containerRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const getItems = () =>
+    containerRef.current
+      ? [...containerRef.current.querySelectorAll(`[${ITEM_ATTRIBUTE}]`)]
+      : [];
+
+  const focusItem = useCallback((index) => {
+    const items = getItems();
+    if (items.length === 0) {
+      return false;
+    }
+
+    const nextIndex = Math.max(0, Math.min(index, items.length - 1));
+    setActiveIndex(nextIndex);
+    items[nextIndex].focus();
+    return true;
+  }, []);
+
+  const onKeyDown = (e) => {
+    const index = getItems().indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'PageDown':
+        e.preventDefault();
+        focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+      case 'PageUp':
+        e.preventDefault();
+        if (index === 0) {
+          onReturn();
+        } else {
+          focusItem(index - 1);
+        }
+        break;
+      case 'Home':
+        e.preventDefault();
+        focusItem(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        focusItem(getItems().length - 1);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        onReturn();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return {
+    containerRef,
+    onKeyDown,
+    // Moves the focus to the active item, returns false without any item
+    focusActiveItem: () => focusItem(activeIndex),
+    // Resets the active item, e.g. when the list is replaced
+    resetActiveItem: () => setActiveIndex(0),
+    getItemProps: (index) => ({
+      [ITEM_ATTRIBUTE]: '',
+      tabIndex: index === activeIndex ? 0 : -1,
+      onFocus: () => setActiveIndex(index),
+    }),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useMemo} from 'react';
+import ExecutionEnvironment from '@docusaurus/ExecutionEnvironment';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+// Aliased at build time to `analytics.customReporter`, or to an empty module
+import customReporter from '@docusaurus-theme-search-typesense/analytics-reporter';
+import {
+  addSearchEventListener,
+  emitSearchEvent,
+  createTypesenseReporter,
+  createGoogleAnalyticsReporter,
+} from '@theme/utils/searchAnalytics';
+
+let reportersRegistered = false;
+
+function registerReporters({analytics, typesenseServerConfig}) {
+  if (reportersRegistered || !ExecutionEnvironment.canUseDOM) {
+    return;
+  }
+  reportersRegistered = true;
+
+  // The local search mode may not have any server to report to
+  if (analytics.typesense && typesenseServerConfig) {
+    addSearchEventListener(
+      createTypesenseReporter({
+        typesenseServerConfig,
+        clickEventName: analytics.typesense.clickEventName,
+      }),
+    );
+  }
+  if (analytics.googleAnalytics) {
+    addSearchEventListener(createGoogleAnalyticsReporter());
+  }
+  if (typeof customReporter === 'function') {
+    addSearchEventListener(customReporter);
+  }
+}
+
+// The modal and the page search as you type: only the query the user settled
+// on is reported, once it has not changed for `searchEventDelay` ms
+const pendingSearchEvents = new Map();
+
+function flushSearchEvent(source) {
+  const pendingSearchEvent = pendingSearchEvents.get(source);
+
+  if (pendingSearchEvent) {
+    clearTimeout(pendingSearchEvent.timeout);
+    pendingSearchEvents.delete(source);
+    pendingSearchEvent.emit();
+  }
+}
+
+export default function useSearchAnalytics() {
+  const {
+    siteConfig: {
+      themeConfig: {
+        typesense: {analytics = {}, typesenseServerConfig},
+      },
+    },
+  } = useDocusaurusContext();
+  const {searchEventDelay = 1000} = analytics;
+
+  registerReporters({analytics, typesenseServerConfig});
+
+  return useMemo(
+    () => ({
+      reportSearch({query, nbHits, source}) {
+        const pendingSearchEvent = pendingSearchEvents.get(source);
+        if (pendingSearchEvent) {
+          clearTimeout(pendingSearchEvent.timeout);
+        }
+
+        const emit = () => {
+          emitSearchEvent({type: 'search', query, nbHits, source});
+          if (nbHits === 0) {
+            emitSearchEvent({type: 'noResults', query, source});
+          }
+        };
+
+        pendingSearchEvents.set(source, {
+          emit,
+          timeout: setTimeout(() => flushSearchEvent(source), searchEventDelay),
+        });
+      },
+
+      reportResultClick({query, position, url, documentId, source}) {
+        // The search leading to the click must be reported first
+        flushSearchEvent(source);
+        emitSearchEvent({
+          type: 'resultClick',
+          query,
+          position,
+          url,
+          documentId,
+          source,
+        });
+      },
+
+      reportSearchPageView({query}) {
+        emitSearchEvent({type: 'searchPageView', query, source: 'page'});
+      },
+    }),
+    [searchEventDelay],
+  );
+}
@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useMemo} from 'react';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {getSearchCollections} from '@theme/utils/federatedSearch';
+
+// Collections searched by the modal and the search page. The index generated
+// for the `local` search mode only holds typesenseCollectionName.
+export default function useSearchCollections() {
+  const {
+    siteConfig: {
+      themeConfig: {
+        typesense: {searchMode, typesenseCollectionName, collections},
+      },
+    },
+  } = useDocusaurusContext();
+
+  return useMemo(
+    () =>
+      getSearchCollections({
+        typesenseCollectionName,
+        collections: searchMode === 'local' ? [] : collections,
+      }),
+    [searchMode, typesenseCollectionName, collections],
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useCallback, useEffect, useMemo, useState} from 'react';
+import ExecutionEnvironment from '@docusaurus/ExecutionEnvironment';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {addSearchEventListener} from '@theme/utils/searchAnalytics';
+import {
+  createSearchHistory,
+  getSearchHistoryNamespace,
+} from '@theme/utils/searchHistory';
+
+const EMPTY_SEARCH_HISTORY = {
+  recentQueries: [],
+  recentSearches: [],
+  favoriteSearches: [],
+};
+
+// Recent queries, recent and favorite hits of the search page and the modal.
+// Queries with hits searched from `source` are added to the recent queries.
+export default function useSearchHistory({source}) {
+  const {
+    siteConfig: {
+      baseUrl,
+      themeConfig: {
+        typesense: {typesenseCollectionName},
+      },
+    },
+    i18n: {currentLocale},
+  } = useDocusaurusContext();
+  const namespace = getSearchHistoryNamespace({
+    collectionName: typesenseCollectionName,
+    baseUrl,
+    locale: currentLocale,
+  });
+  const searchHistory = useMemo(
+    () => (ExecutionEnvironment.canUseDOM ? createSearchHistory(namespace) : null),
+    [namespace],
+  );
+  // Read after mount only, so that the server and client renders match
+  const [state, setState] = useState(EMPTY_SEARCH_HISTORY);
+
+  const refresh = useCallback(() => {
+    setState({
+      recentQueries: searchHistory.getRecentQueries(),
+      recentSearches: searchHistory.getRecentSearches(),
+      favoriteSearches: searchHistory.getFavoriteSearches(),
+    });
+  }, [searchHistory]);
+
+  useEffect(() => {
+    refresh();
+
+    // Keep in sync with the other tabs
+    const onStorage = (event) => {
+      if (searchHistory.keys.includes(event.key)) {
+        refresh();
+      }
+    };
+    window.addEventListener('storage', onStorage);
+
+    const removeSearchEventListener = addSearchEventListener((event) => {
+      if (event.type === 'search' && event.source === source && event.nbHits) {
+        searchHistory.addRecentQuery(event.query);
+        refresh();
+      }
+    });
+
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      removeSearchEventListener();
+    };
+  }, [searchHistory, refresh, source]);
+
+  const withRefresh = (update) => (...args) => {
+    update(...args);
+    refresh();
+  };
+
+  return {
+    namespace,
+    ...state,
+    addRecentSearch: withRefresh((hit) => searchHistory.addRecentSearch(hit)),
+    toggleFavoriteSearch: withRefresh((hit) =>
+      searchHistory.toggleFavoriteSearch(hit),
+    ),
+    clearHistory: withRefresh(() => searchHistory.clearHistory()),
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useMemo} from 'react';
+import {useLocation} from '@docusaurus/router';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useActivePlugin} from '@docusaurus/plugin-content-docs/client';
+import {
+  resolveSearchProfile,
+  toTypesenseSearchParameters,
+} from '@theme/utils/searchProfiles';
+
+// The search profile of the current route, or of the docs plugin instance
+// the current page belongs to
+export default function useSearchProfile() {
+  const {
+    siteConfig: {
+      baseUrl,
+      themeConfig: {
+        typesense: {searchProfiles = {}},
+      },
+    },
+  } = useDocusaurusContext();
+  const {pathname} = useLocation();
+  const activePlugin = useActivePlugin({failfast: false});
+  const docsPluginId = activePlugin ? activePlugin.pluginId : undefined;
+
+  return useMemo(() => {
+    const searchProfile = resolveSearchProfile(searchProfiles, {
+      pathname,
+      baseUrl,
+      docsPluginId,
+    });
+
+    return {
+      searchProfile,
+      searchProfileParameters: toTypesenseSearchParameters(searchProfile),
+    };
+  }, [searchProfiles, pathname, baseUrl, docsPluginId]);
+}
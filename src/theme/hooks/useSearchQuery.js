@@ -7,21 +7,183 @@
 
 import {useHistory, useLocation} from '@docusaurus/router';
 import ExecutionEnvironment from '@docusaurus/ExecutionEnvironment';
-import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
 
 const SEARCH_PARAM_QUERY = 'q';
+// Facet refinements are stored as repeated params, e.g. `facet.language=en`
+const SEARCH_PARAM_FACET_PREFIX = 'facet.';
+const SEARCH_PARAM_PAGE = 'page';
+const SEARCH_PARAM_HITS_PER_PAGE = 'perPage';
+// Docs versions are stored per docs plugin, e.g. `version.default=2.0`
+const SEARCH_PARAM_VERSION_PREFIX = 'version.';
+// Collection of the search page tab, left out for typesenseCollectionName
+const SEARCH_PARAM_SOURCE = 'source';
+// Search context of the page the search page was opened from, e.g.
+// `context.section=Guides`, see `@theme/utils/searchScopes`
+const SEARCH_PARAM_CONTEXT_PREFIX = 'context.';
+const SEARCH_CONTEXT_PARAMS = {
+  pageUrl: 'page',
+  section: 'section',
+  docsPluginId: 'docsPlugin',
+};
+
+function getFacetRefinements(searchParams) {
+  const facetRefinements = {};
+
+  searchParams.forEach((value, key) => {
+    if (!key.startsWith(SEARCH_PARAM_FACET_PREFIX)) {
+      return;
+    }
+
+    const attribute = key.slice(SEARCH_PARAM_FACET_PREFIX.length);
+    facetRefinements[attribute] = [
+      ...(facetRefinements[attribute] || []),
+      value,
+    ];
+  });
+
+  return facetRefinements;
+}
+
+function setFacetRefinements(searchParams, facetRefinements) {
+  Array.from(searchParams.keys())
+    .filter((key) => key.startsWith(SEARCH_PARAM_FACET_PREFIX))
+    .forEach((key) => searchParams.delete(key));
+
+  Object.entries(facetRefinements).forEach(([attribute, values]) => {
+    values.forEach((value) => {
+      searchParams.append(`${SEARCH_PARAM_FACET_PREFIX}${attribute}`, value);
+    });
+  });
+}
+
+function getSearchVersions(searchParams) {
+  const searchVersions = {};
+
+  searchParams.forEach((value, key) => {
+    if (key.startsWith(SEARCH_PARAM_VERSION_PREFIX)) {
+      searchVersions[key.slice(SEARCH_PARAM_VERSION_PREFIX.length)] = value;
+    }
+  });
+
+  return searchVersions;
+}
+
+function setSearchVersions(searchParams, searchVersions) {
+  if (!searchVersions) {
+    return;
+  }
+
+  Array.from(searchParams.keys())
+    .filter((key) => key.startsWith(SEARCH_PARAM_VERSION_PREFIX))
+    .forEach((key) => searchParams.delete(key));
+
+  Object.entries(searchVersions).forEach(([pluginId, versionName]) => {
+    searchParams.set(`${SEARCH_PARAM_VERSION_PREFIX}${pluginId}`, versionName);
+  });
+}
+
+function getSearchContext(searchParams) {
+  return Object.entries(SEARCH_CONTEXT_PARAMS).reduce((acc, [key, param]) => {
+    const value = searchParams.get(`${SEARCH_PARAM_CONTEXT_PREFIX}${param}`);
+    return value ? {...acc, [key]: value} : acc;
+  }, {});
+}
+
+function setSearchContext(searchParams, searchContext) {
+  if (!searchContext) {
+    return;
+  }
+
+  Object.entries(SEARCH_CONTEXT_PARAMS).forEach(([key, param]) => {
+    if (searchContext[key]) {
+      searchParams.set(
+        `${SEARCH_PARAM_CONTEXT_PREFIX}${param}`,
+        searchContext[key],
+      );
+    } else {
+      searchParams.delete(`${SEARCH_PARAM_CONTEXT_PREFIX}${param}`);
+    }
+  });
+}
+
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+// Pages are numbered from 1 in the URL, and the defaults are left out so that
+// shared links stay short: `page` 0 and a `null` `hitsPerPage` remove them
+function setPagination(searchParams, {page, hitsPerPage}) {
+  if (page !== undefined) {
+    if (page > 0) {
+      searchParams.set(SEARCH_PARAM_PAGE, page + 1);
+    } else {
+      searchParams.delete(SEARCH_PARAM_PAGE);
+    }
+  }
+
+  if (hitsPerPage !== undefined) {
+    if (hitsPerPage) {
+      searchParams.set(SEARCH_PARAM_HITS_PER_PAGE, hitsPerPage);
+    } else {
+      searchParams.delete(SEARCH_PARAM_HITS_PER_PAGE);
+    }
+  }
+}
+
+function setSource(searchParams, source) {
+  if (source === undefined) {
+    return;
+  }
+
+  if (source) {
+    searchParams.set(SEARCH_PARAM_SOURCE, source);
+  } else {
+    searchParams.delete(SEARCH_PARAM_SOURCE);
+  }
+}
 
 function useSearchQuery() {
   const history = useHistory();
   const location = useLocation();
-  const {siteConfig: {baseUrl} = {}} = useDocusaurusContext();
+  const {searchPagePath, searchPages = []} = usePluginData(
+    'docusaurus-theme-search-typesense',
+  );
 
   return {
     searchValue:
       (ExecutionEnvironment.canUseDOM &&
         new URLSearchParams(location.search).get(SEARCH_PARAM_QUERY)) ||
       '',
-    updateSearchPath: (searchValue) => {
+    facetRefinements: ExecutionEnvironment.canUseDOM
+      ? getFacetRefinements(new URLSearchParams(location.search))
+      : {},
+    // Zero-based, like the Algolia helper pages
+    page: ExecutionEnvironment.canUseDOM
+      ? (parsePositiveInteger(
+          new URLSearchParams(location.search).get(SEARCH_PARAM_PAGE),
+        ) || 1) - 1
+      : 0,
+    hitsPerPage: ExecutionEnvironment.canUseDOM
+      ? parsePositiveInteger(
+          new URLSearchParams(location.search).get(SEARCH_PARAM_HITS_PER_PAGE),
+        )
+      : undefined,
+    searchVersions: ExecutionEnvironment.canUseDOM
+      ? getSearchVersions(new URLSearchParams(location.search))
+      : {},
+    source:
+      (ExecutionEnvironment.canUseDOM &&
+        new URLSearchParams(location.search).get(SEARCH_PARAM_SOURCE)) ||
+      undefined,
+    searchContext: ExecutionEnvironment.canUseDOM
+      ? getSearchContext(new URLSearchParams(location.search))
+      : {},
+    updateSearchPath: (
+      searchValue,
+      {facetRefinements, searchVersions, page, hitsPerPage, source} = {},
+    ) => {
       const searchParams = new URLSearchParams(location.search);
 
       if (searchValue) {
@@ -30,13 +192,52 @@ function useSearchQuery() {
         searchParams.delete(SEARCH_PARAM_QUERY);
       }
 
+      if (facetRefinements) {
+        setFacetRefinements(searchParams, facetRefinements);
+      }
+
+      setSearchVersions(searchParams, searchVersions);
+      setPagination(searchParams, {page, hitsPerPage});
+      setSource(searchParams, source);
+
       history.replace({
         search: searchParams.toString(),
       });
     },
-    generateSearchPageLink: (searchValue) => {
+    // `null` when the search page is disabled
+    generateSearchPageLink: (
+      searchValue,
+      {
+        facetRefinements,
+        searchVersions,
+        page,
+        hitsPerPage,
+        source,
+        searchPageName,
+        searchContext,
+      } = {},
+    ) => {
+      const pagePath = searchPageName
+        ? (searchPages.find(({name}) => name === searchPageName) || {}).path
+        : searchPagePath;
+      if (!pagePath) {
+        return null;
+      }
+
+      const searchParams = new URLSearchParams();
+      searchParams.set(SEARCH_PARAM_QUERY, searchValue);
+
+      if (facetRefinements) {
+        setFacetRefinements(searchParams, facetRefinements);
+      }
+
+      setSearchVersions(searchParams, searchVersions);
+      setPagination(searchParams, {page, hitsPerPage});
+      setSource(searchParams, source);
+      setSearchContext(searchParams, searchContext);
+
       // Refer to https://github.com/facebook/docusaurus/pull/2838
-      return `${baseUrl}search?q=${encodeURIComponent(searchValue)}`;
+      return `${pagePath}?${searchParams.toString()}`;
     },
   };
 }
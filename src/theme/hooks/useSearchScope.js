@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useCallback, useEffect, useState} from 'react';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useAllDocsData} from '@docusaurus/plugin-content-docs/client';
+import {getSearchHistoryNamespace} from '@theme/utils/searchHistory';
+import {
+  DEFAULT_SEARCH_SCOPE,
+  getAvailableSearchScopes,
+  getSearchScopeFilter,
+  readSearchScope,
+  writeSearchScope,
+} from '@theme/utils/searchScopes';
+
+// The search scope chosen in the modal or on the search page, shared by both
+// and remembered for the browser session, and its filter for `searchContext`
+export default function useSearchScope(searchContext) {
+  const {
+    siteConfig: {
+      baseUrl,
+      themeConfig: {
+        typesense: {typesenseCollectionName},
+      },
+    },
+    i18n: {currentLocale},
+  } = useDocusaurusContext();
+  const allDocsData = useAllDocsData();
+  const namespace = getSearchHistoryNamespace({
+    collectionName: typesenseCollectionName,
+    baseUrl,
+    locale: currentLocale,
+  });
+  // Read after mount only, so that the server and client renders match
+  const [chosenSearchScope, setChosenSearchScope] =
+    useState(DEFAULT_SEARCH_SCOPE);
+
+  useEffect(() => {
+    setChosenSearchScope(readSearchScope(namespace));
+  }, [namespace]);
+
+  const setSearchScope = useCallback(
+    (searchScope) => {
+      writeSearchScope(namespace, searchScope);
+      setChosenSearchScope(searchScope);
+    },
+    [namespace],
+  );
+
+  const availableSearchScopes = getAvailableSearchScopes(searchContext);
+  // The chosen scope is kept for the pages it is available on
+  const searchScope = availableSearchScopes.includes(chosenSearchScope)
+    ? chosenSearchScope
+    : DEFAULT_SEARCH_SCOPE;
+
+  return {
+    searchScope,
+    setSearchScope,
+    availableSearchScopes,
+    searchScopeFilter: getSearchScopeFilter(
+      searchScope,
+      searchContext,
+      allDocsData,
+    ),
+  };
+}
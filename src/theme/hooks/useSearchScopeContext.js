@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, {createContext, useContext, useMemo} from 'react';
+import {useLocation} from '@docusaurus/router';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
+import {useActivePlugin} from '@docusaurus/plugin-content-docs/client';
+import {getSidebarSection} from '@theme/utils/searchScopes';
+
+const DocsSidebarItemsContext = createContext(null);
+
+// Gives the items of the sidebar of the current docs page, see
+// `@theme/DocPage`. The other pages have no sidebar.
+export function DocsSidebarItemsProvider({items, children}) {
+  return (
+    <DocsSidebarItemsContext.Provider value={items || null}>
+      {children}
+    </DocsSidebarItemsContext.Provider>
+  );
+}
+
+// Search context of the current page, see `@theme/utils/searchScopes`. The
+// search pages are not indexed: they have no context.
+export default function useSearchScopeContext() {
+  const {
+    siteConfig: {url: siteUrl},
+  } = useDocusaurusContext();
+  const {pathname} = useLocation();
+  const sidebarItems = useContext(DocsSidebarItemsContext);
+  const activePlugin = useActivePlugin({failfast: false});
+  const docsPluginId = activePlugin ? activePlugin.pluginId : undefined;
+  const {searchPagePath, searchPages = []} = usePluginData(
+    'docusaurus-theme-search-typesense',
+  );
+
+  return useMemo(() => {
+    const isSearchPage = [searchPagePath, ...searchPages.map(({path}) => path)]
+      .filter(Boolean)
+      .some((path) => pathname.replace(/\/$/, '') === path.replace(/\/$/, ''));
+
+    if (isSearchPage) {
+      return {};
+    }
+
+    return {
+      pageUrl: `${siteUrl.replace(/\/$/, '')}${pathname}`,
+      section: getSidebarSection(sidebarItems, pathname),
+      docsPluginId,
+    };
+  }, [
+    siteUrl,
+    pathname,
+    sidebarItems,
+    docsPluginId,
+    searchPagePath,
+    searchPages,
+  ]);
+}
@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, {createContext, useContext, useMemo} from 'react';
+import {SearchClient} from 'typesense';
+import useTypesenseSearchClient from '@theme/hooks/useTypesenseSearchClient';
+import {createSearchClientService} from '@theme/utils/searchClientService';
+
+const TypesenseClientContext = createContext(null);
+
+// Makes the search widgets below it search with `client`, exposing Typesense's
+// `multiSearch.perform()`, or with a `SearchClient` of `typesenseServerConfig`,
+// e.g. with another API key. Its searches get the cache and errors of the
+// site's client, see `@theme/utils/searchClientService`. Like the site's
+// client, the context gives the server config along with the client, the one
+// of the site when only `client` is given.
+export function TypesenseClientProvider({
+  client,
+  typesenseServerConfig,
+  searchTimeout,
+  children,
+}) {
+  const siteSearchClient = useTypesenseSearchClient();
+  const serverConfig =
+    typesenseServerConfig || siteSearchClient.typesenseServerConfig;
+  const value = useMemo(
+    () => ({
+      typesenseSearchClient: createSearchClientService(
+        client || new SearchClient(serverConfig),
+        {timeout: searchTimeout},
+      ),
+      typesenseServerConfig: serverConfig,
+    }),
+    [client, serverConfig, searchTimeout],
+  );
+
+  return (
+    <TypesenseClientContext.Provider value={value}>
+      {children}
+    </TypesenseClientContext.Provider>
+  );
+}
+
+// The client of the closest `TypesenseClientProvider`, or the client of the
+// site, configured by `themeConfig.typesense`
+export default function useTypesenseClient() {
+  const siteSearchClient = useTypesenseSearchClient();
+  const context = useContext(TypesenseClientContext);
+
+  return context || siteSearchClient;
+}
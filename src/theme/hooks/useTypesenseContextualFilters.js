@@ -6,18 +6,12 @@
  */
 
 import { useContextualSearchFilters } from '@docusaurus/theme-common';
+import {buildFilter, getContextualFilter} from '@theme/utils/filterBuilder';
 
-// Translate search-engine agnostic search filters to Algolia search filters
+// Translate search-engine agnostic search filters to Typesense search filters
 export default function useTypesenseContextualFilters() {
   const {locale, tags} = useContextualSearchFilters();
 
   // seems safe to convert locale->language, see AlgoliaSearchMetadatas comment
-  const languageFilter = `language:=${locale}`;
-
-  let tagsFilter
-  if (tags.length > 0) {
-    tagsFilter = `docusaurus_tag:=[${tags.join(',')}]`
-  }
-
-  return [languageFilter, tagsFilter].filter(e => e).join(' && ');
+  return buildFilter(getContextualFilter({locale, tags}));
 }
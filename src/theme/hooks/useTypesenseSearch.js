@@ -0,0 +1,223 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useCallback, useEffect, useState} from 'react';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useContextualSearchFilters} from '@docusaurus/theme-common';
+import useTypesenseClient from '@theme/hooks/useTypesenseClient';
+import useSearchProfile from '@theme/hooks/useSearchProfile';
+import {getHighlightSearchParameters} from '@theme/utils/highlight';
+import {
+  and,
+  eq,
+  getContextualFilter,
+  getSearchFilter,
+} from '@theme/utils/filterBuilder';
+import {adaptSearchResult, getSearchResultItem} from '@theme/utils/searchHits';
+import {SearchError, isAbortError} from '@theme/utils/searchClientService';
+
+// Same delay as the search page
+const DEFAULT_DEBOUNCE_DELAY = 300;
+
+const EMPTY_RESULTS = {
+  hits: [],
+  facets: {},
+  totalResults: null,
+  totalPages: null,
+};
+
+// Facet values of an adapted result, e.g. `{language: [{name, count}]}`,
+// sorted like the ones of the search page
+function getFacetValues(facets) {
+  return Object.entries(facets).reduce(
+    (acc, [attribute, counts]) => ({
+      ...acc,
+      [attribute]: Object.entries(counts)
+        .map(([name, count]) => ({name, count}))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    }),
+    {},
+  );
+}
+
+// Searches `typesenseCollectionName` like the search page, for custom search
+// UIs. Options:
+// - `initialQuery`: the query of the first render, empty queries do not search
+// - `filter`: a filter of `@theme/utils/filterBuilder`, or a `filter_by`
+//   string, applied to every search
+// - `facetBy`: attributes whose values are counted, and can be refined with
+//   `setFilters()` and `toggleFilter()`
+// - `hitsPerPage`, defaulting to the one of the search profile
+// - `searchParameters`: Typesense search parameters, applied over the
+//   `typesenseSearchParameters` of the theme config
+// - `contextualSearch`: whether the locale and the docs versions of the
+//   current page filter the results, `themeConfig.typesense.contextualSearch`
+//   by default
+// - `debounceDelay`: the milliseconds to wait for the query to stop changing
+// Hits are normalized like the search page results, see
+// `@theme/utils/searchHits`, and `error` is the type of the `SearchError` of
+// the last search.
+export default function useTypesenseSearch({
+  initialQuery = '',
+  filter,
+  facetBy = [],
+  hitsPerPage,
+  searchParameters = {},
+  contextualSearch: contextualSearchOption,
+  debounceDelay = DEFAULT_DEBOUNCE_DELAY,
+} = {}) {
+  const {
+    siteConfig: {
+      url: siteUrl,
+      themeConfig: {
+        typesense: {
+          typesenseCollectionName,
+          typesenseSearchParameters = {},
+          searchFilter,
+          highlight,
+          contextualSearch: configContextualSearch,
+        },
+      },
+    },
+  } = useDocusaurusContext();
+  const contextualSearch =
+    contextualSearchOption === undefined
+      ? configContextualSearch
+      : contextualSearchOption;
+  const {typesenseSearchClient} = useTypesenseClient();
+  const {searchProfileParameters} = useSearchProfile();
+  const {locale, tags} = useContextualSearchFilters();
+  const [query, setQueryState] = useState(initialQuery);
+  const [page, setPage] = useState(0);
+  // Refined facet values, e.g. `{language: ['en']}`
+  const [filters, setFiltersState] = useState({});
+  const [results, setResults] = useState(EMPTY_RESULTS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Searches the same query again
+  const [retries, setRetries] = useState(0);
+
+  // Changing the search itself goes back to the first page
+  const setQuery = useCallback((nextQuery) => {
+    setQueryState(nextQuery);
+    setPage(0);
+  }, []);
+  const setFilters = useCallback((nextFilters) => {
+    setFiltersState(nextFilters);
+    setPage(0);
+  }, []);
+  const toggleFilter = useCallback((attribute, value) => {
+    setFiltersState((prevFilters) => {
+      const values = prevFilters[attribute] || [];
+      const nextValues = values.includes(value)
+        ? values.filter((v) => v !== value)
+        : values.concat(value);
+      const {[attribute]: _, ...otherFilters} = prevFilters;
+
+      return nextValues.length > 0
+        ? {...otherFilters, [attribute]: nextValues}
+        : otherFilters;
+    });
+    setPage(0);
+  }, []);
+  const retry = useCallback(() => setRetries((count) => count + 1), []);
+
+  const {filter_by: configFilterBy, ...configSearchParameters} =
+    typesenseSearchParameters;
+  const {filter_by: filterBy, ...otherSearchParameters} = searchParameters;
+  const searchRequest = {
+    ...searchProfileParameters,
+    ...configSearchParameters,
+    ...getHighlightSearchParameters(highlight),
+    ...otherSearchParameters,
+    ...(hitsPerPage && {per_page: hitsPerPage}),
+    ...(facetBy.length > 0 && {facet_by: facetBy.join(',')}),
+    collection: typesenseCollectionName,
+    q: query,
+    page: page + 1,
+    filter_by: getSearchFilter({
+      contextualFilter:
+        contextualSearch && getContextualFilter({locale, tags}),
+      searchFilter: and(
+        searchFilter,
+        filter,
+        ...Object.entries(filters).map(([attribute, values]) =>
+          eq(attribute, values),
+        ),
+      ),
+      filterBy: and(configFilterBy, filterBy),
+    }),
+  };
+  // The request is built on each render: searched again when it changes
+  const searchRequestKey = JSON.stringify(searchRequest);
+
+  useEffect(() => {
+    if (!query) {
+      setResults(EMPTY_RESULTS);
+      setLoading(false);
+      setError(null);
+      return undefined;
+    }
+
+    setLoading(true);
+    const abortController = new AbortController();
+    const timeout = setTimeout(() => {
+      typesenseSearchClient.multiSearch
+        .perform({searches: [searchRequest]}, {}, {
+          signal: abortController.signal,
+        })
+        .then(({results: [result]}) => {
+          if (result.error) {
+            throw new SearchError('server', result.error);
+          }
+
+          const adaptedResult = adaptSearchResult(result);
+          setResults({
+            hits: adaptedResult.hits.map((hit, index) =>
+              getSearchResultItem(hit, {
+                position:
+                  adaptedResult.page * adaptedResult.hitsPerPage + index + 1,
+                siteUrl,
+              }),
+            ),
+            facets: getFacetValues(adaptedResult.facets),
+            totalResults: adaptedResult.nbHits,
+            totalPages: adaptedResult.nbPages,
+          });
+          setError(null);
+          setLoading(false);
+        })
+        .catch((err) => {
+          if (isAbortError(err)) {
+            return;
+          }
+
+          setError(err instanceof SearchError ? err.type : 'server');
+          setLoading(false);
+        });
+    }, debounceDelay);
+
+    return () => {
+      clearTimeout(timeout);
+      abortController.abort();
+    };
+  }, [typesenseSearchClient, searchRequestKey, retries]);
+
+  return {
+    query,
+    setQuery,
+    filters,
+    setFilters,
+    toggleFilter,
+    page,
+    setPage,
+    loading,
+    error,
+    retry,
+    ...results,
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {useMemo} from 'react';
+import {SearchClient} from 'typesense';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
+import {useLocation} from '@docusaurus/router';
+import {useActivePlugin} from '@docusaurus/plugin-content-docs/client';
+import {
+  createLocalSearchClient,
+  createFallbackSearchClient,
+} from '@theme/utils/localSearch';
+import {
+  DEFAULT_SEARCH_TIMEOUT,
+  createSearchClientService,
+} from '@theme/utils/searchClientService';
+import {resolveSearchKeyScope} from '@theme/utils/scopedSearchKeys';
+import scopedSearchKeyLoaders from '@docusaurus-theme-search-typesense/scoped-search-keys';
+
+// The Typesense clients used by DocSearch and the InstantSearch adapter refuse
+// to be created without a server config, even when they never query it
+const LOCAL_SERVER_CONFIG = {
+  apiKey: 'local',
+  nodes: [{host: 'localhost', port: 8108, protocol: 'http'}],
+};
+
+// The key of a scope is only loaded by the pages of the scope, with the first
+// search. A key that cannot be loaded fails the search, and is loaded again by
+// the next one.
+function createScopedSearchClient(typesenseServerConfig, searchKeyScope) {
+  let clientPromise = null;
+
+  return {
+    multiSearch: {
+      perform: (...args) => {
+        if (!clientPromise) {
+          clientPromise = scopedSearchKeyLoaders[searchKeyScope]().then(
+            ({default: {apiKey}}) =>
+              new SearchClient({...typesenseServerConfig, apiKey}),
+          );
+          clientPromise.catch(() => {
+            clientPromise = null;
+          });
+        }
+
+        return clientPromise.then((client) =>
+          client.multiSearch.perform(...args),
+        );
+      },
+    },
+  };
+}
+
+function createServerSearchClient({typesenseServerConfig, searchKeyScope}) {
+  return searchKeyScope
+    ? createScopedSearchClient(typesenseServerConfig, searchKeyScope)
+    : new SearchClient(typesenseServerConfig);
+}
+
+function createSearchClient(config) {
+  switch (config.searchMode) {
+    case 'local':
+      return createLocalSearchClient(config.localIndexUrl);
+    case 'local-fallback':
+      return createFallbackSearchClient(
+        createServerSearchClient(config),
+        createLocalSearchClient(config.localIndexUrl),
+      );
+    default:
+      return createServerSearchClient(config);
+  }
+}
+
+// The modal and the search page share the deduplicated searches and the cache
+// of the clients with the same config
+const searchClientServices = new Map();
+
+function getSearchClientService(config) {
+  const key = JSON.stringify(config);
+
+  if (!searchClientServices.has(key)) {
+    searchClientServices.set(
+      key,
+      createSearchClientService(createSearchClient(config), {
+        timeout: config.searchTimeout,
+      }),
+    );
+  }
+
+  return searchClientServices.get(key);
+}
+
+// Returns a client exposing Typesense's `multiSearch.perform()`, backed by the
+// server, the index generated at build time, or both depending on `searchMode`,
+// see `@theme/utils/searchClientService` for its cache and errors. The server
+// is searched with the scoped search key of the current page, if any. The
+// returned server config gets a placeholder key when the key is scoped: the
+// DocSearch modal and the InstantSearch adapter only need it to create clients
+// that they never query.
+export default function useTypesenseSearchClient() {
+  const {
+    siteConfig: {
+      themeConfig: {
+        typesense: {
+          searchMode = 'server',
+          typesenseServerConfig,
+          searchTimeout = DEFAULT_SEARCH_TIMEOUT,
+        },
+      },
+    },
+  } = useDocusaurusContext();
+  const {localIndexUrl, scopedSearchKeys = []} = usePluginData(
+    'docusaurus-theme-search-typesense',
+  );
+  const {pathname} = useLocation();
+  const activePlugin = useActivePlugin({failfast: false});
+  const docsPluginId = activePlugin ? activePlugin.pluginId : undefined;
+  const searchKeyScope = resolveSearchKeyScope(scopedSearchKeys, {
+    pathname,
+    docsPluginId,
+  });
+
+  const typesenseSearchClient = useMemo(
+    () =>
+      getSearchClientService({
+        searchMode,
+        typesenseServerConfig,
+        searchKeyScope,
+        localIndexUrl,
+        searchTimeout,
+      }),
+    [
+      searchMode,
+      typesenseServerConfig,
+      searchKeyScope,
+      localIndexUrl,
+      searchTimeout,
+    ],
+  );
+  const serverConfig = useMemo(
+    () =>
+      typesenseServerConfig && searchKeyScope
+        ? {...typesenseServerConfig, apiKey: LOCAL_SERVER_CONFIG.apiKey}
+        : typesenseServerConfig,
+    [typesenseServerConfig, searchKeyScope],
+  );
+
+  return {
+    typesenseSearchClient,
+    typesenseServerConfig: serverConfig || LOCAL_SERVER_CONFIG,
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  getSearchCollections,
+  getCollectionSearchParameters,
+  mergeSearchResults,
+  getSearchResultUrl,
+} from '../federatedSearch';
+
+const collections = getSearchCollections({
+  typesenseCollectionName: 'docs',
+  collections: [
+    {name: 'api', label: 'API', weight: 2},
+    {name: 'forum', label: 'Forum', typesenseSearchParameters: {query_by: 'title'}},
+  ],
+});
+
+function hit(id, textMatch, lvl0 = 'Docs') {
+  return {
+    objectID: id,
+    text_match: textMatch,
+    'hierarchy.lvl0': lvl0,
+    _highlightResult: {'hierarchy.lvl0': {value: lvl0}},
+  };
+}
+
+describe('getSearchCollections', () => {
+  test('main collection first', () => {
+    expect(collections.map(({name, isMain}) => [name, isMain])).toEqual([
+      ['docs', true],
+      ['api', false],
+      ['forum', false],
+    ]);
+    expect(collections[0]).toEqual({
+      name: 'docs',
+      weight: 1,
+      typesenseSearchParameters: {},
+      isMain: true,
+    });
+  });
+
+  test('listed main collection', () => {
+    expect(
+      getSearchCollections({
+        typesenseCollectionName: 'docs',
+        collections: [{name: 'forum'}, {name: 'docs', label: 'Guides'}],
+      }).map(({name, label}) => [name, label]),
+    ).toEqual([
+      ['forum', undefined],
+      ['docs', 'Guides'],
+    ]);
+  });
+
+  test('without collections', () => {
+    expect(
+      getSearchCollections({typesenseCollectionName: 'docs'}),
+    ).toHaveLength(1);
+  });
+});
+
+describe('getCollectionSearchParameters', () => {
+  const searchParameters = {q: 'install', query_by: 'content', filter_by: 'language:=en'};
+
+  test('main collection', () => {
+    expect(
+      getCollectionSearchParameters(collections[0], searchParameters),
+    ).toEqual({...searchParameters, collection: 'docs'});
+  });
+
+  test('other collection', () => {
+    expect(
+      getCollectionSearchParameters(collections[2], searchParameters),
+    ).toEqual({q: 'install', query_by: 'title', collection: 'forum'});
+  });
+});
+
+describe('mergeSearchResults', () => {
+  const results = [
+    {hits: [hit('d1', 30), hit('d2', 10)], nbHits: 2},
+    {hits: [hit('a1', 20)], nbHits: 1},
+    {hits: [hit('f1', 30)], nbHits: 4},
+  ];
+
+  test('sectioned', () => {
+    const {hits, nbHits} = mergeSearchResults(results, collections, {
+      mode: 'sectioned',
+    });
+
+    expect(nbHits).toBe(7);
+    expect(
+      hits.map((h) => [h.objectID, h['hierarchy.lvl0'], h.__collection]),
+    ).toEqual([
+      ['d1', 'Docs', 'docs'],
+      ['d2', 'Docs', 'docs'],
+      ['a1', 'API', 'api'],
+      ['f1', 'Forum', 'forum'],
+    ]);
+    expect(hits[2]._highlightResult['hierarchy.lvl0'].value).toBe('API');
+  });
+
+  test('merged', () => {
+    const {hits} = mergeSearchResults(results, collections, {mode: 'merged'});
+
+    expect(hits.map((h) => [h.objectID, h['hierarchy.lvl0']])).toEqual([
+      ['a1', 'Docs'],
+      ['d1', 'Docs'],
+      ['f1', 'Docs'],
+      ['d2', 'Docs'],
+    ]);
+  });
+});
+
+describe('getSearchResultUrl', () => {
+  test('same site', () => {
+    expect(
+      getSearchResultUrl('https://example.com/docs/intro#install', 'https://example.com'),
+    ).toBe('/docs/intro#install');
+  });
+
+  test('other site', () => {
+    expect(
+      getSearchResultUrl('https://forum.example.com/t/42', 'https://example.com'),
+    ).toBe('https://forum.example.com/t/42');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  and,
+  or,
+  eq,
+  notEq,
+  range,
+  buildFilter,
+  escapeFilterValue,
+  getContextualFilter,
+  getSearchFilter,
+  withSearchFilter,
+} from '../filterBuilder';
+import {parseFilter} from '../localSearch';
+
+describe('escapeFilterValue', () => {
+  test('strings', () => {
+    expect(escapeFilterValue('docs-default-current')).toBe(
+      '`docs-default-current`',
+    );
+  });
+
+  test('commas, brackets and operators', () => {
+    expect(escapeFilterValue('a,b] && c')).toBe('`a,b] && c`');
+  });
+
+  test('backslashes', () => {
+    expect(escapeFilterValue('a\\c')).toBe('`a\\c`');
+  });
+
+  test('backticks', () => {
+    expect(() => escapeFilterValue('a`b')).toThrow(
+      'Filter values cannot contain backticks: a`b',
+    );
+  });
+
+  test('numbers and booleans', () => {
+    expect(escapeFilterValue(4)).toBe('4');
+    expect(escapeFilterValue(false)).toBe('false');
+  });
+});
+
+describe('buildFilter', () => {
+  test('values', () => {
+    expect(buildFilter(eq('docusaurus_tag', ['default', 'docs-api-1.0']))).toBe(
+      'docusaurus_tag:=[`default`,`docs-api-1.0`]',
+    );
+    expect(buildFilter(notEq('type', 'content'))).toBe('type:!=[`content`]');
+  });
+
+  test('empty values', () => {
+    expect(buildFilter(eq('docusaurus_tag', []))).toBe('');
+    expect(buildFilter(eq('language', [null, '']))).toBe('');
+  });
+
+  test('numeric ranges', () => {
+    expect(buildFilter(range('item_priority', {min: 10, max: 50}))).toBe(
+      'item_priority:[10..50]',
+    );
+    expect(buildFilter(range('item_priority', {min: 0}))).toBe(
+      'item_priority:>=0',
+    );
+    expect(buildFilter(range('item_priority', {max: 50}))).toBe(
+      'item_priority:<=50',
+    );
+    expect(buildFilter(range('item_priority', {}))).toBe('');
+  });
+
+  test('and/or groups', () => {
+    expect(
+      buildFilter(
+        and(
+          eq('language', 'en'),
+          or(eq('type', 'lvl1'), range('item_priority', {min: 10})),
+          null,
+          'version:=2',
+        ),
+      ),
+    ).toBe(
+      'language:=[`en`] && (type:=[`lvl1`] || item_priority:>=10) && version:=2',
+    );
+  });
+
+  test('single filter groups', () => {
+    expect(buildFilter(and(or(eq('type', 'lvl1')), ''))).toBe(
+      'type:=[`lvl1`]',
+    );
+    expect(buildFilter(or(and(eq('type', 'lvl1'), eq('language', 'en'))))).toBe(
+      'type:=[`lvl1`] && language:=[`en`]',
+    );
+  });
+
+  test('filter_by strings', () => {
+    expect(buildFilter(and('a:=1 || b:=2', 'c:=3'))).toBe(
+      '(a:=1 || b:=2) && c:=3',
+    );
+    expect(buildFilter('  ')).toBe('');
+  });
+
+  test('parsed by the local search', () => {
+    const documents = [
+      {id: 1, docusaurus_tag: 'a,b', item_priority: 10},
+      {id: 2, docusaurus_tag: 'c\\d', item_priority: 20},
+      {id: 3, docusaurus_tag: 'default', item_priority: 30},
+    ];
+    const filterBy = buildFilter(
+      or(
+        eq('docusaurus_tag', ['a,b', 'c\\d']),
+        range('item_priority', {min: 30}),
+      ),
+    );
+
+    expect(documents.filter(parseFilter(filterBy)).map(({id}) => id)).toEqual(
+      [1, 2, 3],
+    );
+    expect(
+      documents
+        .filter(parseFilter(buildFilter(eq('docusaurus_tag', 'c\\d'))))
+        .map(({id}) => id),
+    ).toEqual([2]);
+  });
+});
+
+describe('getSearchFilter', () => {
+  test('contextual and configured filters', () => {
+    expect(
+      getSearchFilter({
+        contextualFilter: getContextualFilter({
+          locale: 'en',
+          tags: ['default', 'docs-default-current'],
+        }),
+        searchFilter: range('item_priority', {min: 10}),
+        filterBy: 'version:=2',
+      }),
+    ).toBe(
+      'language:=[`en`] && docusaurus_tag:=[`default`,`docs-default-current`] && item_priority:>=10 && version:=2',
+    );
+  });
+
+  test('without contextual filter', () => {
+    expect(getSearchFilter({filterBy: 'version:=2'})).toBe('version:=2');
+    expect(getSearchFilter({})).toBe('');
+  });
+});
+
+describe('withSearchFilter', () => {
+  test('filtered searches', async () => {
+    const perform = jest.fn(async () => ({results: []}));
+    const client = withSearchFilter(
+      {multiSearch: {perform}},
+      'language:=[`en`]',
+    );
+
+    await client.multiSearch.perform(
+      {searches: [{q: 'a', filter_by: 'type:=[`lvl1`]'}, {q: 'b'}]},
+      {collection: 'docs'},
+      {cacheSearchResultsForSeconds: 60},
+    );
+
+    expect(perform).toHaveBeenCalledWith(
+      {
+        searches: [
+          {q: 'a', filter_by: 'language:=[`en`] && type:=[`lvl1`]'},
+          {q: 'b', filter_by: 'language:=[`en`]'},
+        ],
+      },
+      {collection: 'docs'},
+      {cacheSearchResultsForSeconds: 60},
+    );
+  });
+
+  test('without filter', () => {
+    const client = {multiSearch: {perform: jest.fn()}};
+
+    expect(withSearchFilter(client, '')).toBe(client);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  HIGHLIGHT_START_TAG as START,
+  HIGHLIGHT_END_TAG as END,
+  getHighlightSearchParameters,
+  parseHighlight,
+  getHighlightParts,
+  toHighlightHtml,
+} from '../highlight';
+
+describe('parseHighlight', () => {
+  test('matches', () => {
+    expect(
+      parseHighlight(`Run ${START}npm${END} ${START}install${END} now`),
+    ).toEqual({
+      text: 'Run npm install now',
+      ranges: [
+        [4, 7],
+        [8, 15],
+      ],
+    });
+  });
+
+  test('markup of the indexed content', () => {
+    expect(
+      parseHighlight(`<img src=x onerror=alert(1)> ${START}<mark>${END}`),
+    ).toEqual({
+      text: '<img src=x onerror=alert(1)> <mark>',
+      ranges: [[29, 35]],
+    });
+  });
+
+  test('unbalanced markers', () => {
+    expect(parseHighlight(`a${END}b ${START}c`)).toEqual({
+      text: 'ab c',
+      ranges: [[3, 4]],
+    });
+    expect(parseHighlight(`${START}${END}a`)).toEqual({text: 'a', ranges: []});
+  });
+
+  test('empty values', () => {
+    expect(parseHighlight(undefined)).toEqual({text: '', ranges: []});
+    expect(parseHighlight(42)).toEqual({text: '42', ranges: []});
+  });
+});
+
+describe('getHighlightParts', () => {
+  test('parts', () => {
+    expect(
+      getHighlightParts({
+        text: 'Run npm install',
+        ranges: [
+          [4, 7],
+          [8, 15],
+        ],
+      }),
+    ).toEqual([
+      {value: 'Run ', isHighlighted: false},
+      {value: 'npm', isHighlighted: true},
+      {value: ' ', isHighlighted: false},
+      {value: 'install', isHighlighted: true},
+    ]);
+  });
+
+  test('without matches', () => {
+    expect(getHighlightParts({text: 'Install', ranges: []})).toEqual([
+      {value: 'Install', isHighlighted: false},
+    ]);
+  });
+});
+
+describe('toHighlightHtml', () => {
+  test('escaped content', () => {
+    expect(
+      toHighlightHtml(`<b onclick="x">${START}A&B${END}</b>`),
+    ).toBe('&lt;b onclick=&quot;x&quot;&gt;<mark>A&amp;B</mark>&lt;/b&gt;');
+  });
+
+  test('tag name', () => {
+    expect(toHighlightHtml(`a ${START}b${END}`, {tagName: 'em'})).toBe(
+      'a <em>b</em>',
+    );
+  });
+});
+
+describe('getHighlightSearchParameters', () => {
+  test('snippet length', () => {
+    expect(getHighlightSearchParameters({snippetLength: 10})).toEqual({
+      highlight_start_tag: START,
+      highlight_end_tag: END,
+      highlight_affix_num_tokens: 10,
+    });
+    expect(getHighlightSearchParameters()).toEqual({
+      highlight_start_tag: START,
+      highlight_end_tag: END,
+    });
+  });
+});
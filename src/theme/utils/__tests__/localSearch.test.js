@@ -0,0 +1,241 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  parseFilter,
+  searchDocuments,
+  decodeLocalIndex,
+  createFallbackSearchClient,
+} from '../localSearch';
+
+const documents = decodeLocalIndex({
+  fields: [
+    'url',
+    'type',
+    'content',
+    'hierarchy.lvl0',
+    'hierarchy.lvl1',
+    'language',
+    'docusaurus_tag',
+    'item_priority',
+  ],
+  documents: [
+    [
+      'https://example.com/docs/intro',
+      'lvl1',
+      null,
+      'Docs',
+      'Getting started',
+      'en',
+      'docs-default-current',
+      60,
+    ],
+    [
+      'https://example.com/docs/intro',
+      'content',
+      'Install the package, then run the build.',
+      'Docs',
+      'Getting started',
+      'en',
+      'docs-default-current',
+      0,
+    ],
+    [
+      'https://example.com/fr/blog/release',
+      'lvl1',
+      null,
+      'Blog',
+      'Installation rapide',
+      'fr',
+      'default',
+      60,
+    ],
+  ],
+});
+
+const params = {
+  query_by: 'hierarchy.lvl0,hierarchy.lvl1,content',
+};
+
+describe('decodeLocalIndex', () => {
+  test('restores records and assigns ids', () => {
+    expect(documents[0]).toEqual({
+      id: '0',
+      url: 'https://example.com/docs/intro',
+      type: 'lvl1',
+      'hierarchy.lvl0': 'Docs',
+      'hierarchy.lvl1': 'Getting started',
+      language: 'en',
+      docusaurus_tag: 'docs-default-current',
+      item_priority: 60,
+    });
+  });
+});
+
+describe('parseFilter', () => {
+  const matchingIds = (filterBy) =>
+    documents.filter(parseFilter(filterBy)).map(({id}) => id);
+
+  test('empty filter', () => {
+    expect(matchingIds('')).toEqual(['0', '1', '2']);
+  });
+
+  test('exact match and lists', () => {
+    expect(matchingIds('language:=en')).toEqual(['0', '1']);
+    expect(matchingIds('docusaurus_tag:=[default, `docs-other-1.0`]')).toEqual([
+      '2',
+    ]);
+  });
+
+  test('negation', () => {
+    expect(matchingIds('language:!=en')).toEqual(['2']);
+  });
+
+  test('numeric comparisons and ranges', () => {
+    expect(matchingIds('item_priority:>10')).toEqual(['0', '2']);
+    expect(matchingIds('item_priority:[0..10]')).toEqual(['1']);
+  });
+
+  test('unquoted values with spaces', () => {
+    expect(matchingIds('hierarchy.lvl1:=Getting started')).toEqual(['0', '1']);
+  });
+
+  test('and, or and parentheses', () => {
+    expect(matchingIds('language:=en && type:=lvl1')).toEqual(['0']);
+    expect(matchingIds('type:=content || language:=fr')).toEqual(['1', '2']);
+    expect(
+      matchingIds('(type:=content || language:=fr) && docusaurus_tag:=default'),
+    ).toEqual(['2']);
+  });
+});
+
+describe('searchDocuments', () => {
+  test('ranks headings above content', () => {
+    const {found, hits} = searchDocuments(documents, {...params, q: 'started'});
+
+    expect(found).toBe(2);
+    expect(hits.map(({document}) => document.id)).toEqual(['0', '1']);
+  });
+
+  test('highlights matched words', () => {
+    const {hits} = searchDocuments(documents, {...params, q: 'package'});
+
+    expect(hits[0].highlights).toEqual([
+      {
+        field: 'content',
+        matched_tokens: ['package'],
+        value: 'Install the <mark>package</mark>, then run the build.',
+        snippet: 'Install the <mark>package</mark>, then run the build.',
+      },
+    ]);
+  });
+
+  test('highlight tags and snippet length', () => {
+    const content = `${'word '.repeat(40)}deploy the site ${'word '.repeat(10)}`;
+    const {hits} = searchDocuments([{id: '0', content}], {
+      ...params,
+      q: 'deploy',
+      highlight_start_tag: '<em>',
+      highlight_end_tag: '</em>',
+      highlight_affix_num_tokens: 2,
+    });
+
+    expect(hits[0].highlights[0].snippet).toBe(
+      'word word <em>deploy</em> the site',
+    );
+  });
+
+  test('matches prefixes of the last token and typos', () => {
+    expect(
+      searchDocuments(documents, {...params, q: 'instal'}).hits.map(
+        ({document}) => document.id,
+      ),
+    ).toEqual(['2', '1']);
+  });
+
+  test('filters, groups and counts facets', () => {
+    const response = searchDocuments(documents, {
+      ...params,
+      q: '*',
+      filter_by: 'language:=en',
+      facet_by: 'type',
+      group_by: 'url',
+      group_limit: 1,
+    });
+
+    expect(response.found).toBe(1);
+    expect(response.grouped_hits).toHaveLength(1);
+    expect(response.grouped_hits[0].hits).toHaveLength(1);
+    expect(response.facet_counts).toEqual([
+      {
+        field_name: 'type',
+        counts: [
+          {value: 'lvl1', count: 1, highlighted: 'lvl1'},
+          {value: 'content', count: 1, highlighted: 'content'},
+        ],
+        stats: {},
+      },
+    ]);
+  });
+
+  test('paginates and restricts fields', () => {
+    const response = searchDocuments(documents, {
+      ...params,
+      q: '*',
+      per_page: 2,
+      page: 2,
+      include_fields: 'url',
+    });
+
+    expect(response.found).toBe(3);
+    expect(response.hits).toEqual([
+      expect.objectContaining({
+        document: {url: 'https://example.com/docs/intro'},
+      }),
+    ]);
+  });
+});
+
+describe('createFallbackSearchClient', () => {
+  const fallbackClient = {
+    multiSearch: {perform: jest.fn(async () => ({results: ['fallback']}))},
+  };
+
+  test('switches to the fallback client on network errors', async () => {
+    const primaryClient = {
+      multiSearch: {
+        perform: jest.fn(async () => {
+          throw new Error('Network Error');
+        }),
+      },
+    };
+    const client = createFallbackSearchClient(primaryClient, fallbackClient);
+
+    await expect(client.multiSearch.perform({searches: []})).resolves.toEqual({
+      results: ['fallback'],
+    });
+    await client.multiSearch.perform({searches: []});
+    expect(primaryClient.multiSearch.perform).toHaveBeenCalledTimes(1);
+  });
+
+  test('rethrows HTTP errors', async () => {
+    const error = new Error('Forbidden');
+    error.httpStatus = 403;
+    const primaryClient = {
+      multiSearch: {
+        perform: async () => {
+          throw error;
+        },
+      },
+    };
+    const client = createFallbackSearchClient(primaryClient, fallbackClient);
+
+    await expect(client.multiSearch.perform({searches: []})).rejects.toBe(
+      error,
+    );
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {getHitsPerPageOptions, getPageNumbers} from '../pagination';
+
+describe('getPageNumbers', () => {
+  test('few pages', () => {
+    expect(getPageNumbers({currentPage: 0, totalPages: 4})).toEqual([
+      0, 1, 2, 3,
+    ]);
+  });
+
+  test('ellipses around the current page', () => {
+    expect(getPageNumbers({currentPage: 9, totalPages: 20})).toEqual([
+      0,
+      'ellipsis',
+      7,
+      8,
+      9,
+      10,
+      11,
+      'ellipsis',
+      19,
+    ]);
+  });
+
+  test('current page close to the start', () => {
+    expect(getPageNumbers({currentPage: 1, totalPages: 20})).toEqual([
+      0,
+      1,
+      2,
+      3,
+      'ellipsis',
+      19,
+    ]);
+  });
+
+  test('no pages', () => {
+    expect(getPageNumbers({currentPage: 0, totalPages: 0})).toEqual([]);
+  });
+});
+
+describe('getHitsPerPageOptions', () => {
+  test('includes the default page size', () => {
+    expect(getHitsPerPageOptions([50, 15, 30], 20)).toEqual([15, 20, 30, 50]);
+    expect(getHitsPerPageOptions([15, 30], 15)).toEqual([15, 30]);
+  });
+});
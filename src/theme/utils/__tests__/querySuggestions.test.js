@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {getQuerySuggestions} from '../querySuggestions';
+
+// Answers each collection with the given Typesense search result
+function createClientStub(resultsByCollection) {
+  return {
+    multiSearch: {
+      perform: jest.fn(async ({searches: [{collection}]}) => ({
+        results: [resultsByCollection[collection] || {hits: []}],
+      })),
+    },
+  };
+}
+
+const titlesResult = {
+  hits: [
+    {
+      document: {'hierarchy.lvl1': 'Installation', 'hierarchy.lvl2': 'Docker'},
+      highlights: [{field: 'hierarchy.lvl2'}],
+    },
+    {
+      document: {'hierarchy.lvl1': 'Installation'},
+      highlights: [{field: 'hierarchy.lvl1'}],
+    },
+    {
+      document: {'hierarchy.lvl1': 'Instant search'},
+      highlights: [{field: 'hierarchy.lvl1'}],
+    },
+  ],
+};
+
+const params = {
+  query: 'instalation',
+  typesenseCollectionName: 'docs',
+  filterBy: 'language:=en',
+  limit: 5,
+};
+
+describe('getQuerySuggestions', () => {
+  test('suggests popular queries', async () => {
+    const client = createClientStub({
+      popular_queries: {
+        hits: [
+          {document: {q: 'installation', count: 30}},
+          {document: {q: 'Instalation', count: 2}},
+          {document: {q: 'install docker', count: 10}},
+        ],
+      },
+      docs: titlesResult,
+    });
+
+    await expect(
+      getQuerySuggestions({
+        ...params,
+        client,
+        collectionName: 'popular_queries',
+      }),
+    ).resolves.toEqual(['installation', 'install docker']);
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to matching titles', async () => {
+    const client = createClientStub({docs: titlesResult});
+
+    await expect(getQuerySuggestions({...params, client})).resolves.toEqual([
+      'Docker',
+      'Installation',
+      'Instant search',
+    ]);
+    expect(client.multiSearch.perform).toHaveBeenCalledWith({
+      searches: [
+        expect.objectContaining({
+          collection: 'docs',
+          q: 'instalation',
+          filter_by: 'language:=en',
+        }),
+      ],
+    });
+  });
+
+  test('falls back to titles when the suggestions collection fails', async () => {
+    const client = createClientStub({
+      popular_queries: {error: 'Not found.', code: 404},
+      docs: titlesResult,
+    });
+
+    await expect(
+      getQuerySuggestions({
+        ...params,
+        client,
+        collectionName: 'popular_queries',
+        limit: 1,
+      }),
+    ).resolves.toEqual(['Docker']);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  getRelatedDocs,
+  getRelatedDocsPageKey,
+  getRelatedDocsSearchParameters,
+} from '../relatedDocs';
+
+const document = (url, hierarchy) => ({
+  url: `https://example.com${url}#anchor`,
+  url_without_anchor: `https://example.com${url}`,
+  ...hierarchy,
+});
+
+describe('getRelatedDocsPageKey', () => {
+  test('page paths', () => {
+    expect(getRelatedDocsPageKey('/docs/intro', '/')).toBe('docs/intro');
+    expect(getRelatedDocsPageKey('/docs/intro/', '/')).toBe('docs/intro');
+    expect(getRelatedDocsPageKey('/fr/docs/intro', '/fr/')).toBe('docs/intro');
+    expect(getRelatedDocsPageKey('/', '/')).toBe('index');
+  });
+});
+
+describe('getRelatedDocsSearchParameters', () => {
+  test('words of the title and the headings', () => {
+    expect(
+      getRelatedDocsSearchParameters(
+        {
+          title: 'Getting Started',
+          headings: ['Install the CLI', 'Start the server', "What's next?"],
+        },
+        {limit: 5},
+      ),
+    ).toEqual({
+      q: 'getting started install the cli start server what s next',
+      query_by: 'hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,content',
+      group_by: 'url_without_anchor',
+      group_limit: 1,
+      prefix: false,
+      drop_tokens_threshold: 6,
+      include_fields: 'url,url_without_anchor,hierarchy.lvl0,hierarchy.lvl1',
+      per_page: 6,
+    });
+  });
+
+  test('long pages', () => {
+    const headings = Array.from({length: 20}, (_, index) => `heading${index}`);
+    const {q} = getRelatedDocsSearchParameters(
+      {title: 'Title', headings},
+      {limit: 5},
+    );
+
+    expect(q.split(' ')).toHaveLength(12);
+    expect(q).toMatch(/^title heading0 /);
+  });
+});
+
+describe('getRelatedDocs', () => {
+  test('grouped hits', () => {
+    const group = (url, hierarchy) => ({
+      hits: [{document: document(url, hierarchy)}],
+    });
+    const result = {
+      grouped_hits: [
+        group('/docs/intro/', {'hierarchy.lvl1': 'Intro'}),
+        group('/docs/cli', {
+          'hierarchy.lvl0': 'Tools',
+          'hierarchy.lvl1': 'CLI',
+        }),
+        group('/blog', {'hierarchy.lvl0': 'Blog'}),
+        group('/docs/api', {'hierarchy.lvl1': 'API'}),
+      ],
+    };
+
+    expect(
+      getRelatedDocs(result, {pathname: '/docs/intro', limit: 2}),
+    ).toEqual([
+      {title: 'CLI', section: 'Tools', url: '/docs/cli'},
+      {title: 'Blog', section: 'Blog', url: '/blog'},
+    ]);
+  });
+
+  test('hits', () => {
+    const result = {
+      hits: [
+        {document: document('/docs/cli', {'hierarchy.lvl1': 'CLI'})},
+        {document: document('/docs/cli', {'hierarchy.lvl1': 'CLI'})},
+        {document: document('/docs/api', {'hierarchy.lvl1': 'API'})},
+      ],
+    };
+
+    expect(
+      getRelatedDocs(result, {pathname: '/docs/intro', limit: 5}).map(
+        ({url}) => url,
+      ),
+    ).toEqual(['/docs/cli', '/docs/api']);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {resolveSearchKeyScope} from '../scopedSearchKeys';
+
+const scopedSearchKeys = [
+  {name: 'all', paths: [], docsPluginIds: []},
+  {name: 'api', paths: [], docsPluginIds: ['api']},
+  {name: 'internal', paths: ['/docs/api/internal/'], docsPluginIds: []},
+];
+
+describe('resolveSearchKeyScope', () => {
+  test('paths win over docs plugins', () => {
+    expect(
+      resolveSearchKeyScope(scopedSearchKeys, {
+        pathname: '/docs/api/internal/auth',
+        docsPluginId: 'api',
+      }),
+    ).toBe('internal');
+    expect(
+      resolveSearchKeyScope(scopedSearchKeys, {
+        pathname: '/docs/api/auth',
+        docsPluginId: 'api',
+      }),
+    ).toBe('api');
+  });
+
+  test('scope of the other pages', () => {
+    expect(resolveSearchKeyScope(scopedSearchKeys, {pathname: '/blog/'})).toBe(
+      'all',
+    );
+    expect(
+      resolveSearchKeyScope(scopedSearchKeys.slice(1), {pathname: '/blog/'}),
+    ).toBeNull();
+    expect(resolveSearchKeyScope([], {pathname: '/'})).toBeNull();
+  });
+});
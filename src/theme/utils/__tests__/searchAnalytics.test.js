@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  addSearchEventListener,
+  emitSearchEvent,
+  createTypesenseReporter,
+  createGoogleAnalyticsReporter,
+} from '../searchAnalytics';
+
+const clickEvent = {
+  type: 'resultClick',
+  query: 'install',
+  position: 2,
+  url: '/docs/intro#install',
+  documentId: '42',
+  source: 'modal',
+};
+
+describe('emitSearchEvent', () => {
+  test('calls every listener until removed', async () => {
+    const listener = jest.fn();
+    const removeListener = addSearchEventListener(listener);
+
+    await emitSearchEvent(clickEvent);
+    removeListener();
+    await emitSearchEvent(clickEvent);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(clickEvent);
+  });
+
+  test('isolates failing listeners', async () => {
+    const listener = jest.fn();
+    const removeListeners = [
+      addSearchEventListener(async () => {
+        throw new Error('Reporter error');
+      }),
+      addSearchEventListener(listener),
+    ];
+
+    await expect(emitSearchEvent(clickEvent)).resolves.toBeDefined();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    removeListeners.forEach((removeListener) => removeListener());
+  });
+});
+
+describe('createTypesenseReporter', () => {
+  const report = createTypesenseReporter({
+    typesenseServerConfig: {
+      nodes: [{host: 'typesense.example.com', port: 443, protocol: 'https'}],
+      apiKey: 'searchOnlyKey',
+    },
+    clickEventName: 'docs_click',
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async () => ({ok: true, status: 200}));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sends result clicks as click events', async () => {
+    await report(clickEvent);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://typesense.example.com:443/analytics/events',
+      expect.objectContaining({method: 'POST'}),
+    );
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      type: 'click',
+      name: 'docs_click',
+      data: {
+        q: 'install',
+        doc_id: '42',
+        position: 2,
+        user_id: expect.any(String),
+      },
+    });
+  });
+
+  test('ignores other events', async () => {
+    await report({type: 'search', query: 'install', nbHits: 3});
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects on HTTP errors', async () => {
+    global.fetch = jest.fn(async () => ({ok: false, status: 401}));
+
+    await expect(report(clickEvent)).rejects.toThrow(
+      'Typesense responded with HTTP 401',
+    );
+  });
+});
+
+describe('createGoogleAnalyticsReporter', () => {
+  const report = createGoogleAnalyticsReporter();
+
+  beforeEach(() => {
+    global.window = {gtag: jest.fn()};
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  test('maps events to gtag events', () => {
+    report({type: 'noResults', query: 'instal', source: 'page'});
+    report(clickEvent);
+
+    expect(window.gtag.mock.calls).toEqual([
+      [
+        'event',
+        'search_no_results',
+        {search_term: 'instal', search_source: 'page'},
+      ],
+      [
+        'event',
+        'select_search_result',
+        {
+          search_term: 'install',
+          position: 2,
+          link_url: '/docs/intro#install',
+          search_source: 'modal',
+        },
+      ],
+    ]);
+  });
+
+  test('does nothing without gtag', () => {
+    delete window.gtag;
+
+    expect(() => report(clickEvent)).not.toThrow();
+  });
+});
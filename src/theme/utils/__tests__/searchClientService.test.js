@@ -0,0 +1,182 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  SearchError,
+  createSearchClientService,
+  getSearchErrorType,
+  withAbortSignalClient,
+} from '../searchClientService';
+
+const searches = {searches: [{collection: 'docs', q: 'install'}]};
+
+function createClient(perform) {
+  return {multiSearch: {perform: jest.fn(perform)}};
+}
+
+describe('createSearchClientService', () => {
+  test('identical in-flight searches', async () => {
+    const client = createClient(async () => ({results: [{hits: []}]}));
+    const service = createSearchClientService(client);
+
+    const responses = await Promise.all([
+      service.multiSearch.perform(searches, {per_page: 10}),
+      service.multiSearch.perform(searches, {per_page: 10}),
+    ]);
+
+    expect(responses[0]).toBe(responses[1]);
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(1);
+    expect(client.multiSearch.perform).toHaveBeenCalledWith(searches, {
+      per_page: 10,
+    });
+  });
+
+  test('cached results', async () => {
+    const client = createClient(async ({searches: [{q}]}) => ({
+      results: [{q}],
+    }));
+    const service = createSearchClientService(client, {cacheSize: 2});
+    const search = (q) =>
+      service.multiSearch.perform({searches: [{collection: 'docs', q}]});
+
+    await search('a');
+    await search('b');
+    await search('a');
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(2);
+
+    // `b` is the least recently used
+    await search('c');
+    await search('a');
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(3);
+    await search('b');
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(4);
+
+    service.clearCache();
+    await search('b');
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(5);
+  });
+
+  test('failed searches are not cached', async () => {
+    const client = createClient(async () => ({
+      results: [{error: 'Not found.', code: 404}],
+    }));
+    const service = createSearchClientService(client);
+
+    await service.multiSearch.perform(searches);
+    await service.multiSearch.perform(searches);
+
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(2);
+  });
+
+  test('errors', async () => {
+    const client = createClient(async () => {
+      throw Object.assign(new Error('Forbidden'), {httpStatus: 401});
+    });
+    const service = createSearchClientService(client);
+
+    await expect(service.multiSearch.perform(searches)).rejects.toThrow(
+      SearchError,
+    );
+    await expect(service.multiSearch.perform(searches)).rejects.toMatchObject(
+      {type: 'unauthorized'},
+    );
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(2);
+  });
+
+  test('timeout', async () => {
+    jest.useFakeTimers();
+    try {
+      const service = createSearchClientService(
+        createClient(() => new Promise(() => {})),
+        {timeout: 1000},
+      );
+      const response = service.multiSearch.perform(searches);
+
+      jest.advanceTimersByTime(1000);
+      await expect(response).rejects.toMatchObject({
+        name: 'SearchError',
+        type: 'timeout',
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('aborted searches', async () => {
+    let resolve;
+    const client = createClient(
+      () =>
+        new Promise((resolveSearch) => {
+          resolve = resolveSearch;
+        }),
+    );
+    const service = createSearchClientService(client);
+    const abortController = new AbortController();
+
+    const abortedResponse = service.multiSearch.perform(searches, {}, {
+      signal: abortController.signal,
+    });
+    const response = service.multiSearch.perform(searches);
+    abortController.abort();
+    resolve({results: [{hits: []}]});
+
+    await expect(abortedResponse).rejects.toMatchObject({name: 'AbortError'});
+    await expect(response).resolves.toEqual({results: [{hits: []}]});
+    await expect(
+      service.multiSearch.perform(searches, {}, {
+        signal: abortController.signal,
+      }),
+    ).rejects.toMatchObject({name: 'AbortError'});
+  });
+});
+
+describe('getSearchErrorType', () => {
+  test('error types', () => {
+    expect(getSearchErrorType({httpStatus: 403})).toBe('unauthorized');
+    expect(getSearchErrorType({httpStatus: 503})).toBe('server');
+    expect(
+      getSearchErrorType({code: 'ECONNABORTED', message: 'timeout of 2000ms'}),
+    ).toBe('timeout');
+    expect(getSearchErrorType(new TypeError('Failed to fetch'))).toBe(
+      'network',
+    );
+  });
+});
+
+describe('withAbortSignalClient', () => {
+  test('aborted searches reject and release their search', async () => {
+    let reject;
+    const client = createClient(
+      () =>
+        new Promise((_, rejectSearch) => {
+          reject = rejectSearch;
+        }),
+    );
+    const service = createSearchClientService(client);
+    const abortController = new AbortController();
+
+    const response = withAbortSignalClient(
+      service,
+      abortController.signal,
+    ).multiSearch.perform(searches);
+    abortController.abort();
+
+    await expect(response).rejects.toMatchObject({name: 'AbortError'});
+
+    // The identical search is sent again once the aborted one failed
+    reject(new TypeError('Failed to fetch'));
+    await new Promise((resolve) => setTimeout(resolve));
+    const nextResponse = withAbortSignalClient(
+      service,
+      null,
+    ).multiSearch.perform(searches);
+    reject(new TypeError('Failed to fetch'));
+
+    await expect(nextResponse).rejects.toMatchObject({type: 'network'});
+    expect(client.multiSearch.perform).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {createSearchHistory, getSearchHistoryNamespace} from '../searchHistory';
+
+function createStorage() {
+  const values = new Map();
+
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+  };
+}
+
+const hit = (objectID) => ({
+  objectID,
+  url: `/docs/${objectID}`,
+  type: 'lvl1',
+  'hierarchy.lvl1': objectID,
+  _highlightResult: {},
+  _snippetResult: {},
+});
+
+describe('getSearchHistoryNamespace', () => {
+  test('includes the base URL and the locale', () => {
+    expect(
+      getSearchHistoryNamespace({
+        collectionName: 'docs',
+        baseUrl: '/fr/',
+        locale: 'fr',
+      }),
+    ).toBe('docs:/fr/:fr');
+  });
+});
+
+describe('createSearchHistory', () => {
+  test('uses the DocSearch modal storage keys', () => {
+    const storage = createStorage();
+    const searchHistory = createSearchHistory('docs:/:en', storage);
+
+    searchHistory.addRecentSearch(hit('intro'));
+    searchHistory.toggleFavoriteSearch(hit('install'));
+
+    expect(
+      JSON.parse(storage.getItem('__DOCSEARCH_RECENT_SEARCHES__docs:/:en')),
+    ).toEqual([
+      {
+        objectID: 'intro',
+        url: '/docs/intro',
+        type: 'lvl1',
+        'hierarchy.lvl1': 'intro',
+      },
+    ]);
+    expect(
+      JSON.parse(storage.getItem('__DOCSEARCH_FAVORITE_SEARCHES__docs:/:en')),
+    ).toHaveLength(1);
+  });
+
+  test('keeps the most recent queries first, without duplicates', () => {
+    const searchHistory = createSearchHistory('docs', createStorage());
+
+    ['install', 'config', ' install ', '', 'a', 'b', 'c', 'd'].forEach(
+      (query) => searchHistory.addRecentQuery(query),
+    );
+
+    expect(searchHistory.getRecentQueries()).toEqual([
+      'd',
+      'c',
+      'b',
+      'a',
+      'install',
+    ]);
+  });
+
+  test('moves hits between recent and favorite searches', () => {
+    const searchHistory = createSearchHistory('docs', createStorage());
+
+    searchHistory.addRecentSearch(hit('intro'));
+    searchHistory.toggleFavoriteSearch(hit('intro'));
+    searchHistory.addRecentSearch(hit('intro'));
+
+    expect(searchHistory.getRecentSearches()).toEqual([]);
+    expect(searchHistory.isFavoriteSearch(hit('intro'))).toBe(true);
+
+    searchHistory.toggleFavoriteSearch(hit('intro'));
+
+    expect(searchHistory.getFavoriteSearches()).toEqual([]);
+  });
+
+  test('clears the history but keeps favorite searches', () => {
+    const searchHistory = createSearchHistory('docs', createStorage());
+
+    searchHistory.addRecentQuery('install');
+    searchHistory.addRecentSearch(hit('intro'));
+    searchHistory.toggleFavoriteSearch(hit('install'));
+    searchHistory.clearHistory();
+
+    expect(searchHistory.getRecentQueries()).toEqual([]);
+    expect(searchHistory.getRecentSearches()).toEqual([]);
+    expect(searchHistory.getFavoriteSearches()).toHaveLength(1);
+  });
+
+  test('ignores unavailable storage', () => {
+    const searchHistory = createSearchHistory('docs', {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('SecurityError');
+      },
+    });
+
+    expect(() => searchHistory.addRecentQuery('install')).not.toThrow();
+    expect(searchHistory.getRecentQueries()).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {adaptSearchResult, getSearchResultItem} from '../searchHits';
+
+const document = {
+  id: '42',
+  url: 'https://example.com/docs/intro#install',
+  type: 'content',
+  'hierarchy.lvl0': 'Docs',
+  'hierarchy.lvl1': 'Intro',
+  'hierarchy.lvl2': 'Install',
+  content: 'Run the installer',
+};
+
+const result = {
+  found: 1,
+  page: 1,
+  request_params: {per_page: 10, q: 'install'},
+  facet_counts: [
+    {field_name: 'language', counts: [{value: 'en', count: 1}], stats: {}},
+  ],
+  grouped_hits: [
+    {
+      group_key: [document.url],
+      hits: [
+        {
+          document,
+          highlights: [
+            {
+              field: 'content',
+              snippet: 'Run the <mark>install</mark>er',
+              value: 'Run the <mark>install</mark>er',
+              matched_tokens: ['install'],
+            },
+          ],
+          text_match: 100,
+        },
+      ],
+    },
+  ],
+};
+
+describe('adaptSearchResult', () => {
+  test('grouped hits and facets', () => {
+    const {hits, nbHits, page, facets} = adaptSearchResult(result);
+
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({objectID: '42', text_match: 100});
+    expect({nbHits, page, facets}).toEqual({
+      nbHits: 1,
+      page: 0,
+      facets: {language: {en: 1}},
+    });
+  });
+});
+
+describe('getSearchResultItem', () => {
+  const [hit] = adaptSearchResult(result).hits;
+
+  test('search result', () => {
+    expect(
+      getSearchResultItem(hit, {
+        position: 1,
+        siteUrl: 'https://example.com',
+      }),
+    ).toEqual({
+      title: 'Install',
+      url: '/docs/intro#install',
+      summary: 'Run the <mark>install</mark>er...',
+      content: 'Run the <mark>install</mark>er',
+      breadcrumbs: ['Docs', 'Intro'],
+      documentId: '42',
+      position: 1,
+    });
+  });
+
+  test('hits of other sites', () => {
+    expect(
+      getSearchResultItem(hit, {
+        position: 1,
+        siteUrl: 'https://docs.example.org',
+        isMain: false,
+      }).url,
+    ).toBe('https://example.com/docs/intro#install');
+  });
+});
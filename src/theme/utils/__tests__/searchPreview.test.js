@@ -0,0 +1,90 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import {getSectionItems, getPageSection} from '../searchPreview';
+
+const pageDocument = new DOMParser().parseFromString(
+  `<main>
+    <article>
+      <div class="markdown">
+        <header><h1>Installation</h1></header>
+        <p>Install the   theme.</p>
+        <h2 class="anchor" id="requirements">
+          Requirements<a class="hash-link" href="#requirements">&#8203;</a>
+        </h2>
+        <p>Node.js 14 or higher.</p>
+        <ul>
+          <li><p>npm</p></li>
+          <li>yarn</li>
+        </ul>
+        <h3 id="typesense">Typesense</h3>
+        <pre><code>docker run typesense/typesense
+</code></pre>
+        <h2 id="configuration">Configuration</h2>
+        <p>Add the theme.</p>
+      </div>
+    </article>
+  </main>`,
+  'text/html',
+);
+
+describe('getPageSection', () => {
+  test('section of a heading and its subsections', () => {
+    expect(getPageSection(pageDocument, 'requirements')).toEqual({
+      title: 'Requirements',
+      blocks: [
+        {kind: 'text', text: 'Node.js 14 or higher.'},
+        {kind: 'text', text: 'npm'},
+        {kind: 'text', text: 'yarn'},
+        {kind: 'heading', text: 'Typesense'},
+        {kind: 'code', text: 'docker run typesense/typesense'},
+      ],
+    });
+  });
+
+  test('last section', () => {
+    expect(getPageSection(pageDocument, 'configuration')).toEqual({
+      title: 'Configuration',
+      blocks: [{kind: 'text', text: 'Add the theme.'}],
+    });
+  });
+
+  test('page introduction without anchor', () => {
+    expect(getPageSection(pageDocument, null)).toEqual({
+      title: 'Installation',
+      blocks: [{kind: 'text', text: 'Install the theme.'}],
+    });
+  });
+
+  test('missing sections', () => {
+    expect(getPageSection(pageDocument, 'usage')).toBeNull();
+    expect(
+      getPageSection(
+        new DOMParser().parseFromString('<p id="usage"></p>', 'text/html'),
+        'usage',
+      ),
+    ).toBeNull();
+  });
+});
+
+describe('getSectionItems', () => {
+  test('results of the same section', () => {
+    const items = [
+      {documentId: '1', url: '/docs/install#requirements'},
+      {documentId: '2', url: '/docs/install#requirements'},
+      {documentId: '3', url: '/docs/install#configuration'},
+    ];
+
+    expect(
+      getSectionItems(items, '/docs/install#requirements').map(
+        ({documentId}) => documentId,
+      ),
+    ).toEqual(['1', '2']);
+  });
+});
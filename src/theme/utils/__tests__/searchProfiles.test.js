@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  DEFAULT_SEARCH_PROFILE,
+  resolveSearchProfile,
+  toTypesenseSearchParameters,
+} from '../searchProfiles';
+
+const searchProfiles = {
+  default: {hitsPerPage: 20},
+  api: {
+    queryBy: [{field: 'api_signature', weight: 4}, 'content'],
+    paths: ['/api/'],
+  },
+  community: {
+    sortBy: ['item_priority:desc'],
+    docsPluginIds: ['community'],
+  },
+};
+
+describe('resolveSearchProfile', () => {
+  test('applies the default profile over the built-in one', () => {
+    expect(
+      resolveSearchProfile(searchProfiles, {
+        pathname: '/docs/intro',
+        baseUrl: '/',
+      }),
+    ).toEqual({...DEFAULT_SEARCH_PROFILE, hitsPerPage: 20});
+  });
+
+  test('selects profiles by docs plugin', () => {
+    expect(
+      resolveSearchProfile(searchProfiles, {
+        pathname: '/community/support',
+        baseUrl: '/',
+        docsPluginId: 'community',
+      }),
+    ).toEqual({
+      ...DEFAULT_SEARCH_PROFILE,
+      hitsPerPage: 20,
+      sortBy: ['item_priority:desc'],
+    });
+  });
+
+  test('selects profiles by route before docs plugin', () => {
+    expect(
+      resolveSearchProfile(
+        {...searchProfiles, api: {...searchProfiles.api, docsPluginIds: []}},
+        {pathname: '/fr/api/client', baseUrl: '/fr/', docsPluginId: 'community'},
+      ).queryBy,
+    ).toEqual(searchProfiles.api.queryBy);
+  });
+});
+
+describe('toTypesenseSearchParameters', () => {
+  test('built-in profile', () => {
+    expect(toTypesenseSearchParameters(DEFAULT_SEARCH_PROFILE)).toEqual({
+      query_by:
+        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content',
+      include_fields:
+        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content,anchor,url,type,id,docusaurus_tag,date,authors',
+      highlight_full_fields:
+        'hierarchy.lvl0,hierarchy.lvl1,hierarchy.lvl2,hierarchy.lvl3,hierarchy.lvl4,hierarchy.lvl5,hierarchy.lvl6,content',
+      group_by: 'url',
+      group_limit: 3,
+    });
+  });
+
+  test('weights, sort and page size', () => {
+    expect(
+      toTypesenseSearchParameters({
+        ...DEFAULT_SEARCH_PROFILE,
+        queryBy: [{field: 'keywords', weight: 4}, 'content'],
+        sortBy: ['_text_match:desc', 'item_priority:desc'],
+        hitsPerPage: 20,
+      }),
+    ).toMatchObject({
+      query_by: 'keywords,content',
+      query_by_weights: '4,1',
+      sort_by: '_text_match:desc,item_priority:desc',
+      per_page: 20,
+    });
+  });
+});
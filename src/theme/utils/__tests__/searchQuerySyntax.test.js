@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  getDocsTagAliases,
+  getSearchQueryParameters,
+  parseSearchQuery,
+  removeSearchQueryTerm,
+  withSearchQuerySyntax,
+} from '../searchQuerySyntax';
+
+const typesOf = (query) =>
+  parseSearchQuery(query).map(({type, value}) => [type, value]);
+
+const searchParameters = {
+  query_by: 'hierarchy.lvl0,hierarchy.lvl1,content,keywords',
+  query_by_weights: '1,2,3,4',
+  filter_by: 'language:=[`en`]',
+};
+
+describe('parseSearchQuery', () => {
+  test('words, phrases and exclusions', () => {
+    expect(typesOf('install "docker compose" -windows -"old api"')).toEqual([
+      ['word', 'install'],
+      ['phrase', 'docker compose'],
+      ['exclude', 'windows'],
+      ['exclude', 'old api'],
+    ]);
+  });
+
+  test('prefixes', () => {
+    expect(
+      typesOf('Version:2.x tag:docs in:title version:"2.0 beta" -tag:blog'),
+    ).toEqual([
+      ['version', '2.x'],
+      ['tag', 'docs'],
+      ['in', 'title'],
+      ['version', '2.0 beta'],
+      ['exclude', 'tag:blog'],
+    ]);
+  });
+
+  test('filter values with backticks', () => {
+    expect(typesOf('version:2.x` tag:"`" install')).toEqual([
+      ['version', '2.x'],
+      ['word', 'install'],
+    ]);
+  });
+
+  test('text looking like the syntax', () => {
+    expect(
+      typesOf('std::vector in: - "" "unclosed phrase http://example.com'),
+    ).toEqual([
+      ['word', 'std::vector'],
+      ['word', 'in:'],
+      ['word', '-'],
+      ['word', 'unclosed'],
+      ['word', 'phrase'],
+      ['word', 'http://example.com'],
+    ]);
+  });
+
+  test('term positions', () => {
+    const query = 'install version:2.x  docker';
+    const [, versionTerm] = parseSearchQuery(query);
+
+    expect(versionTerm).toMatchObject({start: 8, end: 19});
+    expect(removeSearchQueryTerm(query, versionTerm)).toBe('install docker');
+  });
+});
+
+describe('getSearchQueryParameters', () => {
+  test('q and filters', () => {
+    expect(
+      getSearchQueryParameters(
+        parseSearchQuery('install "docker compose" -windows version:2.x'),
+        searchParameters,
+      ),
+    ).toEqual({
+      q: 'install "docker compose" -windows',
+      filter_by: 'language:=[`en`] && version:=[`2.x`]',
+    });
+  });
+
+  test('queries made of filters', () => {
+    expect(
+      getSearchQueryParameters(parseSearchQuery('tag:docs'), {}, {
+        tagAliases: getDocsTagAliases({
+          default: {versions: [{name: 'current'}, {name: '1.x'}]},
+          api: {versions: [{name: 'current'}]},
+        }),
+      }),
+    ).toEqual({
+      q: '*',
+      filter_by:
+        'docusaurus_tag:=[`docs-default-current`,`docs-default-1.x`,`docs-api-current`]',
+    });
+  });
+
+  test('searched fields', () => {
+    const getQueryBy = (query) => {
+      const {query_by: queryBy, query_by_weights: queryByWeights} =
+        getSearchQueryParameters(parseSearchQuery(query), searchParameters);
+      return [queryBy, queryByWeights];
+    };
+
+    expect(getQueryBy('install in:title')).toEqual([
+      'hierarchy.lvl0,hierarchy.lvl1',
+      '1,2',
+    ]);
+    expect(getQueryBy('install in:content in:keywords')).toEqual([
+      'content,keywords',
+      '3,4',
+    ]);
+    expect(getQueryBy('install in:url')).toEqual([undefined, undefined]);
+  });
+});
+
+describe('withSearchQuerySyntax', () => {
+  test('translated searches', async () => {
+    const perform = jest.fn(async () => ({results: []}));
+
+    const {signal} = new AbortController();
+
+    await withSearchQuerySyntax({multiSearch: {perform}}).multiSearch.perform(
+      {searches: [{collection: 'docs', q: 'install in:content'}]},
+      {per_page: 10},
+      {signal},
+    );
+
+    expect(perform).toHaveBeenCalledWith(
+      {searches: [{collection: 'docs', q: 'install'}]},
+      {per_page: 10},
+      {signal},
+    );
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  getSearchResultKind,
+  getSearchResultDocsVersion,
+} from '../searchResultKinds';
+
+const allDocsData = {
+  default: {
+    versions: [
+      {name: 'current', label: 'Next', isLast: false},
+      {name: '2.0', label: '2.0', isLast: true},
+    ],
+  },
+  'api-reference': {
+    versions: [{name: 'current', label: 'Next', isLast: true}],
+  },
+  api: {
+    versions: [{name: 'current', label: 'Next', isLast: true}],
+  },
+};
+
+describe('getSearchResultKind', () => {
+  test('docs', () => {
+    expect(
+      getSearchResultKind({type: 'lvl2', docusaurus_tag: 'docs-default-2.0'}),
+    ).toBe('docs');
+  });
+
+  test('blog list', () => {
+    expect(
+      getSearchResultKind({type: 'lvl1', docusaurus_tag: 'blog_posts_list'}),
+    ).toBe('blog');
+  });
+
+  test('blog post', () => {
+    expect(
+      getSearchResultKind({
+        type: 'content',
+        docusaurus_tag: 'default',
+        date: '2022-08-01T00:00:00.000Z',
+      }),
+    ).toBe('blog');
+  });
+
+  test('page', () => {
+    expect(getSearchResultKind({type: 'lvl1', docusaurus_tag: 'default'})).toBe(
+      'page',
+    );
+    expect(getSearchResultKind({})).toBe('page');
+  });
+
+  test('custom type', () => {
+    expect(
+      getSearchResultKind({type: 'changelog', docusaurus_tag: 'default'}),
+    ).toBe('changelog');
+  });
+});
+
+describe('getSearchResultDocsVersion', () => {
+  test('versioned docs', () => {
+    expect(
+      getSearchResultDocsVersion(
+        {docusaurus_tag: 'docs-default-2.0'},
+        allDocsData,
+      ),
+    ).toEqual({
+      pluginId: 'default',
+      name: '2.0',
+      label: '2.0',
+      isLast: true,
+      isVersioned: true,
+    });
+  });
+
+  test('plugin id with dashes', () => {
+    expect(
+      getSearchResultDocsVersion(
+        {docusaurus_tag: 'docs-api-reference-current'},
+        allDocsData,
+      ),
+    ).toMatchObject({pluginId: 'api-reference', isVersioned: false});
+  });
+
+  test('unknown version', () => {
+    expect(
+      getSearchResultDocsVersion(
+        {docusaurus_tag: 'docs-default-1.0'},
+        allDocsData,
+      ),
+    ).toBeNull();
+  });
+
+  test('not a docs result', () => {
+    expect(
+      getSearchResultDocsVersion({docusaurus_tag: 'default'}, allDocsData),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment jsdom
+ */
+
+import {buildFilter} from '../filterBuilder';
+import {
+  getAvailableSearchScopes,
+  getSearchScopeFilter,
+  getSidebarSection,
+  readSearchScope,
+  writeSearchScope,
+} from '../searchScopes';
+
+const sidebar = [
+  {type: 'link', label: 'Intro', href: '/docs/'},
+  {
+    type: 'category',
+    label: 'Guides',
+    items: [
+      {type: 'link', label: 'Install', href: '/docs/guides/install'},
+      {
+        type: 'category',
+        label: 'Deployment',
+        href: '/docs/guides/deployment',
+        items: [{type: 'link', label: 'Docker', href: '/docs/guides/docker'}],
+      },
+    ],
+  },
+];
+
+const allDocsData = {
+  default: {versions: [{name: 'current'}, {name: '1.x'}]},
+};
+
+const searchContext = {
+  pageUrl: 'https://example.com/docs/guides/install',
+  section: 'Guides',
+  docsPluginId: 'default',
+};
+
+describe('getSidebarSection', () => {
+  test('innermost category', () => {
+    expect(getSidebarSection(sidebar, '/docs/guides/install/')).toBe('Guides');
+    expect(getSidebarSection(sidebar, '/docs/guides/docker')).toBe(
+      'Deployment',
+    );
+    expect(getSidebarSection(sidebar, '/docs/guides/deployment')).toBe(
+      'Deployment',
+    );
+  });
+
+  test('pages outside of the categories', () => {
+    expect(getSidebarSection(sidebar, '/docs/')).toBeNull();
+    expect(getSidebarSection(null, '/blog/')).toBeNull();
+  });
+});
+
+describe('getAvailableSearchScopes', () => {
+  test('scopes of the search context', () => {
+    expect(getAvailableSearchScopes(searchContext)).toEqual([
+      'page',
+      'section',
+      'docsPlugin',
+      'everywhere',
+    ]);
+    expect(
+      getAvailableSearchScopes({pageUrl: 'https://example.com/blog/'}),
+    ).toEqual(['page', 'everywhere']);
+    expect(getAvailableSearchScopes({})).toEqual(['everywhere']);
+  });
+});
+
+describe('getSearchScopeFilter', () => {
+  const getFilterBy = (searchScope) =>
+    buildFilter(getSearchScopeFilter(searchScope, searchContext, allDocsData));
+
+  test('filters', () => {
+    expect(getFilterBy('page')).toBe(
+      'url_without_anchor:=[`https://example.com/docs/guides/install`,`https://example.com/docs/guides/install/`]',
+    );
+    expect(getFilterBy('section')).toBe(
+      'docusaurus_tag:=[`docs-default-current`,`docs-default-1.x`] && hierarchy.lvl0:=[`Guides`]',
+    );
+    expect(getFilterBy('docsPlugin')).toBe(
+      'docusaurus_tag:=[`docs-default-current`,`docs-default-1.x`]',
+    );
+    expect(getFilterBy('everywhere')).toBe('');
+  });
+});
+
+describe('readSearchScope', () => {
+  test('remembered per namespace', () => {
+    writeSearchScope('docs:/:en', 'section');
+
+    expect(readSearchScope('docs:/:en')).toBe('section');
+    expect(readSearchScope('docs:/:fr')).toBe('everywhere');
+  });
+
+  test('unknown scopes', () => {
+    window.sessionStorage.setItem('__DOCSEARCH_SEARCH_SCOPE__docs:/:de', 'x');
+
+    expect(readSearchScope('docs:/:de')).toBe('everywhere');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const DEFAULT_COLLECTION = {weight: 1, typesenseSearchParameters: {}};
+
+// The collections searched, in display order. `typesenseCollectionName` comes
+// first unless it is listed in `collections`.
+export function getSearchCollections({typesenseCollectionName, collections = []}) {
+  const searchCollections = collections.some(
+    ({name}) => name === typesenseCollectionName,
+  )
+    ? collections
+    : [{name: typesenseCollectionName}, ...collections];
+
+  return searchCollections.map((collection) => ({
+    ...DEFAULT_COLLECTION,
+    ...collection,
+    isMain: collection.name === typesenseCollectionName,
+  }));
+}
+
+// The contextual and configured filters only apply to `typesenseCollectionName`:
+// the other collections get the rest of the parameters and their own ones
+export function getCollectionSearchParameters(
+  {name, isMain, typesenseSearchParameters},
+  {filter_by: filterBy, ...searchParameters},
+) {
+  return {
+    ...searchParameters,
+    ...(isMain && filterBy !== undefined && {filter_by: filterBy}),
+    ...typesenseSearchParameters,
+    collection: name,
+  };
+}
+
+// Merges the results adapted by the InstantSearch adapter, in the same order
+// as `collections`. Merged hits are sorted by their text match score times the
+// weight of their collection. Sectioned hits are listed per collection, under
+// the collection label when it has one: the modal shows its hits in sections
+// named after their `hierarchy.lvl0`.
+export function mergeSearchResults(results, collections, {mode}) {
+  const hits = results.flatMap(({hits: collectionHits = []}, index) => {
+    const {name, label, weight} = collections[index];
+
+    return collectionHits.map((hit) => ({
+      ...hit,
+      ...(mode === 'sectioned' &&
+        label && {
+          'hierarchy.lvl0': label,
+          _highlightResult: {
+            ...hit._highlightResult,
+            'hierarchy.lvl0': {value: label, matchLevel: 'none', matchedWords: []},
+          },
+        }),
+      __collection: name,
+      __score: (hit.text_match || 0) * weight,
+    }));
+  });
+
+  return {
+    hits:
+      mode === 'merged'
+        ? // `Array#sort()` is stable: equal scores keep the collections order
+          [...hits].sort((a, b) => b.__score - a.__score)
+        : hits,
+    nbHits: results.reduce((total, {nbHits = 0}) => total + nbHits, 0),
+  };
+}
+
+// Hits of other sites keep their absolute URL
+export function getSearchResultUrl(url, siteUrl) {
+  const {origin, pathname, hash} = new URL(url);
+
+  return origin === new URL(siteUrl).origin ? pathname + hash : url;
+}
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Filters of the search modal and the search page, so that they filter their
+// results the same way. The filters themselves are built by
+// `src/filterBuilder.js`, which the build uses too.
+
+import {and, buildFilter, eq} from '../../filterBuilder';
+
+export {
+  and,
+  buildFilter,
+  eq,
+  escapeFilterValue,
+  notEq,
+  or,
+  range,
+} from '../../filterBuilder';
+
+// Same filters as the Docusaurus contextual search: the current locale, and
+// the `docusaurus_tag` of the pages to search, e.g. `docs-default-current`
+export function getContextualFilter({locale, tags = []}) {
+  return and(locale && eq('language', locale), eq('docusaurus_tag', tags));
+}
+
+// Filter of the modal and the search page: the contextual filter, the
+// structured `searchFilter` and the `filter_by` of typesenseSearchParameters
+export function getSearchFilter({contextualFilter, searchFilter, filterBy}) {
+  return buildFilter(and(contextualFilter, searchFilter, filterBy));
+}
+
+// Adds `filterBy` to the searches of a client exposing Typesense's
+// `multiSearch.perform()`, e.g. to the facet filters of the InstantSearch
+// adapter, which otherwise replace the `filter_by` search parameter
+export function withSearchFilter(client, filterBy) {
+  if (!filterBy) {
+    return client;
+  }
+
+  return {
+    multiSearch: {
+      perform: ({searches, ...rest}, ...args) =>
+        client.multiSearch.perform(
+          {
+            ...rest,
+            searches: searches.map((search) => ({
+              ...search,
+              filter_by: buildFilter(and(filterBy, search.filter_by)),
+            })),
+          },
+          ...args,
+        ),
+    },
+  };
+}
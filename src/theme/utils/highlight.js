@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Typesense wraps the matches with `<mark>` tags by default, which indexed
+// content can contain too: the search requests use these markers instead,
+// and the highlighted values are only parsed into text and match offsets.
+// Also used by the pre-rendered search results, see src/staticSearchResults.js
+export const HIGHLIGHT_START_TAG = '__ts-highlight__';
+export const HIGHLIGHT_END_TAG = '__/ts-highlight__';
+
+export const DEFAULT_HIGHLIGHT_OPTIONS = {
+  tagName: 'span',
+  className: 'search-result-match',
+  fields: ['hierarchy', 'content'],
+};
+
+// `snippetLength` is the number of words kept around the matches of the
+// snippets
+export function getHighlightSearchParameters({snippetLength} = {}) {
+  return {
+    highlight_start_tag: HIGHLIGHT_START_TAG,
+    highlight_end_tag: HIGHLIGHT_END_TAG,
+    ...(snippetLength !== undefined && {
+      highlight_affix_num_tokens: snippetLength,
+    }),
+  };
+}
+
+// Splits a highlighted value into its text and the `[start, end[` offsets of
+// its matches in that text. An unclosed match ends with the text.
+export function parseHighlight(value) {
+  let text = '';
+  const ranges = [];
+
+  String(value === undefined || value === null ? '' : value)
+    .split(HIGHLIGHT_START_TAG)
+    .forEach((chunk, index) => {
+      if (index === 0) {
+        text += chunk.split(HIGHLIGHT_END_TAG).join('');
+        return;
+      }
+
+      const [match, ...rest] = chunk.split(HIGHLIGHT_END_TAG);
+      if (match) {
+        ranges.push([text.length, text.length + match.length]);
+      }
+      text += match + rest.join('');
+    });
+
+  return {text, ranges};
+}
+
+// Parts of the text, in order, with the matches flagged
+export function getHighlightParts({text, ranges}) {
+  const parts = [];
+  let offset = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > offset) {
+      parts.push({value: text.slice(offset, start), isHighlighted: false});
+    }
+    parts.push({value: text.slice(start, end), isHighlighted: true});
+    offset = end;
+  });
+
+  if (offset < text.length) {
+    parts.push({value: text.slice(offset), isHighlighted: false});
+  }
+
+  return parts;
+}
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// For the components rendering highlighted values as HTML, like the snippets
+// of the search modal: only the match tags are kept as markup
+export function toHighlightHtml(value, {tagName = 'mark'} = {}) {
+  return getHighlightParts(parseHighlight(value))
+    .map(({value: part, isHighlighted}) =>
+      isHighlighted
+        ? `<${tagName}>${escapeHtml(part)}</${tagName}>`
+        : escapeHtml(part),
+    )
+    .join('');
+}
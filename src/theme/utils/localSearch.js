@@ -0,0 +1,584 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// In-browser stand-in for the Typesense multi_search endpoint, querying the
+// index generated at build time. It only implements the subset of search
+// parameters used by SearchBar and SearchPage, and returns responses in the
+// Typesense format so they go through the same adapters as server responses.
+
+// Same defaults as Typesense
+const HIGHLIGHT_START_TAG = '<mark>';
+const HIGHLIGHT_END_TAG = '</mark>';
+const DEFAULT_PER_PAGE = 10;
+const DEFAULT_MAX_FACET_VALUES = 10;
+const SNIPPET_THRESHOLD = 30;
+const HIGHLIGHT_AFFIX_NUM_TOKENS = 4;
+const MIN_LEN_1TYPO = 4;
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(WORD_REGEX) || [];
+}
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+function isWithinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) {
+    return false;
+  }
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] !== b[j]) {
+      edits += 1;
+      if (edits > 1) {
+        return false;
+      }
+      if (a.length > b.length) {
+        j -= 1;
+      } else if (a.length < b.length) {
+        i -= 1;
+      }
+    }
+    i += 1;
+    j += 1;
+  }
+
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Quality of the best match of a query token among the words of a field:
+// 3 for an exact match, 2 for a prefix match, 1 for a match with one typo
+function matchToken(token, words, isPrefix) {
+  let quality = 0;
+  const matchedWords = [];
+
+  words.forEach((word) => {
+    let wordQuality = 0;
+    if (word === token) {
+      wordQuality = 3;
+    } else if (isPrefix && word.startsWith(token)) {
+      wordQuality = 2;
+    } else if (token.length >= MIN_LEN_1TYPO && isWithinOneEdit(token, word)) {
+      wordQuality = 1;
+    }
+
+    if (wordQuality > 0) {
+      quality = Math.max(quality, wordQuality);
+      matchedWords.push(word);
+    }
+  });
+
+  return {quality, matchedWords};
+}
+
+/* Filters */
+
+const FILTER_OPERATORS = ['&&', '||', '..'];
+
+function tokenizeFilter(filterBy) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < filterBy.length) {
+    const char = filterBy[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (FILTER_OPERATORS.includes(filterBy.slice(i, i + 2))) {
+      tokens.push(filterBy.slice(i, i + 2));
+      i += 2;
+    } else if ('()[],'.includes(char)) {
+      tokens.push(char);
+      i += 1;
+    } else if (char === ':') {
+      const [operator] = /^:(!=|>=|<=|=|>|<)?/.exec(filterBy.slice(i));
+      tokens.push(operator);
+      i += operator.length;
+    } else if (char === '`') {
+      // Like Typesense, quoted values end at the next backtick: they cannot
+      // contain backticks
+      const end = filterBy.indexOf('`', i + 1);
+      if (end === -1) {
+        throw new Error(`Invalid filter_by expression: ${filterBy}`);
+      }
+      tokens.push(filterBy.slice(i, end + 1));
+      i = end + 1;
+    } else {
+      // Unquoted values may contain spaces, they end at the next delimiter
+      let j = i;
+      while (
+        j < filterBy.length &&
+        !'()[],:`'.includes(filterBy[j]) &&
+        !FILTER_OPERATORS.includes(filterBy.slice(j, j + 2))
+      ) {
+        j += 1;
+      }
+      tokens.push(filterBy.slice(i, j).trim());
+      i = j;
+    }
+  }
+
+  return tokens;
+}
+
+function unquote(value) {
+  return value.startsWith('`') ? value.slice(1, -1) : value;
+}
+
+function compareValues(documentValue, operator, value, isExact) {
+  const documentValues = Array.isArray(documentValue)
+    ? documentValue
+    : [documentValue];
+
+  return documentValues.some((v) => {
+    if (v === undefined || v === null) {
+      return false;
+    }
+    if (value.range) {
+      return Number(v) >= value.range[0] && Number(v) <= value.range[1];
+    }
+
+    switch (operator) {
+      case '>':
+        return Number(v) > Number(value);
+      case '>=':
+        return Number(v) >= Number(value);
+      case '<':
+        return Number(v) < Number(value);
+      case '<=':
+        return Number(v) <= Number(value);
+      default:
+        return isExact
+          ? String(v) === value
+          : tokenize(v).join(' ').includes(tokenize(value).join(' '));
+    }
+  });
+}
+
+// Parses a Typesense `filter_by` expression into a document predicate.
+// Supports `:`, `:=`, `:!=`, numeric comparisons, `[a, b]` lists,
+// `[min..max]` ranges, backtick-quoted values, `&&`, `||` and parentheses.
+export function parseFilter(filterBy) {
+  if (!filterBy || !filterBy.trim()) {
+    return () => true;
+  }
+
+  const tokens = tokenizeFilter(filterBy);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseCondition() {
+    if (peek() === '(') {
+      next();
+      // eslint-disable-next-line no-use-before-define
+      const expression = parseOr();
+      next(); // )
+      return expression;
+    }
+
+    const field = unquote(next());
+    const operatorToken = next();
+    if (!operatorToken || !operatorToken.startsWith(':')) {
+      throw new Error(`Invalid filter_by expression: ${filterBy}`);
+    }
+    const operator = operatorToken.slice(1);
+    const isExact = operator !== '';
+    const isNegated = operator === '!=';
+
+    let values;
+    if (peek() === '[') {
+      next();
+      values = [];
+      while (peek() !== undefined && peek() !== ']') {
+        const token = next();
+        if (token !== ',') {
+          if (peek() === '..') {
+            next();
+            values.push({range: [Number(token), Number(next())]});
+          } else {
+            values.push(unquote(token));
+          }
+        }
+      }
+      next(); // ]
+    } else {
+      values = [unquote(next())];
+    }
+
+    return (document) => {
+      const matches = values.some((value) =>
+        compareValues(document[field], operator, value, isExact),
+      );
+      return isNegated ? !matches : matches;
+    };
+  }
+
+  function parseAnd() {
+    const conditions = [parseCondition()];
+    while (peek() === '&&') {
+      next();
+      conditions.push(parseCondition());
+    }
+    return (document) => conditions.every((condition) => condition(document));
+  }
+
+  function parseOr() {
+    const conditions = [parseAnd()];
+    while (peek() === '||') {
+      next();
+      conditions.push(parseAnd());
+    }
+    return (document) => conditions.some((condition) => condition(document));
+  }
+
+  return parseOr();
+}
+
+/* Highlighting */
+
+function highlightText(text, matchedWords, {startTag, endTag, affixNumTokens}) {
+  const value = String(text);
+  const words = [];
+
+  value.replace(WORD_REGEX, (word, index) => {
+    words.push({word, index, matched: matchedWords.has(word.toLowerCase())});
+    return word;
+  });
+
+  // Highlights the words in [from, to[, keeping the text between them
+  const highlight = (from, to) =>
+    words.slice(from, to).reduce((acc, {word, index, matched}, i, list) => {
+      const separatorEnd =
+        i + 1 < list.length ? list[i + 1].index : index + word.length;
+      return `${acc}${
+        matched ? `${startTag}${word}${endTag}` : word
+      }${value.slice(index + word.length, separatorEnd)}`;
+    }, '');
+
+  if (words.length === 0) {
+    return {value, snippet: value};
+  }
+
+  const highlightedValue = `${value.slice(0, words[0].index)}${highlight(
+    0,
+    words.length,
+  )}${value.slice(
+    words[words.length - 1].index + words[words.length - 1].word.length,
+  )}`;
+
+  if (words.length <= SNIPPET_THRESHOLD) {
+    return {value: highlightedValue, snippet: highlightedValue};
+  }
+
+  const firstMatch = Math.max(
+    words.findIndex(({matched}) => matched),
+    0,
+  );
+  const lastMatch = words.reduce(
+    (acc, {matched}, index) => (matched ? index : acc),
+    firstMatch,
+  );
+  // `affixNumTokens` words around the matches, in a snippet of
+  // SNIPPET_THRESHOLD words at most
+  const start = Math.max(firstMatch - affixNumTokens, 0);
+  const end = Math.min(
+    lastMatch + affixNumTokens + 1,
+    start + SNIPPET_THRESHOLD,
+    words.length,
+  );
+
+  return {value: highlightedValue, snippet: highlight(start, end)};
+}
+
+/* Search */
+
+function getFieldValue(document, field) {
+  const value = document[field];
+  return Array.isArray(value) ? value.join(' ') : value;
+}
+
+function scoreDocument(
+  document,
+  queryTokens,
+  queryBy,
+  weights,
+  highlightOptions,
+) {
+  let textMatch = 0;
+  const highlights = [];
+  const matchedTokens = new Set();
+
+  queryBy.forEach((field, fieldIndex) => {
+    const value = getFieldValue(document, field);
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const words = tokenize(value);
+    const fieldMatchedWords = new Set();
+
+    queryTokens.forEach((token, tokenIndex) => {
+      const {quality, matchedWords} = matchToken(
+        token,
+        words,
+        tokenIndex === queryTokens.length - 1,
+      );
+
+      if (quality > 0) {
+        matchedTokens.add(token);
+        matchedWords.forEach((word) => fieldMatchedWords.add(word));
+        textMatch += quality * 1000 + weights[fieldIndex];
+      }
+    });
+
+    if (fieldMatchedWords.size > 0) {
+      highlights.push({
+        field,
+        matched_tokens: [...fieldMatchedWords],
+        ...highlightText(value, fieldMatchedWords, highlightOptions),
+      });
+    }
+  });
+
+  return {textMatch, highlights, matchedTokensCount: matchedTokens.size};
+}
+
+function pickFields(document, includeFields, excludeFields) {
+  return Object.entries(document).reduce((acc, [field, value]) => {
+    if (
+      (includeFields.length === 0 || includeFields.includes(field)) &&
+      !excludeFields.includes(field)
+    ) {
+      acc[field] = value;
+    }
+    return acc;
+  }, {});
+}
+
+function countFacets(documents, facetBy, maxFacetValues) {
+  return facetBy.map((field) => {
+    const counts = {};
+
+    documents.forEach((document) => {
+      const value = document[field];
+      (Array.isArray(value) ? value : [value])
+        .filter((v) => v !== undefined && v !== null)
+        .forEach((v) => {
+          counts[v] = (counts[v] || 0) + 1;
+        });
+    });
+
+    return {
+      field_name: field,
+      counts: Object.entries(counts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, maxFacetValues)
+        .map(([value, count]) => ({value, count, highlighted: value})),
+      stats: {},
+    };
+  });
+}
+
+// Runs a single Typesense search request against a list of documents
+export function searchDocuments(documents, params) {
+  const startTime = Date.now();
+  const q = params.q === undefined || params.q === '*' ? '' : params.q;
+  const queryTokens = tokenize(q);
+  const queryBy = splitList(params.query_by);
+  const queryByWeights = splitList(params.query_by_weights).map(Number);
+  const weights = queryBy.map((_, i) =>
+    queryByWeights.length > 0 ? queryByWeights[i] || 0 : queryBy.length - i,
+  );
+  const filter = parseFilter(params.filter_by);
+  const highlightOptions = {
+    startTag: params.highlight_start_tag || HIGHLIGHT_START_TAG,
+    endTag: params.highlight_end_tag || HIGHLIGHT_END_TAG,
+    affixNumTokens:
+      params.highlight_affix_num_tokens === undefined
+        ? HIGHLIGHT_AFFIX_NUM_TOKENS
+        : Number(params.highlight_affix_num_tokens),
+  };
+  const perPage =
+    params.per_page === undefined ? DEFAULT_PER_PAGE : Number(params.per_page);
+  const page = Number(params.page || 1);
+
+  const filteredDocuments = documents.filter(filter);
+  let scoredDocuments = filteredDocuments.map((document) => ({
+    document,
+    ...scoreDocument(document, queryTokens, queryBy, weights, highlightOptions),
+  }));
+
+  if (queryTokens.length > 0) {
+    const allTokensMatched = scoredDocuments.filter(
+      ({matchedTokensCount}) => matchedTokensCount === queryTokens.length,
+    );
+    // Like Typesense, drop query tokens when nothing matches all of them
+    scoredDocuments =
+      allTokensMatched.length > 0
+        ? allTokensMatched
+        : scoredDocuments.filter(({matchedTokensCount}) => matchedTokensCount);
+  }
+
+  scoredDocuments.sort(
+    (a, b) =>
+      b.textMatch - a.textMatch ||
+      (b.document.item_priority || 0) - (a.document.item_priority || 0),
+  );
+
+  const includeFields = splitList(params.include_fields);
+  const excludeFields = splitList(params.exclude_fields);
+  const toHit = ({document, textMatch, highlights}) => ({
+    document: pickFields(document, includeFields, excludeFields),
+    highlights,
+    text_match: textMatch,
+  });
+
+  const response = {
+    facet_counts: countFacets(
+      scoredDocuments.map(({document}) => document),
+      splitList(params.facet_by),
+      Number(params.max_facet_values || DEFAULT_MAX_FACET_VALUES),
+    ),
+    out_of: documents.length,
+    page,
+    request_params: {
+      collection_name: params.collection,
+      per_page: perPage,
+      q: params.q,
+    },
+  };
+  const pageStart = (page - 1) * perPage;
+
+  if (params.group_by) {
+    const groupBy = splitList(params.group_by);
+    const groupLimit = Number(params.group_limit || 3);
+    const groups = new Map();
+
+    scoredDocuments.forEach((scoredDocument) => {
+      const groupKey = groupBy.map((field) => scoredDocument.document[field]);
+      const key = JSON.stringify(groupKey);
+      if (!groups.has(key)) {
+        groups.set(key, {group_key: groupKey, hits: []});
+      }
+      const group = groups.get(key);
+      if (group.hits.length < groupLimit) {
+        group.hits.push(toHit(scoredDocument));
+      }
+    });
+
+    return {
+      ...response,
+      found: groups.size,
+      grouped_hits: [...groups.values()].slice(pageStart, pageStart + perPage),
+      search_time_ms: Date.now() - startTime,
+    };
+  }
+
+  return {
+    ...response,
+    found: scoredDocuments.length,
+    hits: scoredDocuments.slice(pageStart, pageStart + perPage).map(toHit),
+    search_time_ms: Date.now() - startTime,
+  };
+}
+
+/* Index loading */
+
+// The index is stored as a list of field names plus one array of values per
+// document, which keeps the generated file small
+export function decodeLocalIndex({fields, documents}) {
+  return documents.map((values, i) =>
+    values.reduce(
+      (document, value, j) => {
+        if (value !== null) {
+          // eslint-disable-next-line no-param-reassign
+          document[fields[j]] = value;
+        }
+        return document;
+      },
+      {id: String(i)},
+    ),
+  );
+}
+
+const localIndexes = new Map();
+
+function loadLocalIndex(indexUrl) {
+  if (!localIndexes.has(indexUrl)) {
+    localIndexes.set(
+      indexUrl,
+      fetch(indexUrl)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(
+              `Loading the search index failed: ${response.status} ${response.statusText}`,
+            );
+          }
+          return response.json();
+        })
+        .then(decodeLocalIndex)
+        .catch((err) => {
+          // Allow retrying on the next search
+          localIndexes.delete(indexUrl);
+          throw err;
+        }),
+    );
+  }
+
+  return localIndexes.get(indexUrl);
+}
+
+// Exposes the same `multiSearch.perform()` method as the Typesense client
+export function createLocalSearchClient(indexUrl) {
+  return {
+    multiSearch: {
+      perform: async ({searches}, commonParams = {}) => {
+        const documents = await loadLocalIndex(indexUrl);
+
+        return {
+          results: searches.map((search) =>
+            searchDocuments(documents, {...commonParams, ...search}),
+          ),
+        };
+      },
+    },
+  };
+}
+
+// Switches to the fallback client for good once the primary one cannot be
+// reached. HTTP errors (bad request, unauthorized...) are not network
+// failures and are rethrown as is.
+export function createFallbackSearchClient(primaryClient, fallbackClient) {
+  let activeClient = primaryClient;
+
+  return {
+    multiSearch: {
+      perform: (...args) =>
+        activeClient.multiSearch.perform(...args).catch((err) => {
+          if (
+            activeClient === fallbackClient ||
+            (err.httpStatus && err.httpStatus < 500)
+          ) {
+            throw err;
+          }
+
+          activeClient = fallbackClient;
+          return fallbackClient.multiSearch.perform(...args);
+        }),
+    },
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export const PAGINATION_ELLIPSIS = 'ellipsis';
+
+// Zero-based page numbers to display: the first and last pages, and the pages
+// around the current one, with ellipses in the gaps
+export function getPageNumbers({currentPage, totalPages, padding = 2}) {
+  const pageNumbers = [];
+
+  for (let page = 0; page < totalPages; page += 1) {
+    if (
+      page === 0 ||
+      page === totalPages - 1 ||
+      Math.abs(page - currentPage) <= padding
+    ) {
+      pageNumbers.push(page);
+    } else if (pageNumbers[pageNumbers.length - 1] !== PAGINATION_ELLIPSIS) {
+      pageNumbers.push(PAGINATION_ELLIPSIS);
+    }
+  }
+
+  return pageNumbers;
+}
+
+// The page size options always include the default page size
+export function getHitsPerPageOptions(hitsPerPageOptions, defaultHitsPerPage) {
+  return [...new Set([defaultHitsPerPage, ...hitsPerPageOptions])].sort(
+    (a, b) => a - b,
+  );
+}
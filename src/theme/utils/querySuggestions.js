@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Hierarchy levels used as suggestions when there is no query suggestions
+// collection: page and section titles make for meaningful queries
+const TITLE_FIELDS = ['hierarchy.lvl1', 'hierarchy.lvl2', 'hierarchy.lvl3'];
+
+function normalize(value) {
+  return value.trim().toLowerCase();
+}
+
+function uniqueSuggestions(query, values, limit) {
+  const seen = new Set([normalize(query)]);
+
+  return values
+    .filter((value) => {
+      if (!value || seen.has(normalize(value))) {
+        return false;
+      }
+      seen.add(normalize(value));
+      return true;
+    })
+    .slice(0, limit);
+}
+
+// Popular queries collection, as populated by a Typesense analytics rule:
+// documents have the query in `q` and its number of occurrences in `count`
+function searchSuggestionsCollection({client, query, collectionName, limit}) {
+  return client.multiSearch
+    .perform({
+      searches: [
+        {
+          collection: collectionName,
+          q: query,
+          query_by: 'q',
+          sort_by: '_text_match:desc,count:desc',
+          // Fetch more to make up for the query itself and duplicates
+          per_page: limit + 1,
+        },
+      ],
+    })
+    .then(({results: [result]}) =>
+      result.error || !result.hits
+        ? []
+        : result.hits.map(({document}) => document.q),
+    );
+}
+
+// More lenient than the search itself, with typos allowed in shorter words
+// and query words dropped, to find the titles the query was meant to match
+function searchTitles({client, query, typesenseCollectionName, filterBy, limit}) {
+  return client.multiSearch
+    .perform({
+      searches: [
+        {
+          collection: typesenseCollectionName,
+          q: query,
+          query_by: TITLE_FIELDS.join(','),
+          include_fields: TITLE_FIELDS.join(','),
+          filter_by: filterBy,
+          num_typos: 2,
+          min_len_1typo: 3,
+          min_len_2typo: 5,
+          drop_tokens_threshold: limit * 2,
+          per_page: limit * 2,
+        },
+      ],
+    })
+    .then(({results: [result]}) =>
+      result.error || !result.hits
+        ? []
+        : result.hits.map(({document, highlights = []}) => {
+            const matchedField = highlights
+              .map(({field}) => field)
+              .find((field) => TITLE_FIELDS.includes(field));
+
+            return document[matchedField || TITLE_FIELDS[0]];
+          }),
+    );
+}
+
+// Suggests queries related to one that returned no hits, from the query
+// suggestions collection when there is one, or from the titles of the docs
+export function getQuerySuggestions({
+  client,
+  query,
+  collectionName,
+  typesenseCollectionName,
+  filterBy,
+  limit,
+}) {
+  const fromCollection = collectionName
+    ? searchSuggestionsCollection({client, query, collectionName, limit}).catch(
+        () => [],
+      )
+    : Promise.resolve([]);
+
+  return fromCollection.then((values) => {
+    const suggestions = uniqueSuggestions(query, values, limit);
+
+    if (suggestions.length > 0) {
+      return suggestions;
+    }
+
+    return searchTitles({
+      client,
+      query,
+      typesenseCollectionName,
+      filterBy,
+      limit,
+    }).then((titles) => uniqueSuggestions(query, titles, limit));
+  });
+}
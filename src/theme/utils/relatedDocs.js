@@ -0,0 +1,15 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Searches of `@theme/TypesenseRelatedDocs`, shared with the build, which
+// pre-generates them, see `src/relatedDocsSearch.js`
+
+export {
+  getRelatedDocs,
+  getRelatedDocsPageKey,
+  getRelatedDocsSearchParameters,
+} from '../../relatedDocsSearch';
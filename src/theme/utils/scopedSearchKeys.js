@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// The scope of the search key of the current page, among the scopes of the
+// `scopedSearchKeys` theme option. Scopes listing `paths` win over the ones
+// listing `docsPluginIds`, and a scope listing neither is used for the other
+// pages. Without scopes, the `typesenseServerConfig` key is used.
+export function resolveSearchKeyScope(
+  scopedSearchKeys,
+  {pathname, docsPluginId},
+) {
+  const scope =
+    scopedSearchKeys.find(({paths}) =>
+      paths.some((path) => pathname.startsWith(path)),
+    ) ||
+    scopedSearchKeys.find(
+      ({docsPluginIds}) =>
+        docsPluginId !== undefined && docsPluginIds.includes(docsPluginId),
+    ) ||
+    scopedSearchKeys.find(
+      ({paths, docsPluginIds}) =>
+        paths.length === 0 && docsPluginIds.length === 0,
+    );
+
+  return scope ? scope.name : null;
+}
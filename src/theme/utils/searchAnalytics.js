@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Client-side event bus shared by the search modal and the search page.
+// Events are plain objects with a `type` among `search`, `noResults`,
+// `resultClick` and `searchPageView`, plus the `query` and the `source`
+// (`modal` or `page`) they come from.
+
+const listeners = new Set();
+
+export function addSearchEventListener(listener) {
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export function emitSearchEvent(event) {
+  return Promise.all(
+    [...listeners].map((listener) =>
+      // A failing reporter should never break the search UI, and reporters
+      // handle their own failures
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch(() => {}),
+    ),
+  );
+}
+
+const USER_ID_STORAGE_KEY = 'docusaurus-theme-search-typesense.userId';
+
+// Typesense needs a user id to aggregate events, an anonymous one is enough
+function getAnonymousUserId() {
+  try {
+    let userId = window.localStorage.getItem(USER_ID_STORAGE_KEY);
+    if (!userId) {
+      userId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+      window.localStorage.setItem(USER_ID_STORAGE_KEY, userId);
+    }
+    return userId;
+  } catch (err) {
+    // Storage can be disabled by the browser
+    return 'anonymous';
+  }
+}
+
+// Sends result clicks to the Typesense analytics events endpoint. Popular and
+// no hits queries are recorded by the server itself from the search requests,
+// through the analytics rules of the collection.
+export function createTypesenseReporter({typesenseServerConfig, clickEventName}) {
+  const {
+    nodes: [{protocol, host, port, path = ''}],
+    apiKey,
+  } = typesenseServerConfig;
+  const eventsUrl = `${protocol}://${host}:${port}${path}/analytics/events`;
+
+  return (event) => {
+    if (event.type !== 'resultClick' || !event.documentId) {
+      return undefined;
+    }
+
+    return fetch(eventsUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-TYPESENSE-API-KEY': apiKey,
+      },
+      body: JSON.stringify({
+        type: 'click',
+        name: clickEventName,
+        data: {
+          q: event.query,
+          doc_id: event.documentId,
+          position: event.position,
+          user_id: getAnonymousUserId(),
+        },
+      }),
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Typesense responded with HTTP ${response.status}`);
+      }
+    });
+  };
+}
+
+// Event names follow the Google Analytics 4 recommended events when there is
+// one for the same interaction
+const GOOGLE_ANALYTICS_EVENTS = {
+  search: ({query, nbHits}) => [
+    'search',
+    {search_term: query, results_count: nbHits},
+  ],
+  noResults: ({query}) => ['search_no_results', {search_term: query}],
+  resultClick: ({query, position, url}) => [
+    'select_search_result',
+    {search_term: query, position, link_url: url},
+  ],
+  searchPageView: ({query}) => ['view_search_results', {search_term: query}],
+};
+
+// Relies on the `gtag()` function installed by `@docusaurus/plugin-google-gtag`
+export function createGoogleAnalyticsReporter() {
+  return (event) => {
+    const getEventParams = GOOGLE_ANALYTICS_EVENTS[event.type];
+
+    if (!getEventParams || typeof window.gtag !== 'function') {
+      return;
+    }
+
+    const [name, params] = getEventParams(event);
+    window.gtag('event', name, {...params, search_source: event.source});
+  };
+}
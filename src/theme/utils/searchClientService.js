@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Wraps a client exposing Typesense's `multiSearch.perform()`, e.g. the ones
+// of `@theme/hooks/useTypesenseSearchClient`, with what both the modal and
+// the search page need: identical in-flight searches are sent once, results
+// are cached in memory, searches time out, callers can stop waiting for the
+// searches they no longer need, and failures are reported as `SearchError`s.
+// The requests sent to the server are never cancelled.
+
+export const DEFAULT_SEARCH_TIMEOUT = 10000;
+const DEFAULT_CACHE_SIZE = 50;
+
+// `type` is one of `network`, `unauthorized`, `timeout` or `server`
+export class SearchError extends Error {
+  constructor(type, cause) {
+    super(`Search failed: ${cause}`);
+    this.name = 'SearchError';
+    this.type = type;
+    this.cause = cause;
+  }
+}
+
+export const isAbortError = (err) => !!err && err.name === 'AbortError';
+
+function createAbortError() {
+  const err = new Error('The search was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Typesense client errors carry the HTTP status of the response, and Axios
+// errors the code of the request failure. Errors without response, like
+// `fetch()` ones, are network failures.
+export function getSearchErrorType(err) {
+  if (err.httpStatus === 401 || err.httpStatus === 403) {
+    return 'unauthorized';
+  }
+
+  if (err.code === 'ECONNABORTED' || /timeout/i.test(err.message)) {
+    return 'timeout';
+  }
+
+  return err.httpStatus ? 'server' : 'network';
+}
+
+function withTimeout(promise, timeout) {
+  let timeoutId;
+
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timeoutId = setTimeout(
+        () =>
+          reject(new SearchError('timeout', `no response after ${timeout}ms`)),
+        timeout,
+      );
+    }),
+  ]).finally(() => clearTimeout(timeoutId));
+}
+
+// Only the caller is detached from an aborted search: it keeps running for the
+// other callers waiting for it, and still fills the cache
+function withAbortSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort);
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export function createSearchClientService(
+  client,
+  {timeout = DEFAULT_SEARCH_TIMEOUT, cacheSize = DEFAULT_CACHE_SIZE} = {},
+) {
+  // Ordered from the least to the most recently used
+  const cache = new Map();
+  const pendingSearches = new Map();
+
+  function perform(searchRequests, commonParams = {}, {signal} = {}) {
+    const key = JSON.stringify([searchRequests, commonParams]);
+
+    if (cache.has(key)) {
+      const response = cache.get(key);
+      cache.delete(key);
+      cache.set(key, response);
+      return withAbortSignal(Promise.resolve(response), signal);
+    }
+
+    if (!pendingSearches.has(key)) {
+      pendingSearches.set(
+        key,
+        withTimeout(
+          new Promise((resolve) => {
+            resolve(client.multiSearch.perform(searchRequests, commonParams));
+          }),
+          timeout,
+        )
+          .then((response) => {
+            // The failed searches of a multi-search are searched again
+            if (!response.results.some(({error}) => error)) {
+              cache.set(key, response);
+              if (cache.size > cacheSize) {
+                cache.delete(cache.keys().next().value);
+              }
+            }
+            return response;
+          })
+          .catch((err) => {
+            throw err instanceof SearchError
+              ? err
+              : new SearchError(getSearchErrorType(err), err);
+          })
+          .finally(() => pendingSearches.delete(key)),
+      );
+    }
+
+    return withAbortSignal(pendingSearches.get(key), signal);
+  }
+
+  return {
+    multiSearch: {perform},
+    clearCache: () => cache.clear(),
+  };
+}
+
+// Client of the InstantSearch adapter. Aborting `signal` does not cancel the
+// request, it only drops its response: the searches reject with an
+// `AbortError`, which the Algolia helper emits as an `error` event for the
+// listeners to ignore, see `isAbortError()`
+export function withAbortSignalClient(searchClientService, signal) {
+  return {
+    multiSearch: {
+      perform: (searchRequests, commonParams) =>
+        searchClientService.multiSearch.perform(searchRequests, commonParams, {
+          signal,
+        }),
+    },
+  };
+}
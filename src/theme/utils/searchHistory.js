@@ -0,0 +1,152 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Same keys as the DocSearch modal, which appends its collection name to them:
+// the modal is given the namespace instead, see `SearchModal` of SearchBar
+const RECENT_SEARCHES_KEY_PREFIX = '__DOCSEARCH_RECENT_SEARCHES__';
+const FAVORITE_SEARCHES_KEY_PREFIX = '__DOCSEARCH_FAVORITE_SEARCHES__';
+// Only used by the search page, the modal does not remember queries
+const RECENT_QUERIES_KEY_PREFIX = '__DOCSEARCH_RECENT_QUERIES__';
+
+// Same limits as the DocSearch modal
+const RECENT_SEARCHES_LIMIT = 7;
+const FAVORITE_SEARCHES_LIMIT = 10;
+const RECENT_QUERIES_LIMIT = 5;
+
+// Sites with different base URLs or locales can share the same origin
+export function getSearchHistoryNamespace({collectionName, baseUrl, locale}) {
+  return `${collectionName}:${baseUrl}:${locale}`;
+}
+
+function readItems(storage, key) {
+  try {
+    const value = storage.getItem(key);
+    return value ? JSON.parse(value) : [];
+  } catch (err) {
+    // Storage can be disabled by the browser, or hold unexpected values
+    return [];
+  }
+}
+
+function writeItems(storage, key, items) {
+  try {
+    storage.setItem(key, JSON.stringify(items));
+  } catch (err) {
+    // Storage can be disabled by the browser, or be full
+  }
+}
+
+// Stored hits are stripped the same way the modal does it
+function toStoredHit({_highlightResult, _snippetResult, ...hit}) {
+  return hit;
+}
+
+function addItem(items, item, isSameItem, limit) {
+  return [item, ...items.filter((x) => !isSameItem(x, item))].slice(0, limit);
+}
+
+const isSameHit = (a, b) => a.objectID === b.objectID;
+const isSameQuery = (a, b) => a === b;
+
+// Accessing `localStorage` throws when the browser blocks it
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return {getItem: () => null, setItem: () => {}};
+  }
+}
+
+export function createSearchHistory(namespace, storage = getLocalStorage()) {
+  const recentSearchesKey = `${RECENT_SEARCHES_KEY_PREFIX}${namespace}`;
+  const favoriteSearchesKey = `${FAVORITE_SEARCHES_KEY_PREFIX}${namespace}`;
+  const recentQueriesKey = `${RECENT_QUERIES_KEY_PREFIX}${namespace}`;
+
+  const getFavoriteSearches = () => readItems(storage, favoriteSearchesKey);
+  const isFavoriteSearch = (hit) =>
+    getFavoriteSearches().some((x) => isSameHit(x, hit));
+
+  return {
+    keys: [recentSearchesKey, favoriteSearchesKey, recentQueriesKey],
+
+    getRecentQueries: () => readItems(storage, recentQueriesKey),
+    addRecentQuery(query) {
+      const trimmedQuery = query.trim();
+      if (!trimmedQuery) {
+        return;
+      }
+
+      writeItems(
+        storage,
+        recentQueriesKey,
+        addItem(
+          readItems(storage, recentQueriesKey),
+          trimmedQuery,
+          isSameQuery,
+          RECENT_QUERIES_LIMIT,
+        ),
+      );
+    },
+
+    getRecentSearches: () => readItems(storage, recentSearchesKey),
+    addRecentSearch(hit) {
+      // Like the modal, favorite hits are not added to the recent ones
+      if (isFavoriteSearch(hit)) {
+        return;
+      }
+
+      writeItems(
+        storage,
+        recentSearchesKey,
+        addItem(
+          readItems(storage, recentSearchesKey),
+          toStoredHit(hit),
+          isSameHit,
+          RECENT_SEARCHES_LIMIT,
+        ),
+      );
+    },
+
+    getFavoriteSearches,
+    isFavoriteSearch,
+    toggleFavoriteSearch(hit) {
+      const favoriteSearches = getFavoriteSearches();
+
+      if (isFavoriteSearch(hit)) {
+        writeItems(
+          storage,
+          favoriteSearchesKey,
+          favoriteSearches.filter((x) => !isSameHit(x, hit)),
+        );
+        return;
+      }
+
+      writeItems(
+        storage,
+        favoriteSearchesKey,
+        addItem(
+          favoriteSearches,
+          toStoredHit(hit),
+          isSameHit,
+          FAVORITE_SEARCHES_LIMIT,
+        ),
+      );
+      // A hit is either favorite or recent, as in the modal
+      writeItems(
+        storage,
+        recentSearchesKey,
+        readItems(storage, recentSearchesKey).filter((x) => !isSameHit(x, hit)),
+      );
+    },
+
+    // Favorite searches are pinned on purpose: they are kept
+    clearHistory() {
+      writeItems(storage, recentSearchesKey, []);
+      writeItems(storage, recentQueriesKey, []);
+    },
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {SearchResponseAdapter} from 'typesense-instantsearch-adapter/lib/SearchResponseAdapter';
+import {getSearchResultUrl} from '@theme/utils/federatedSearch';
+
+// Result of a Typesense search in the shape of the InstantSearch adapter
+// results, like the ones of the search page. Highlighted values keep the
+// `<mark>` tags of the indexed content.
+export function adaptSearchResult(result) {
+  return new SearchResponseAdapter(
+    result,
+    {params: {highlightPreTag: '<mark>', highlightPostTag: '</mark>'}},
+    {geoLocationField: ''},
+  ).adapt();
+}
+
+// Search result of the search page, from an adapted hit. Its highlighted
+// values are rendered as text by `SearchResultHighlight` from
+// `@theme/SearchResultItem`. Hits of other sites, from other collections than
+// the main one, keep their origin.
+export function getSearchResultItem(hit, {position, siteUrl, isMain = true}) {
+  const {objectID, url, _highlightResult = {}, _snippetResult = {}} = hit;
+  const {pathname, hash} = new URL(url);
+  const titles = [0, 1, 2, 3, 4, 5, 6]
+    .map((lvl) => _highlightResult[`hierarchy.lvl${lvl}`])
+    .map((highlightResult) => (highlightResult ? highlightResult.value : null))
+    .filter((value) => value);
+
+  return {
+    title: titles.pop(),
+    url: isMain ? pathname + hash : getSearchResultUrl(url, siteUrl),
+    summary: _snippetResult.content ? `${_snippetResult.content.value}...` : '',
+    // The full content, shown by the preview pane
+    content: _highlightResult.content ? _highlightResult.content.value : '',
+    breadcrumbs: titles,
+    documentId: objectID,
+    position,
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const BLOCK_SELECTOR = `${HEADING_SELECTOR}, p, li, pre, td, th, dt, dd`;
+
+// The hits of a section are returned together by the `group_by: 'url'`
+// grouping of the search profiles: the results of the previewed one
+export function getSectionItems(items, url) {
+  return items.filter((item) => item.url === url);
+}
+
+const getHeadingLevel = (element) =>
+  element.matches(HEADING_SELECTOR) ? Number(element.tagName[1]) : null;
+
+// Docusaurus appends a hash link with a zero-width space to the headings
+const getText = (element) =>
+  element.textContent.replace(/\u200b/g, '').replace(/\s+/g, ' ').trim();
+
+function getBlock(element) {
+  if (element.matches('pre')) {
+    return {kind: 'code', text: element.textContent.replace(/\s+$/, '')};
+  }
+
+  return {
+    kind: element.matches(HEADING_SELECTOR) ? 'heading' : 'text',
+    text: getText(element),
+  };
+}
+
+// The innermost blocks of an element, e.g. the paragraphs of a list item
+// rather than the list item
+function getBlocks(element) {
+  const elements = element.matches(BLOCK_SELECTOR)
+    ? [element]
+    : Array.from(element.querySelectorAll(BLOCK_SELECTOR));
+
+  return elements
+    .filter(
+      (blockElement) =>
+        blockElement.matches('pre') ||
+        !blockElement.querySelector(BLOCK_SELECTOR),
+    )
+    .map(getBlock)
+    .filter(({text}) => text);
+}
+
+// Blocks of text of a built page, from the heading with the `anchor` id to the
+// next heading of the same or a higher level, or from the start of the page
+// content to its first section without `anchor`. Null when the page doesn't
+// have such a section, e.g. once the docs changed.
+export function getPageSection(document, anchor) {
+  let title;
+  let element;
+  let isSectionEnd;
+
+  if (anchor) {
+    const heading = document.getElementById(anchor);
+    const level = heading && getHeadingLevel(heading);
+    if (!level) {
+      return null;
+    }
+
+    title = getText(heading);
+    element = heading.nextElementSibling;
+    isSectionEnd = (sibling) => {
+      const siblingLevel = getHeadingLevel(sibling);
+      return siblingLevel !== null && siblingLevel <= level;
+    };
+  } else {
+    const container =
+      document.querySelector('.markdown') ||
+      document.querySelector('article') ||
+      document.querySelector('main');
+    const heading = document.querySelector('h1');
+    if (!container) {
+      return null;
+    }
+
+    title = heading ? getText(heading) : '';
+    element = container.firstElementChild;
+    isSectionEnd = (sibling) =>
+      sibling.matches(HEADING_SELECTOR) && !sibling.matches('h1');
+  }
+
+  const blocks = [];
+  for (
+    ;
+    element && !isSectionEnd(element);
+    element = element.nextElementSibling
+  ) {
+    if (!element.matches('h1, header')) {
+      blocks.push(...getBlocks(element));
+    }
+  }
+
+  return {title, blocks};
+}
+
+const pageDocuments = new Map();
+
+// Built pages of the site, parsed once per session. Failed requests are
+// retried on the next preview.
+export function fetchPageDocument(pathname) {
+  if (!pageDocuments.has(pathname)) {
+    pageDocuments.set(
+      pathname,
+      fetch(pathname)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+          }
+
+          return response.text();
+        })
+        .then((html) => new DOMParser().parseFromString(html, 'text/html'))
+        .catch((err) => {
+          pageDocuments.delete(pathname);
+          throw err;
+        }),
+    );
+  }
+
+  return pageDocuments.get(pathname);
+}
@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export const HIERARCHY_FIELDS = [0, 1, 2, 3, 4, 5, 6].map((lvl) => `hierarchy.lvl${lvl}`);
+
+// Fields of the DocSearch scraper collection schema, searched by both the
+// modal and the search page when no profile overrides them
+export const DEFAULT_SEARCH_PROFILE = {
+  queryBy: [...HIERARCHY_FIELDS, 'content'],
+  // The Docusaurus tag, date and authors pick the result renderer and its
+  // details, see `@theme/SearchResultItem`
+  includeFields: [
+    ...HIERARCHY_FIELDS,
+    'content',
+    'anchor',
+    'url',
+    'type',
+    'id',
+    'docusaurus_tag',
+    'date',
+    'authors',
+  ],
+  highlightFullFields: [...HIERARCHY_FIELDS, 'content'],
+  groupBy: 'url',
+  groupLimit: 3,
+};
+
+// The search page shows more results than the modal by default
+export const DEFAULT_SEARCH_PAGE_HITS_PER_PAGE = 15;
+
+function matchesPath(path, {pathname, baseUrl}) {
+  return pathname.startsWith(`${baseUrl}${path.replace(/^\//, '')}`);
+}
+
+// Profiles listing `paths` win over the ones listing `docsPluginIds`, and the
+// selected profile is applied over the `default` one
+export function resolveSearchProfile(
+  searchProfiles,
+  {pathname, baseUrl, docsPluginId},
+) {
+  const namedProfiles = Object.entries(searchProfiles)
+    .filter(([name]) => name !== 'default')
+    .map(([, profile]) => profile);
+  const selectedProfile =
+    namedProfiles.find(({paths = []}) =>
+      paths.some((path) => matchesPath(path, {pathname, baseUrl})),
+    ) ||
+    namedProfiles.find(
+      ({docsPluginIds = []}) =>
+        docsPluginId !== undefined && docsPluginIds.includes(docsPluginId),
+    );
+  const {docsPluginIds, paths, ...profile} = {
+    ...DEFAULT_SEARCH_PROFILE,
+    ...searchProfiles.default,
+    ...selectedProfile,
+  };
+
+  return profile;
+}
+
+// `queryBy` items are field names, or fields with a weight. Typesense needs a
+// weight for every field once one is set: the others get a weight of 1.
+export function toTypesenseSearchParameters({
+  queryBy,
+  includeFields,
+  highlightFullFields,
+  sortBy,
+  groupBy,
+  groupLimit,
+  hitsPerPage,
+}) {
+  const queryByFields = queryBy.map((field) =>
+    typeof field === 'string' ? {field} : field,
+  );
+  const hasWeights = queryByFields.some(({weight}) => weight !== undefined);
+
+  return {
+    query_by: queryByFields.map(({field}) => field).join(','),
+    ...(hasWeights && {
+      query_by_weights: queryByFields
+        .map(({weight}) => (weight === undefined ? 1 : weight))
+        .join(','),
+    }),
+    include_fields: includeFields.join(','),
+    highlight_full_fields: highlightFullFields.join(','),
+    ...(sortBy && {sort_by: sortBy.join(',')}),
+    group_by: groupBy,
+    group_limit: groupLimit,
+    ...(hitsPerPage && {per_page: hitsPerPage}),
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {and, buildFilter, eq} from '@theme/utils/filterBuilder';
+import {HIERARCHY_FIELDS} from '@theme/utils/searchProfiles';
+
+// Query syntax of the search page, translated into Typesense parameters:
+// - `"exact phrase"` only matches the words in this order
+// - `-word` and `-"exact phrase"` exclude the results containing them
+// - `version:2.x` only matches the docs of this version
+// - `tag:docs-default-current` only matches the pages of this Docusaurus tag
+// - `in:title` only searches the titles, `in:content` the text, and
+//   `in:<field>` one of the other searched fields
+// Prefixed values can be quoted, e.g. `version:"2.0 beta"`. Everything else
+// is searched as is.
+
+const TERM_REGEX = /(-)?(?:(version|tag|in):(?=\S))?(?:"([^"]*)"|([^\s"]+))/gi;
+
+// Searched fields of `in:`, other values are field names
+const QUERY_FIELD_ALIASES = {
+  title: HIERARCHY_FIELDS,
+  content: ['content'],
+};
+
+// Terms of `query`, with their position in it. `type` is `word`, `phrase`,
+// `exclude`, or the prefix of prefixed terms: `version`, `tag` or `in`.
+export function parseSearchQuery(query) {
+  return Array.from(query.matchAll(TERM_REGEX))
+    .map(({0: raw, 1: exclude, 2: prefix, 3: phrase, 4: word, index}) => {
+      const value = phrase === undefined ? word : phrase;
+      const term = {value, start: index, end: index + raw.length};
+
+      if (exclude) {
+        // `-version:2.x` excludes the text `version:2.x`
+        return {
+          ...term,
+          type: 'exclude',
+          value: prefix ? `${prefix}:${value}` : value,
+        };
+      }
+      if (prefix) {
+        const type = prefix.toLowerCase();
+        // Filter values cannot contain backticks, see `escapeFilterValue()`
+        return type === 'in'
+          ? {...term, type}
+          : {...term, type, value: value.replace(/`/g, '')};
+      }
+
+      return {...term, type: phrase === undefined ? 'word' : 'phrase'};
+    })
+    .filter(({value}) => value.trim() !== '');
+}
+
+// Removes a term returned by `parseSearchQuery()` from `query`
+export function removeSearchQueryTerm(query, {start, end}) {
+  return `${query.slice(0, start).trimEnd()} ${query
+    .slice(end)
+    .trimStart()}`.trim();
+}
+
+const quote = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Tags of `tag:docs` and `tag:docs-<pluginId>`, matching all the docs or the
+// docs of a plugin, in every version
+export function getDocsTagAliases(allDocsData) {
+  const pluginsTags = Object.entries(allDocsData).map(
+    ([pluginId, {versions}]) => [
+      `docs-${pluginId}`,
+      versions.map(({name}) => `docs-${pluginId}-${name}`),
+    ],
+  );
+
+  return {
+    docs: pluginsTags.flatMap(([, tags]) => tags),
+    ...Object.fromEntries(pluginsTags),
+  };
+}
+
+// `query_by` and `query_by_weights` restricted to the fields of `in:` terms.
+// Fields that are not searched are ignored, and so are the `in:` terms when
+// none of their fields is searched.
+function getQueryByParameters(inTerms, {queryBy, queryByWeights}) {
+  const fields = inTerms.flatMap(
+    ({value}) => QUERY_FIELD_ALIASES[value.toLowerCase()] || [value],
+  );
+  const queryByFields = queryBy.split(',');
+  const weights = queryByWeights ? queryByWeights.split(',') : null;
+  const indexes = queryByFields
+    .map((field, index) => (fields.includes(field) ? index : -1))
+    .filter((index) => index !== -1);
+
+  if (indexes.length === 0) {
+    return {};
+  }
+
+  return {
+    query_by: indexes.map((index) => queryByFields[index]).join(','),
+    ...(weights && {
+      query_by_weights: indexes.map((index) => weights[index]).join(','),
+    }),
+  };
+}
+
+// Typesense `q`, `filter_by` and `query_by` parameters of the `terms` of a
+// query, for a search with the `filter_by`, `query_by` and `query_by_weights`
+// of `searchParameters`. Queries made of filters only match every document.
+export function getSearchQueryParameters(
+  terms,
+  searchParameters,
+  {tagAliases = {}} = {},
+) {
+  const termsOfType = (type) => terms.filter((term) => term.type === type);
+  const q = terms
+    .map(({type, value}) => {
+      switch (type) {
+        case 'word':
+          return value;
+        case 'phrase':
+          return `"${value}"`;
+        case 'exclude':
+          return `-${quote(value)}`;
+        default:
+          return null;
+      }
+    })
+    .filter(Boolean)
+    .join(' ');
+  const filterBy = buildFilter(
+    and(
+      searchParameters.filter_by,
+      eq('version', termsOfType('version').map(({value}) => value)),
+      eq(
+        'docusaurus_tag',
+        termsOfType('tag').flatMap(({value}) => tagAliases[value] || [value]),
+      ),
+    ),
+  );
+  const inTerms = termsOfType('in');
+
+  return {
+    q: q || '*',
+    ...(filterBy && {filter_by: filterBy}),
+    ...(inTerms.length > 0 &&
+      searchParameters.query_by &&
+      getQueryByParameters(inTerms, {
+        queryBy: searchParameters.query_by,
+        queryByWeights: searchParameters.query_by_weights,
+      })),
+  };
+}
+
+// Translates the `q` of the searches of a client exposing Typesense's
+// `multiSearch.perform()`, e.g. the client of the InstantSearch adapter
+export function withSearchQuerySyntax(client, options) {
+  return {
+    multiSearch: {
+      perform: ({searches, ...rest}, ...args) =>
+        client.multiSearch.perform(
+          {
+            ...rest,
+            searches: searches.map((search) => ({
+              ...search,
+              ...getSearchQueryParameters(
+                parseSearchQuery(search.q || ''),
+                search,
+                options,
+              ),
+            })),
+          },
+          ...args,
+        ),
+    },
+  };
+}
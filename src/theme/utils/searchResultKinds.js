@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Record types of the DocSearch scraper, any other type is a custom kind
+const HIERARCHY_TYPES = /^(lvl[0-6]|content)$/;
+
+// Kind of result, used to pick its renderer: a custom record `type`, or one of
+// `docs`, `blog` and `page` derived from the Docusaurus tag of its page.
+// Blog posts share the `default` tag of pages, the indexer gives them a date.
+export function getSearchResultKind({type, docusaurus_tag: tag = '', date}) {
+  if (type && !HIERARCHY_TYPES.test(type)) {
+    return type;
+  }
+  if (tag.startsWith('docs-')) {
+    return 'docs';
+  }
+  if (tag.startsWith('blog') || date) {
+    return 'blog';
+  }
+
+  return 'page';
+}
+
+// Docs tags are `docs-<pluginId>-<versionName>`, plugin ids can contain dashes
+// too: the longest matching plugin id wins
+export function getSearchResultDocsVersion({docusaurus_tag: tag = ''}, allDocsData) {
+  const pluginId = Object.keys(allDocsData)
+    .filter((id) => tag.startsWith(`docs-${id}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (pluginId === undefined) {
+    return null;
+  }
+
+  const {versions} = allDocsData[pluginId];
+  const versionName = tag.slice(`docs-${pluginId}-`.length);
+  const version = versions.find(({name}) => name === versionName);
+
+  return version
+    ? {
+        pluginId,
+        name: version.name,
+        label: version.label,
+        isLast: version.isLast,
+        isVersioned: versions.length > 1,
+      }
+    : null;
+}
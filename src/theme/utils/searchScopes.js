@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {and, eq} from '@theme/utils/filterBuilder';
+
+// Scopes narrowing the searches of the modal and the search page to the page
+// they are searched from. That page is described by a search context:
+// - `pageUrl`: its absolute URL, indexed as the `url_without_anchor` of its
+//   records
+// - `section`: the label of its innermost sidebar category, indexed as the
+//   `hierarchy.lvl0` of its records
+// - `docsPluginId`: the docs plugin it belongs to
+export const SEARCH_SCOPES = ['page', 'section', 'docsPlugin', 'everywhere'];
+export const DEFAULT_SEARCH_SCOPE = 'everywhere';
+
+// Same namespace as the search history, see `getSearchHistoryNamespace()`
+const SEARCH_SCOPE_KEY_PREFIX = '__DOCSEARCH_SEARCH_SCOPE__';
+
+const trimTrailingSlash = (path) => path.replace(/\/$/, '');
+const isSamePath = (a, b) => trimTrailingSlash(a) === trimTrailingSlash(b);
+
+// Same category as the last active sidebar category the indexer reads
+// `hierarchy.lvl0` from, or `null` outside of the sidebar categories
+export function getSidebarSection(sidebarItems, pathname) {
+  let section = null;
+  const containsPage = (items) =>
+    items.some((item) => {
+      if (item.type === 'category') {
+        // Nested categories are checked first, and win
+        if (
+          (item.href && isSamePath(item.href, pathname)) ||
+          containsPage(item.items || [])
+        ) {
+          section = section || item.label;
+          return true;
+        }
+        return false;
+      }
+
+      return item.type === 'link' && isSamePath(item.href, pathname);
+    });
+
+  containsPage(Array.isArray(sidebarItems) ? sidebarItems : []);
+  return section;
+}
+
+// The scopes of `searchContext`, from the narrowest to `everywhere`
+export function getAvailableSearchScopes({pageUrl, section, docsPluginId}) {
+  return SEARCH_SCOPES.filter((searchScope) => {
+    switch (searchScope) {
+      case 'page':
+        return !!pageUrl;
+      case 'section':
+        return !!section && !!docsPluginId;
+      case 'docsPlugin':
+        return !!docsPluginId;
+      default:
+        return true;
+    }
+  });
+}
+
+// `docusaurus_tag` of every version of the docs plugin, e.g.
+// `docs-default-current`
+function getDocsPluginFilter(docsPluginId, allDocsData) {
+  const docsData = allDocsData[docsPluginId];
+
+  return eq(
+    'docusaurus_tag',
+    docsData
+      ? docsData.versions.map(({name}) => `docs-${docsPluginId}-${name}`)
+      : [],
+  );
+}
+
+// Structured filter of `searchScope`, see `@theme/utils/filterBuilder`. The
+// page URL is matched with and without trailing slash, which depends on how
+// the site is served.
+export function getSearchScopeFilter(searchScope, searchContext, allDocsData) {
+  const {pageUrl, section, docsPluginId} = searchContext;
+
+  switch (searchScope) {
+    case 'page':
+      return eq('url_without_anchor', [
+        trimTrailingSlash(pageUrl),
+        `${trimTrailingSlash(pageUrl)}/`,
+      ]);
+    case 'section':
+      // Sidebar categories of other docs plugins can have the same label
+      return and(
+        getDocsPluginFilter(docsPluginId, allDocsData),
+        eq('hierarchy.lvl0', section),
+      );
+    case 'docsPlugin':
+      return getDocsPluginFilter(docsPluginId, allDocsData);
+    default:
+      return null;
+  }
+}
+
+// Accessing `sessionStorage` throws when the browser blocks it
+function getSessionStorage() {
+  try {
+    return window.sessionStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The scope is remembered until the browser tab is closed
+export function readSearchScope(namespace) {
+  try {
+    const searchScope = getSessionStorage().getItem(
+      `${SEARCH_SCOPE_KEY_PREFIX}${namespace}`,
+    );
+    return SEARCH_SCOPES.includes(searchScope)
+      ? searchScope
+      : DEFAULT_SEARCH_SCOPE;
+  } catch (err) {
+    return DEFAULT_SEARCH_SCOPE;
+  }
+}
+
+export function writeSearchScope(namespace, searchScope) {
+  try {
+    getSessionStorage().setItem(
+      `${SEARCH_SCOPE_KEY_PREFIX}${namespace}`,
+      searchScope,
+    );
+  } catch (err) {
+    // Storage can be disabled by the browser, or be full
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {Joi} = require('@docusaurus/utils-validation');
+const {
+  TypesenseServerConfigSchema,
+  SearchFilterSchema,
+} = require('./validateThemeConfig');
+const {isDefaultScope} = require('./scopedSearchKeys');
+
+const DEFAULT_OPTIONS = {
+  searchPagePath: 'search',
+  searchPages: [],
+  indexer: {
+    enabled: false,
+    batchSize: 100,
+    deletePreviousCollection: true,
+  },
+  staticSearchResults: {
+    queries: [],
+    hitsPerPage: 15,
+  },
+  openSearch: {
+    tags: [],
+    images: [],
+    locales: {},
+  },
+  relatedDocs: {
+    limit: 5,
+    pregenerate: false,
+  },
+};
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+// Elements of the OpenSearch description that can be translated, with their
+// maximum length, see https://github.com/dewitt/opensearch
+const openSearchTextSchemas = {
+  shortName: Joi.string().max(16),
+  longName: Joi.string().max(48),
+  description: Joi.string().max(1024),
+  // Single words, separated by spaces in the description
+  tags: Joi.array().items(Joi.string().pattern(/^\S+$/)),
+};
+
+// Theme options are only used at build time: unlike themeConfig, they are not
+// shipped to the client, so this is where admin API keys belong
+const OptionsSchema = Joi.object({
+  // Queries the Typesense server at build time to make sure the API key in
+  // themeConfig cannot do more than searching. Defaults to `true` when the
+  // indexer is enabled. When set to `true`, a server that cannot be reached
+  // fails the build.
+  verifySearchOnlyApiKey: Joi.boolean(),
+  // Path of the search page, relative to the base URL, or `false` to disable
+  // it, along with the "See all results" link of the modal
+  searchPagePath: Joi.alternatives()
+    .try(Joi.string(), Joi.boolean().valid(false))
+    .default(DEFAULT_OPTIONS.searchPagePath),
+  // Other search pages, each one searching its own subset of the site
+  searchPages: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().pattern(/^[\w-]+$/).required(),
+        // Relative to the base URL
+        path: Joi.string().required(),
+        title: Joi.string(),
+        // Only searches the docs of these plugins, with their version menus
+        docsPluginIds: Joi.array().items(Joi.string()).min(1),
+        // Combined with themeConfig.typesense.searchFilter
+        searchFilter: SearchFilterSchema,
+      }),
+    )
+    .unique('name')
+    .unique('path')
+    .default(DEFAULT_OPTIONS.searchPages),
+  indexer: Joi.object({
+    enabled: Joi.boolean().default(DEFAULT_OPTIONS.indexer.enabled),
+    typesenseServerConfig: TypesenseServerConfigSchema.when('enabled', {
+      is: true,
+      then: Joi.required(),
+    }),
+    // Defaults to themeConfig.typesense.typesenseCollectionName
+    collectionName: Joi.string(),
+    batchSize: Joi.number()
+      .integer()
+      .min(1)
+      .default(DEFAULT_OPTIONS.indexer.batchSize),
+    selectors: Joi.object({
+      lvl0: Joi.string(),
+      lvl1: Joi.string(),
+      lvl2: Joi.string(),
+      lvl3: Joi.string(),
+      lvl4: Joi.string(),
+      lvl5: Joi.string(),
+      lvl6: Joi.string(),
+      text: Joi.string(),
+    }),
+    deletePreviousCollection: Joi.boolean().default(
+      DEFAULT_OPTIONS.indexer.deletePreviousCollection,
+    ),
+  }).default(),
+  // Pre-renders a search page for each query, at `/search/<query slug>`, for
+  // crawlers and browsers without JavaScript
+  staticSearchResults: Joi.object({
+    queries: Joi.array()
+      .items(Joi.string().trim().min(1))
+      .default(DEFAULT_OPTIONS.staticSearchResults.queries),
+    hitsPerPage: Joi.number()
+      .integer()
+      .min(1)
+      .max(250)
+      .default(DEFAULT_OPTIONS.staticSearchResults.hitsPerPage),
+    // GET URL the search form is submitted to without JavaScript, defaults
+    // to the search page
+    noscriptSearchUrl: Joi.string(),
+  }).default(DEFAULT_OPTIONS.staticSearchResults),
+  // `opensearch.xml` description, written for each locale. Defaults to the
+  // site title and favicon.
+  openSearch: Joi.object({
+    ...openSearchTextSchemas,
+    tags: openSearchTextSchemas.tags.default(DEFAULT_OPTIONS.openSearch.tags),
+    contact: Joi.string().email(),
+    // Added to the favicon, relative to the base URL or absolute
+    images: Joi.array()
+      .items(
+        Joi.object({
+          url: Joi.string().required(),
+          width: Joi.number().integer().min(1).required(),
+          height: Joi.number().integer().min(1).required(),
+          type: Joi.string(),
+        }),
+      )
+      .default(DEFAULT_OPTIONS.openSearch.images),
+    // Search suggestions of the browser address bar: static responses for the
+    // prefixes of the page titles and popular queries, generated at build
+    // time, unless a URL template answering them is given
+    suggestions: Joi.object({
+      // e.g. a proxy to Typesense, `{searchTerms}` is replaced by the query
+      url: Joi.string().pattern(/\{searchTerms\}/, '{searchTerms}'),
+      maxPrefixLength: Joi.number().integer().min(1).max(10).default(4),
+      limit: Joi.number().integer().min(1).default(8),
+    }),
+    // Overrides per locale
+    locales: Joi.object()
+      .pattern(Joi.string(), Joi.object(openSearchTextSchemas))
+      .default(DEFAULT_OPTIONS.openSearch.locales),
+  }).default(DEFAULT_OPTIONS.openSearch),
+  // Typesense scoped search keys, generated at build time from a parent
+  // search-only key that is not shipped to the client. Each page searches
+  // with the key of its scope, see `@theme/utils/scopedSearchKeys`, and a
+  // default scope, listing neither `paths` nor `docsPluginIds`, covers the
+  // other pages: themeConfig then has no API key.
+  scopedSearchKeys: Joi.object({
+    parentApiKey: Joi.string().required(),
+    // Seconds after the build when the keys expire
+    expiresIn: Joi.number().integer().min(1),
+    scopes: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().required(),
+          // Routes searching with the key, relative to the base URL
+          paths: Joi.array().items(Joi.string()),
+          // Pages of these docs plugins search with the key, which can only
+          // search their docs
+          docsPluginIds: Joi.array().items(Joi.string()).min(1),
+          // Only generated for these locales, the key then only searches the
+          // locale being built
+          locales: Joi.array().items(Joi.string()).min(1),
+          // Typesense filter embedded in the key
+          filterBy: Joi.string(),
+          expiresIn: Joi.number().integer().min(1),
+        }),
+      )
+      .min(1)
+      .unique('name')
+      .custom((scopes, helpers) =>
+        scopes.some(isDefaultScope)
+          ? scopes
+          : helpers.message(
+              '"scopedSearchKeys.scopes" needs a default scope, listing neither paths nor docsPluginIds',
+            ),
+      )
+      .required(),
+  }),
+  // `@theme/TypesenseRelatedDocs`
+  relatedDocs: Joi.object({
+    // Pages shown, unless the component is given another limit
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(20)
+      .default(DEFAULT_OPTIONS.relatedDocs.limit),
+    // Searches the related docs of every docs page at build time, after the
+    // indexer if enabled, instead of at runtime
+    pregenerate: Joi.boolean().default(DEFAULT_OPTIONS.relatedDocs.pregenerate),
+  }).default(DEFAULT_OPTIONS.relatedDocs),
+});
+exports.OptionsSchema = OptionsSchema;
+
+exports.validateOptions = function validateOptions({validate, options}) {
+  return validate(OptionsSchema, options);
+};
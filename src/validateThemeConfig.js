@@ -9,21 +9,308 @@ const {Joi} = require('@docusaurus/utils-validation');
 
 const DEFAULT_CONFIG = {
   contextualSearch: false, // future: maybe we want to enable this by default
+  searchMode: 'server',
+  searchTimeout: 10000,
   typesenseSearchParameters: {},
+  collections: [],
+  collectionResults: 'sectioned',
+  searchPageFacets: [],
+  pagination: 'infinite',
+  hitsPerPageOptions: [15, 30, 50],
+  searchPagePreview: 'content',
+  highlight: {
+    tagName: 'span',
+    className: 'search-result-match',
+    fields: ['hierarchy', 'content'],
+  },
+  searchProfiles: {},
+  querySuggestions: {
+    limit: 5,
+  },
+  analytics: {
+    googleAnalytics: false,
+    searchEventDelay: 1000,
+  },
 };
 exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
 
+const ENV_VAR_REGEX = /\$\{(\w+)\}/g;
+
+// Replaces `${ENV_VAR}` references with the environment variable value, so
+// that the resolved value ends up in the config used at build time
+function interpolateEnvVars(value, helpers) {
+  const missingEnvVars = [];
+  const interpolatedValue = value.replace(ENV_VAR_REGEX, (_, envVar) => {
+    if (process.env[envVar] === undefined) {
+      missingEnvVars.push(envVar);
+      return '';
+    }
+    return process.env[envVar];
+  });
+
+  if (missingEnvVars.length > 0) {
+    return helpers.message(
+      '{{#label}} references undefined environment variables: {{#envVars}}',
+      {envVars: missingEnvVars.join(', ')},
+    );
+  }
+  return interpolatedValue;
+}
+
+const envString = () => Joi.string().custom(interpolateEnvVars);
+
+const envNumber = () =>
+  Joi.alternatives().try(
+    Joi.number(),
+    Joi.string()
+      .pattern(/^\$\{\w+\}$/)
+      .messages({
+        'string.pattern.base':
+          '{{#label}} must be a number or an environment variable reference',
+      })
+      .custom((value, helpers) => {
+        const interpolatedValue = interpolateEnvVars(value, helpers);
+        if (typeof interpolatedValue !== 'string') {
+          return interpolatedValue;
+        }
+        if (interpolatedValue.trim() === '' || isNaN(interpolatedValue)) {
+          return helpers.message(
+            '{{#label}} must be a number, but {{#reference}} resolved to "{{#resolvedValue}}"',
+            {reference: value, resolvedValue: interpolatedValue},
+          );
+        }
+        return Number(interpolatedValue);
+      }),
+  );
+
+const NodeSchema = Joi.object({
+  host: envString().required(),
+  port: envNumber().required(),
+  protocol: envString()
+    .custom((value, helpers) =>
+      ['http', 'https'].includes(value)
+        ? value
+        : helpers.message('{{#label}} must be one of [http, https]'),
+    )
+    .required(),
+  path: Joi.string().allow(''),
+});
+
+// Options of the Typesense JS client, see
+// https://github.com/typesense/typesense-js#configuration
+const TypesenseServerConfigSchema = Joi.object({
+  nodes: Joi.array().items(NodeSchema).min(1).required(),
+  nearestNode: NodeSchema,
+  apiKey: envString().required(),
+  connectionTimeoutSeconds: envNumber(),
+  healthcheckIntervalSeconds: envNumber(),
+  numRetries: Joi.number().integer().min(0),
+  retryIntervalSeconds: Joi.number().min(0),
+  cacheSearchResultsForSeconds: Joi.number().min(0),
+  useServerSideSearchCache: Joi.boolean(),
+  sendApiKeyAsQueryParam: Joi.boolean(),
+  additionalHeaders: Joi.object().pattern(Joi.string(), Joi.string()),
+  logLevel: Joi.string().valid('trace', 'debug', 'info', 'warn', 'error', 'silent'),
+});
+exports.TypesenseServerConfigSchema = TypesenseServerConfigSchema;
+
+// themeConfig is shipped to the browser: catch admin keys being referenced
+// there by mistake
+function rejectAdminApiKeyReference(value, helpers) {
+  const adminEnvVar = [...value.matchAll(ENV_VAR_REGEX)]
+    .map(([, envVar]) => envVar)
+    .find((envVar) => /admin|master|bootstrap/i.test(envVar));
+
+  if (adminEnvVar) {
+    return helpers.message(
+      '{{#label}} references the {{#envVar}} environment variable, which looks like an admin API key. themeConfig is included in the client bundle: use a search-only API key instead.',
+      {envVar: adminEnvVar},
+    );
+  }
+  return value;
+}
+
+const SearchProfileSchema = Joi.object({
+  queryBy: Joi.array()
+    .items(
+      Joi.string(),
+      Joi.object({
+        field: Joi.string().required(),
+        weight: Joi.number().integer().min(0),
+      }),
+    )
+    .min(1),
+  includeFields: Joi.array().items(Joi.string()).min(1),
+  highlightFullFields: Joi.array().items(Joi.string()),
+  sortBy: Joi.array().items(Joi.string()).max(3),
+  groupBy: Joi.string(),
+  groupLimit: Joi.number().integer().min(1),
+  hitsPerPage: Joi.number().integer().min(1).max(250),
+  // Selects the profile for the pages of these docs plugin instances...
+  docsPluginIds: Joi.array().items(Joi.string()),
+  // ... or for the routes starting with these paths
+  paths: Joi.array().items(Joi.string().pattern(/^\//)),
+});
+
+// Structured filter, combined with the contextual filters and the `filter_by`
+// of typesenseSearchParameters, see src/filterBuilder.js
+const SearchFilterSchema = Joi.alternatives()
+  .try(
+    Joi.string(),
+    Joi.object({
+      and: Joi.array().items(Joi.link('#filter')).required(),
+    }),
+    Joi.object({
+      or: Joi.array().items(Joi.link('#filter')).required(),
+    }),
+    Joi.object({
+      field: Joi.string().required(),
+      // Quoted with backticks in `filter_by`, which cannot be escaped
+      values: Joi.array()
+        .items(
+          Joi.string().pattern(/`/, {invert: true}),
+          Joi.number(),
+          Joi.boolean(),
+        )
+        .min(1)
+        .required(),
+      negate: Joi.boolean(),
+    }),
+    Joi.object({
+      field: Joi.string().required(),
+      range: Joi.object({min: Joi.number(), max: Joi.number()})
+        .or('min', 'max')
+        .required(),
+    }),
+  )
+  .id('filter');
+exports.SearchFilterSchema = SearchFilterSchema;
+
 const Schema = Joi.object({
   typesense: Joi.object({
     // Docusaurus attributes
     contextualSearch: Joi.boolean().default(DEFAULT_CONFIG.contextualSearch),
 
-    // Algolia attributes
-    typesenseServerConfig: Joi.object(),
+    // Typesense attributes
+    // `local` searches an index generated at build time in the browser,
+    // `local-fallback` only does so when the server cannot be reached
+    searchMode: Joi.string()
+      .valid('server', 'local', 'local-fallback')
+      .default(DEFAULT_CONFIG.searchMode),
+    // Milliseconds after which the modal and the search page give up on a
+    // search, retries of the Typesense client included
+    searchTimeout: Joi.number()
+      .integer()
+      .min(1)
+      .default(DEFAULT_CONFIG.searchTimeout),
+    // Without `apiKey` when the `scopedSearchKeys` theme option is set, see
+    // src/index.js
+    typesenseServerConfig: TypesenseServerConfigSchema.keys({
+      apiKey: Joi.string()
+        .custom(rejectAdminApiKeyReference)
+        .custom(interpolateEnvVars),
+    }).when('searchMode', {
+      not: 'local',
+      then: Joi.required(),
+    }),
     typesenseCollectionName: Joi.string().required(),
     typesenseSearchParameters: Joi.object()
       .default(DEFAULT_CONFIG.typesenseSearchParameters)
       .unknown(),
+    // Applies to typesenseCollectionName, in the modal and the search page
+    searchFilter: SearchFilterSchema,
+    // Other collections searched along with typesenseCollectionName, which
+    // can be listed too to set its label, weight or position
+    collections: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().required(),
+          label: Joi.string(),
+          // Multiplies the text match score of the hits in merged results
+          weight: Joi.number().positive().default(1),
+          typesenseSearchParameters: Joi.object().default({}).unknown(),
+        }),
+      )
+      .unique('name')
+      .default(DEFAULT_CONFIG.collections),
+    // How the modal shows the hits of several collections
+    collectionResults: Joi.string()
+      .valid('merged', 'sectioned')
+      .default(DEFAULT_CONFIG.collectionResults),
+
+    // Search page attributes
+    searchPageFacets: Joi.array()
+      .items(
+        Joi.string(),
+        Joi.object({
+          attribute: Joi.string().required(),
+          label: Joi.string(),
+          limit: Joi.number().integer().min(1),
+        }),
+      )
+      .default(DEFAULT_CONFIG.searchPageFacets),
+    pagination: Joi.string()
+      .valid('infinite', 'numbered')
+      .default(DEFAULT_CONFIG.pagination),
+    // Page sizes offered by the numbered pagination
+    hitsPerPageOptions: Joi.array()
+      .items(Joi.number().integer().min(1).max(250))
+      .default(DEFAULT_CONFIG.hitsPerPageOptions),
+    // Preview pane of the focused result: `content` shows the indexed content
+    // of its section, `page` the section of the built page around its anchor
+    searchPagePreview: Joi.alternatives()
+      .try(Joi.string().valid('content', 'page'), Joi.boolean().valid(false))
+      .default(DEFAULT_CONFIG.searchPagePreview),
+    // Matches of the search page results, rendered as text: the tag name and
+    // class only apply to the matched words
+    highlight: Joi.object({
+      tagName: Joi.string()
+        .valid('span', 'mark', 'em', 'strong', 'b')
+        .default(DEFAULT_CONFIG.highlight.tagName),
+      className: Joi.string()
+        .allow('')
+        .default(DEFAULT_CONFIG.highlight.className),
+      // Words kept around the matches of the summaries, in the modal too
+      snippetLength: Joi.number().integer().min(0),
+      // Where the matches are shown: `hierarchy` highlights them in the
+      // titles and breadcrumbs, `content` shows the summary of the content
+      fields: Joi.array()
+        .items(Joi.string().valid('hierarchy', 'content'))
+        .unique()
+        .default(DEFAULT_CONFIG.highlight.fields),
+    }).default(DEFAULT_CONFIG.highlight),
+
+    // Named search profiles, `default` applies everywhere
+    searchProfiles: Joi.object()
+      .pattern(Joi.string(), SearchProfileSchema)
+      .default(DEFAULT_CONFIG.searchProfiles),
+
+    // Suggestions shown by the search page for queries without hits
+    querySuggestions: Joi.object({
+      // Popular queries collection populated by a Typesense analytics rule,
+      // the titles of the docs are suggested instead when not set
+      collectionName: Joi.string(),
+      limit: Joi.number()
+        .integer()
+        .min(1)
+        .default(DEFAULT_CONFIG.querySuggestions.limit),
+    }).default(DEFAULT_CONFIG.querySuggestions),
+
+    // Search analytics reporters
+    analytics: Joi.object({
+      typesense: Joi.object({
+        clickEventName: Joi.string().required(),
+      }),
+      googleAnalytics: Joi.boolean().default(
+        DEFAULT_CONFIG.analytics.googleAnalytics,
+      ),
+      // Path of a module default-exporting a function called with each event
+      customReporter: Joi.string(),
+      searchEventDelay: Joi.number()
+        .integer()
+        .min(0)
+        .default(DEFAULT_CONFIG.analytics.searchEventDelay),
+    }).default(DEFAULT_CONFIG.analytics),
   })
     .label('themeConfig.typesense')
     .required()